@@ -153,6 +153,61 @@ const AddAccountForm: React.FC<AddAccountFormProps> = ({
           </div>
         );
 
+      case "azure-blob":
+        return (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                Connection String
+              </label>
+              <input
+                type="password"
+                required
+                placeholder="DefaultEndpointsProtocol=https;AccountName=..."
+                className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                onChange={(e) =>
+                  handleCredentialChange("connectionString", e.target.value)
+                }
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                Container Name
+              </label>
+              <input
+                type="text"
+                required
+                className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                onChange={(e) =>
+                  handleCredentialChange("containerName", e.target.value)
+                }
+              />
+            </div>
+          </div>
+        );
+
+      case "dropbox":
+        return (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                Access Token
+              </label>
+              <input
+                type="password"
+                required
+                className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                onChange={(e) =>
+                  handleCredentialChange("accessToken", e.target.value)
+                }
+              />
+              <p className="mt-1 text-sm text-gray-500">
+                Generate a token for your app in the Dropbox App Console.
+              </p>
+            </div>
+          </div>
+        );
+
       default:
         return (
           <div className="text-center py-8">
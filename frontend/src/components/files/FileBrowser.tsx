@@ -5,7 +5,8 @@ import FileToolbar from './FileToolbar';
 import FileGrid from './FileGrid';
 import FileList from './FileList';
 import transferService from '../../services/transferService';
-import { CloudAccount } from '../../types';
+import accountService from '../../services/accountService';
+import { CloudAccount, ProviderCapabilities } from '../../types';
 
 interface File {
   name: string;
@@ -40,11 +41,20 @@ const FileBrowser: React.FC<FileBrowserProps> = ({
   const [sortOrder, setSortOrder] = useState<'asc' | 'desc'>('asc');
   const [searchQuery, setSearchQuery] = useState('');
   const [filterType, setFilterType] = useState<'all' | 'files' | 'folders'>('all');
+  const [capabilities, setCapabilities] = useState<ProviderCapabilities | null>(null);
 
   useEffect(() => {
     loadFiles();
   }, [account.id, currentPath]);
 
+  useEffect(() => {
+    setCapabilities(null);
+    accountService
+      .getCapabilities(account.id)
+      .then(setCapabilities)
+      .catch(() => setCapabilities(null)); // Leave every action enabled
+  }, [account.id]);
+
   const loadFiles = async () => {
     try {
       setLoading(true);
@@ -164,6 +174,7 @@ const FileBrowser: React.FC<FileBrowserProps> = ({
         onSelectAll={handleSelectAll}
         onRefresh={handleRefresh}
         onFileOperation={onFileOperation}
+        capabilities={capabilities}
       />
 
       {/* File Content Area */}
@@ -1,5 +1,6 @@
 // frontend/src/components/files/FileToolbar.tsx
 import React from 'react';
+import { ProviderCapabilities } from '../../types';
 
 interface FileToolbarProps {
   viewMode: 'grid' | 'list';
@@ -17,6 +18,7 @@ interface FileToolbarProps {
   onSelectAll: () => void;
   onRefresh: () => void;
   onFileOperation: (operation: 'upload' | 'newFolder' | 'rename' | 'delete') => void;
+  capabilities?: ProviderCapabilities | null;
 }
 
 const FileToolbar: React.FC<FileToolbarProps> = ({
@@ -34,8 +36,15 @@ const FileToolbar: React.FC<FileToolbarProps> = ({
   totalCount,
   onSelectAll,
   onRefresh,
-  onFileOperation
+  onFileOperation,
+  capabilities
 }) => {
+  // Until capabilities are known every action stays enabled
+  const canUpload = capabilities?.operations.upload ?? true;
+  const canCreateFolder = capabilities?.operations.createFolder ?? true;
+  const canDelete = capabilities?.operations.delete ?? true;
+  const canRename = capabilities?.operations.rename ?? true;
+
   return (
     <div className="bg-white border-b border-gray-200 px-4 py-3">
       <div className="flex items-center justify-between">
@@ -45,7 +54,9 @@ const FileToolbar: React.FC<FileToolbarProps> = ({
           <div className="flex items-center space-x-2">
             <button
               onClick={() => onFileOperation('upload')}
-              className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 transition-colors"
+              disabled={!canUpload}
+              title={canUpload ? undefined : 'Not supported by this provider'}
+              className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
             >
               <svg className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
@@ -55,7 +66,9 @@ const FileToolbar: React.FC<FileToolbarProps> = ({
 
             <button
               onClick={() => onFileOperation('newFolder')}
-              className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 transition-colors"
+              disabled={!canCreateFolder}
+              title={canCreateFolder ? undefined : 'Not supported by this provider'}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
             >
               <svg className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
@@ -67,7 +80,9 @@ const FileToolbar: React.FC<FileToolbarProps> = ({
               <>
                 <button
                   onClick={() => onFileOperation('delete')}
-                  className="inline-flex items-center px-3 py-2 border border-red-300 text-sm font-medium rounded-md text-red-700 bg-white hover:bg-red-50 transition-colors"
+                  disabled={!canDelete}
+                  title={canDelete ? undefined : 'Not supported by this provider'}
+                  className="inline-flex items-center px-3 py-2 border border-red-300 text-sm font-medium rounded-md text-red-700 bg-white hover:bg-red-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <svg className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
@@ -78,7 +93,9 @@ const FileToolbar: React.FC<FileToolbarProps> = ({
                 {selectedCount === 1 && (
                   <button
                     onClick={() => onFileOperation('rename')}
-                    className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 transition-colors"
+                    disabled={!canRename}
+                    title={canRename ? undefined : 'Not supported by this provider'}
+                    className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     <svg className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
@@ -1,7 +1,7 @@
 // frontend/src/components/transfers/CreateTransferForm.tsx
 import React, { useState, useEffect } from 'react';
 import accountService from '../../services/accountService';
-import transferService, { CreateTransferData } from '../../services/transferService';
+import transferService, { ConflictPolicy, CreateTransferData } from '../../services/transferService';
 import { CloudAccount } from '../../types';
 
 interface CreateTransferFormProps {
@@ -29,8 +29,8 @@ const CreateTransferForm: React.FC<CreateTransferFormProps> = ({
     destinationPath: '',
     fileName: '',
     priority: 5,
+    conflictPolicy: 'rename',
     options: {
-      overwrite: false,
       preserveMetadata: true,
       encryption: false
     }
@@ -134,8 +134,8 @@ const CreateTransferForm: React.FC<CreateTransferFormProps> = ({
         destinationPath: '',
         fileName: '',
         priority: 5,
+        conflictPolicy: 'rename',
         options: {
-          overwrite: false,
           preserveMetadata: true,
           encryption: false
         }
@@ -338,20 +338,44 @@ const CreateTransferForm: React.FC<CreateTransferFormProps> = ({
                 className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
               />
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Start At (optional)
+              </label>
+              <input
+                type="datetime-local"
+                value={formData.scheduledAt || ''}
+                onChange={(e) => setFormData(prev => ({ ...prev, scheduledAt: e.target.value || undefined }))}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+              <p className="mt-1 text-xs text-gray-500">Leave empty to start right away</p>
+            </div>
           </div>
 
           <div className="space-y-2">
             <label className="flex items-center">
               <input
                 type="checkbox"
-                checked={formData.options?.overwrite}
-                onChange={(e) => setFormData(prev => ({
-                  ...prev,
-                  options: { ...prev.options, overwrite: e.target.checked }
-                }))}
+                checked={formData.mode === 'move'}
+                onChange={(e) => setFormData(prev => ({ ...prev, mode: e.target.checked ? 'move' : 'copy' }))}
                 className="rounded border-gray-300 text-blue-600 shadow-sm focus:border-blue-300 focus:ring focus:ring-blue-200 focus:ring-opacity-50"
               />
-              <span className="ml-2 text-sm text-gray-700">Overwrite existing files</span>
+              <span className="ml-2 text-sm text-gray-700">Move (delete the source once the copy is verified)</span>
+            </label>
+
+            <label className="flex items-center">
+              <span className="text-sm text-gray-700">If the file already exists:</span>
+              <select
+                value={formData.conflictPolicy}
+                onChange={(e) => setFormData(prev => ({ ...prev, conflictPolicy: e.target.value as ConflictPolicy }))}
+                className="ml-2 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="rename">Keep both (rename the new copy)</option>
+                <option value="overwrite">Overwrite it</option>
+                <option value="skip">Skip the file</option>
+                <option value="fail">Fail the transfer</option>
+              </select>
             </label>
 
             <label className="flex items-center">
@@ -77,6 +77,30 @@ const TransferList: React.FC<TransferListProps> = ({ refreshTrigger }) => {
     }
   };
 
+  const handlePauseTransfer = async (transferId: string) => {
+    try {
+      setActionLoading(transferId);
+      await transferService.pauseTransfer(transferId);
+      await loadTransfers(); // Refresh list
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleResumeTransfer = async (transferId: string) => {
+    try {
+      setActionLoading(transferId);
+      await transferService.resumeTransfer(transferId);
+      await loadTransfers(); // Refresh list
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
   const handleRetryTransfer = async (transferId: string) => {
     try {
       setActionLoading(transferId);
@@ -101,6 +125,14 @@ const TransferList: React.FC<TransferListProps> = ({ refreshTrigger }) => {
         return 'text-gray-600 bg-gray-100';
       case 'queued':
         return 'text-yellow-600 bg-yellow-100';
+      case 'paused':
+        return 'text-orange-600 bg-orange-100';
+      case 'scheduled':
+        return 'text-purple-600 bg-purple-100';
+      case 'partial':
+        return 'text-amber-700 bg-amber-100';
+      case 'skipped':
+        return 'text-slate-600 bg-slate-100';
       default:
         return 'text-gray-600 bg-gray-100';
     }
@@ -118,6 +150,14 @@ const TransferList: React.FC<TransferListProps> = ({ refreshTrigger }) => {
         return '⏹️';
       case 'queued':
         return '⏳';
+      case 'paused':
+        return '⏸️';
+      case 'scheduled':
+        return '📅';
+      case 'partial':
+        return '⚠️';
+      case 'skipped':
+        return '⏭️';
       default:
         return '❓';
     }
@@ -173,9 +213,13 @@ const TransferList: React.FC<TransferListProps> = ({ refreshTrigger }) => {
             className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
           >
             <option value="">All Status</option>
+            <option value="scheduled">Scheduled</option>
             <option value="queued">Queued</option>
             <option value="running">Running</option>
+            <option value="paused">Paused</option>
             <option value="completed">Completed</option>
+            <option value="partial">Partial</option>
+            <option value="skipped">Skipped</option>
             <option value="failed">Failed</option>
             <option value="cancelled">Cancelled</option>
           </select>
@@ -237,16 +281,16 @@ const TransferList: React.FC<TransferListProps> = ({ refreshTrigger }) => {
                 </span>
               </div>
 
-              {/* Progress Bar (for running transfers) */}
-              {transfer.status === 'running' && (
+              {/* Progress Bar (for running and paused transfers) */}
+              {(transfer.status === 'running' || transfer.status === 'paused') && (
                 <div className="mb-4">
                   <div className="flex justify-between text-sm text-gray-600 mb-1">
                     <span>Progress: {transfer.progress}%</span>
-                    <span>{formatSpeed(transfer.transferSpeed || 0)}</span>
+                    <span>{transfer.status === 'paused' ? 'Paused' : formatSpeed(transfer.transferSpeed || 0)}</span>
                   </div>
                   <div className="w-full bg-gray-200 rounded-full h-2">
                     <div 
-                      className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                      className={`${transfer.status === 'paused' ? 'bg-orange-500' : 'bg-blue-600'} h-2 rounded-full transition-all duration-300`}
                       style={{ width: `${transfer.progress}%` }}
                     ></div>
                   </div>
@@ -269,11 +313,14 @@ const TransferList: React.FC<TransferListProps> = ({ refreshTrigger }) => {
                 </div>
                 <div>
                   <span className="text-gray-500">
-                    {transfer.status === 'running' ? 'Running Time:' : 
+                    {transfer.status === 'scheduled' ? 'Starts At:' :
+                     transfer.status === 'running' ? 'Running Time:' : 
                      transfer.status === 'completed' ? 'Duration:' : 'Status:'}
                   </span>
                   <div className="font-medium">
-                    {transfer.startedAt ? formatDuration(transfer.startedAt, transfer.completedAt) : '-'}
+                    {transfer.status === 'scheduled' && transfer.scheduledAt
+                      ? new Date(transfer.scheduledAt).toLocaleString()
+                      : transfer.startedAt ? formatDuration(transfer.startedAt, transfer.completedAt) : '-'}
                   </div>
                 </div>
               </div>
@@ -306,7 +353,8 @@ const TransferList: React.FC<TransferListProps> = ({ refreshTrigger }) => {
 
               {/* Action Buttons */}
               <div className="flex justify-end space-x-2 mt-4">
-                {transfer.status === 'failed' && transfer.retryCount < transfer.maxRetries && (
+                {((transfer.status === 'failed' && transfer.retryCount < transfer.maxRetries) ||
+                  transfer.status === 'partial') && (
                   <button
                     onClick={() => handleRetryTransfer(transfer.id)}
                     disabled={actionLoading === transfer.id}
@@ -327,6 +375,46 @@ const TransferList: React.FC<TransferListProps> = ({ refreshTrigger }) => {
                 )}
 
                 {['queued', 'running'].includes(transfer.status) && (
+                  <button
+                    onClick={() => handlePauseTransfer(transfer.id)}
+                    disabled={actionLoading === transfer.id}
+                    className="px-3 py-1 text-sm bg-yellow-500 text-white rounded hover:bg-yellow-600 disabled:opacity-50 flex items-center"
+                  >
+                    {actionLoading === transfer.id ? (
+                      <>
+                        <svg className="animate-spin h-3 w-3 mr-1" fill="none" viewBox="0 0 24 24">
+                          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                        </svg>
+                        Pausing...
+                      </>
+                    ) : (
+                      'Pause'
+                    )}
+                  </button>
+                )}
+
+                {transfer.status === 'paused' && (
+                  <button
+                    onClick={() => handleResumeTransfer(transfer.id)}
+                    disabled={actionLoading === transfer.id}
+                    className="px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50 flex items-center"
+                  >
+                    {actionLoading === transfer.id ? (
+                      <>
+                        <svg className="animate-spin h-3 w-3 mr-1" fill="none" viewBox="0 0 24 24">
+                          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                        </svg>
+                        Resuming...
+                      </>
+                    ) : (
+                      'Resume'
+                    )}
+                  </button>
+                )}
+
+                {['scheduled', 'queued', 'running', 'paused'].includes(transfer.status) && (
                   <button
                     onClick={() => handleCancelTransfer(transfer.id)}
                     disabled={actionLoading === transfer.id}
@@ -1,5 +1,5 @@
 import api from "./api";
-import { CloudAccount } from "../types";
+import { CloudAccount, ProviderCapabilities } from "../types";
 
 class AccountService {
   // Get all user's cloud accounts
@@ -51,6 +51,18 @@ class AccountService {
     }
   }
 
+  // Get what the account's provider supports
+  async getCapabilities(accountId: string): Promise<ProviderCapabilities> {
+    try {
+      const response = await api.get(`/accounts/${accountId}/capabilities`);
+      return response.data.capabilities;
+    } catch (error: any) {
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch capabilities"
+      );
+    }
+  }
+
   // Get files from cloud account
   async getAccountFiles(accountId: string, path: string = ""): Promise<any> {
     try {
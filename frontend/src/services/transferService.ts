@@ -1,6 +1,9 @@
 // frontend/src/services/transferService.ts
 import api from './api';
 
+// What to do when the destination file already exists
+export type ConflictPolicy = 'overwrite' | 'skip' | 'rename' | 'fail';
+
 export interface CreateTransferData {
   sourceAccountId: string;
   destinationAccountId: string;
@@ -9,13 +12,25 @@ export interface CreateTransferData {
   fileName?: string;
   priority?: number;
   scheduledAt?: string;
+  mode?: 'copy' | 'move';
+  conflictPolicy?: ConflictPolicy;
   options?: {
-    overwrite?: boolean;
     preserveMetadata?: boolean;
     encryption?: boolean;
   };
 }
 
+export interface CreateBatchTransferData {
+  sourceAccountId: string;
+  destinationAccountId: string;
+  sourcePaths: string[];
+  destinationFolder?: string;
+  name?: string;
+  priority?: number;
+  mode?: 'copy' | 'move';
+  conflictPolicy?: ConflictPolicy;
+}
+
 export interface Transfer {
   id: string;
   userId: string;
@@ -25,7 +40,7 @@ export interface Transfer {
   destinationPath: string;
   fileName: string;
   fileSize?: number;
-  status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+  status: 'scheduled' | 'queued' | 'running' | 'paused' | 'completed' | 'partial' | 'skipped' | 'failed' | 'cancelled';
   progress: number;
   transferredBytes: number;
   transferSpeed?: number;
@@ -88,14 +103,14 @@ class TransferService {
       destinationPath: t.destinationFilePath || '',
       fileName: t.fileName || '',
       fileSize: t.fileSize || 0,
-      status: t.status as 'queued' | 'running' | 'completed' | 'failed' | 'cancelled',
+      status: t.status as Transfer['status'],
       progress: t.progress || 0,
       transferredBytes: t.transferredBytes || 0,
       transferSpeed: t.transferSpeed || 0,
       errorMessage: t.error || '',
-      retryCount: 0,
-      maxRetries: 3,
-      priority: 5,
+      retryCount: t.retryCount ?? 0,
+      maxRetries: t.maxRetries ?? 3,
+      priority: t.priority ?? 5,
       scheduledAt: t.scheduledAt,
       startedAt: t.startedAt,
       completedAt: t.completedAt,
@@ -130,7 +145,14 @@ class TransferService {
       destinationAccountId: parseInt(transferData.destinationAccountId),
       sourceFilePath: transferData.sourcePath,
       destinationFilePath: transferData.destinationPath,
-      fileName: transferData.fileName || transferData.sourcePath.split('/').pop() || 'unknown'
+      fileName: transferData.fileName || transferData.sourcePath.split('/').pop() || 'unknown',
+      priority: transferData.priority,
+      // datetime-local values are in local time; the API expects ISO 8601
+      scheduledAt: transferData.scheduledAt
+        ? new Date(transferData.scheduledAt).toISOString()
+        : undefined,
+      mode: transferData.mode,
+      conflictPolicy: transferData.conflictPolicy
     };
 
     const response = await api.post('/transfers', backendData);
@@ -141,18 +163,82 @@ class TransferService {
     };
   }
 
+  // Transfer several files at once; they are grouped under one batch
+  async createBatchTransfer(batchData: CreateBatchTransferData): Promise<{
+    batchId: string;
+    transferIds: string[];
+    status: string;
+    message: string;
+  }> {
+    const response = await api.post('/transfers/batch', {
+      sourceAccountId: parseInt(batchData.sourceAccountId),
+      destinationAccountId: parseInt(batchData.destinationAccountId),
+      sourceFilePaths: batchData.sourcePaths,
+      destinationFolder: batchData.destinationFolder,
+      name: batchData.name,
+      priority: batchData.priority,
+      mode: batchData.mode,
+      conflictPolicy: batchData.conflictPolicy
+    });
+    return {
+      batchId: response.data.batch.id.toString(),
+      transferIds: response.data.batch.transferIds.map((id: number) => id.toString()),
+      status: response.data.batch.status,
+      message: response.data.message
+    };
+  }
+
+  async getBatchTransfer(batchId: string): Promise<any> {
+    const response = await api.get(`/transfers/batch/${batchId}`);
+    return response.data.batch;
+  }
+
+  async cancelBatchTransfer(batchId: string): Promise<{ message: string }> {
+    const response = await api.put(`/transfers/batch/${batchId}/cancel`);
+    return response.data;
+  }
+
+  async retryFailedInBatch(batchId: string): Promise<{ message: string }> {
+    const response = await api.put(`/transfers/batch/${batchId}/retry-failed`);
+    return response.data;
+  }
+
   async getTransfer(transferId: string): Promise<Transfer> {
     const response = await api.get(`/transfers/${transferId}`);
     return response.data;
   }
 
   async cancelTransfer(transferId: string): Promise<{ message: string }> {
-    const response = await api.delete(`/transfers/${transferId}`);
+    const response = await api.put(`/transfers/${transferId}/cancel`);
+    return response.data;
+  }
+
+  async pauseTransfer(transferId: string): Promise<{ message: string }> {
+    const response = await api.put(`/transfers/${transferId}/pause`);
+    return response.data;
+  }
+
+  async resumeTransfer(transferId: string): Promise<{ message: string }> {
+    const response = await api.put(`/transfers/${transferId}/resume`);
+    return response.data;
+  }
+
+  async updatePriority(transferId: string, priority: number): Promise<{ message: string; priority: number }> {
+    const response = await api.put(`/transfers/${transferId}/priority`, { priority });
+    return response.data;
+  }
+
+  async updateTransfer(transferId: string, changes: {
+    scheduledAt?: string;
+    destinationFilePath?: string;
+    priority?: number;
+  }): Promise<{ message: string; transfer: any }> {
+    const response = await api.patch(`/transfers/${transferId}`, changes);
     return response.data;
   }
 
   async retryTransfer(transferId: string): Promise<{ message: string }> {
-    const response = await api.post(`/transfers/${transferId}/retry`);
+    const response = await api.put(`/transfers/${transferId}/retry`);
     return response.data;
   }
 
@@ -19,10 +19,35 @@ export interface CloudAccount {
   createdAt: string;
 }
 
+export interface ProviderCapabilities {
+  provider: CloudAccount['provider'];
+  displayName: string;
+  addressing: 'path' | 'id';
+  nativeFolders: boolean;
+  serverSideCopy: boolean;
+  renameStrategy: 'native' | 'copy-delete';
+  maxSingleUploadSize: number | null;
+  maxFileSize: number | null;
+  checksumAlgorithms: string[];
+  versioning: boolean;
+  exportFormats: Record<string, string>;
+  operations: {
+    list: boolean;
+    getFileInfo: boolean;
+    upload: boolean;
+    download: boolean;
+    delete: boolean;
+    createFolder: boolean;
+    rename: boolean;
+    abortUpload: boolean;
+    listIncompleteUploads: boolean;
+  };
+}
+
 export interface Transfer {
   id: string;
   fileName: string;
-  status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+  status: 'scheduled' | 'queued' | 'running' | 'paused' | 'completed' | 'partial' | 'skipped' | 'failed' | 'cancelled';
   progress: number;
   fileSize: number;
   transferredBytes: number;
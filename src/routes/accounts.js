@@ -1,7 +1,48 @@
 // src/routes/accounts.js - Cloud Account Management Routes
 const encryptionService = require("../services/encryption");
-const AWSS3Provider = require("../services/cloud-providers/aws-s3-provider");
-const GoogleDriveProvider = require("../services/cloud-providers/google-drive-provider");
+const providerRegistry = require("../services/cloud-providers");
+const {
+  CONFLICT_POLICIES,
+  DEFAULT_CONFLICT_POLICY,
+  resolveConflict,
+  removeOverwritten,
+} = require("../services/transfer-engine/conflict-policy");
+
+// Decrypt an account's credentials and build its provider from the registry
+function createAccountProvider(account) {
+  const credentials = encryptionService.decryptCredentials(
+    account.encrypted_credentials
+  );
+  return providerRegistry.create(account.provider, credentials);
+}
+
+// Transfers in these states can still run again and carry on from their
+// checkpoint, paused ones once they are resumed. Failed transfers abort
+// their upload when they give up.
+const RESUMABLE_STATUSES = ["scheduled", "queued", "running", "paused"];
+
+// List an account's unfinished multipart uploads, flagging the ones that a
+// transfer may still resume
+async function listMultipartUploads(db, account, provider) {
+  const { uploads } = await provider.listIncompleteUploads();
+
+  const resumableTransfers = await db.getTransfersByStatus(RESUMABLE_STATUSES);
+  const uploadIdsInUse = new Set();
+  for (const transfer of resumableTransfers) {
+    if (transfer.destination_account_id === account.id && transfer.checkpoint) {
+      const { upload } = JSON.parse(transfer.checkpoint);
+      if (upload && upload.uploadId) {
+        uploadIdsInUse.add(upload.uploadId);
+      }
+    }
+  }
+
+  return uploads.map((upload) => ({
+    ...upload,
+    inUse: uploadIdsInUse.has(upload.uploadId),
+  }));
+}
+
 async function accountRoutes(fastify, options) {
   // Input validation schemas
   const createAccountSchema = {
@@ -11,7 +52,7 @@ async function accountRoutes(fastify, options) {
       properties: {
         provider: {
           type: "string",
-          enum: ["aws-s3", "google-drive", "azure-blob", "dropbox"],
+          enum: providerRegistry.list(),
         },
         accountName: {
           type: "string",
@@ -409,7 +450,7 @@ async function accountRoutes(fastify, options) {
     }
   );
 
-  // Test cloud account connection (placeholder for now)
+  // Test cloud account connection
   fastify.post(
     "/:id/test",
     {
@@ -440,87 +481,30 @@ async function accountRoutes(fastify, options) {
           });
         }
 
-        // Decrypt credentials
-        const credentials = encryptionService.decryptCredentials(
-          account.encrypted_credentials
-        );
-
         let testResult;
         let connectionStatus = "error";
         let errorMessage = null;
 
         try {
-          // Test connection based on provider type
-          switch (account.provider) {
-            case "aws-s3":
-              const s3Provider = new AWSS3Provider(credentials);
-              const authResult = await s3Provider.authenticate();
-
-              testResult = {
-                success: true,
-                provider: account.provider,
-                accountName: account.account_name,
-                connectionStatus: "active",
-                testedAt: new Date().toISOString(),
-                message: authResult.message,
-                details: {
-                  bucket: authResult.bucket,
-                  region: authResult.region,
-                },
-              };
-              connectionStatus = "active";
-              break;
-
-            case "google-drive":
-              const driveProvider = new GoogleDriveProvider(credentials);
-              const driveAuthResult = await driveProvider.authenticate();
-
-              testResult = {
-                success: true,
-                provider: account.provider,
-                accountName: account.account_name,
-                connectionStatus: "active",
-                testedAt: new Date().toISOString(),
-                message: driveAuthResult.message,
-                details: {
-                  user: driveAuthResult.user,
-                  storage: driveAuthResult.storage,
-                },
-              };
-              connectionStatus = "active";
-              break;
-
-            case "azure-blob":
-              // TODO: Implement Azure Blob testing
-              testResult = {
-                success: false,
-                provider: account.provider,
-                accountName: account.account_name,
-                connectionStatus: "error",
-                testedAt: new Date().toISOString(),
-                message: "Azure Blob integration not implemented yet",
-              };
-              connectionStatus = "error";
-              errorMessage = "Azure Blob integration not implemented yet";
-              break;
-
-            case "dropbox":
-              // TODO: Implement Dropbox testing
-              testResult = {
-                success: false,
-                provider: account.provider,
-                accountName: account.account_name,
-                connectionStatus: "error",
-                testedAt: new Date().toISOString(),
-                message: "Dropbox integration not implemented yet",
-              };
-              connectionStatus = "error";
-              errorMessage = "Dropbox integration not implemented yet";
-              break;
-
-            default:
-              throw new Error(`Unsupported provider: ${account.provider}`);
-          }
+          // Test connection with the provider registered for this account
+          const provider = createAccountProvider(account);
+          const {
+            success,
+            provider: providerName,
+            message,
+            ...details
+          } = await provider.authenticate();
+
+          testResult = {
+            success: true,
+            provider: account.provider,
+            accountName: account.account_name,
+            connectionStatus: "active",
+            testedAt: new Date().toISOString(),
+            message: message,
+            details: details,
+          };
+          connectionStatus = "active";
         } catch (connectionError) {
           // Connection test failed
           testResult = {
@@ -560,6 +544,56 @@ async function accountRoutes(fastify, options) {
     }
   );
 
+  // Get what the account's provider supports (used to enable UI actions)
+  fastify.get(
+    "/:id/capabilities",
+    {
+      preHandler: [fastify.authenticate],
+      schema: {
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string", pattern: "^[0-9]+$" },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const accountId = parseInt(request.params.id);
+
+        // Check if account exists and belongs to user
+        const account = await fastify.db.getCloudAccountById(
+          accountId,
+          request.user.id
+        );
+        if (!account) {
+          return reply.code(404).send({
+            error: "Account not found",
+            message:
+              "Cloud account not found or you do not have permission to access it.",
+          });
+        }
+
+        reply.send({
+          success: true,
+          account: {
+            id: account.id,
+            name: account.account_name,
+            provider: account.provider,
+          },
+          capabilities: providerRegistry.getCapabilities(account.provider),
+        });
+      } catch (error) {
+        fastify.log.error("Error getting capabilities:", error);
+        reply.code(500).send({
+          error: "Failed to get capabilities",
+          message: error.message || "Unable to retrieve provider capabilities.",
+        });
+      }
+    }
+  );
+
   fastify.get(
     "/:id/files",
     {
@@ -576,6 +610,7 @@ async function accountRoutes(fastify, options) {
           properties: {
             path: { type: "string", default: "" },
             limit: { type: "integer", minimum: 1, maximum: 1000, default: 100 },
+            continuationToken: { type: "string" },
           },
         },
       },
@@ -583,7 +618,7 @@ async function accountRoutes(fastify, options) {
     async (request, reply) => {
       try {
         const accountId = parseInt(request.params.id);
-        const { path = "", limit = 100 } = request.query;
+        const { path = "", limit = 100, continuationToken } = request.query;
 
         // Check if account exists and belongs to user
         const account = await fastify.db.getCloudAccountById(
@@ -598,30 +633,11 @@ async function accountRoutes(fastify, options) {
           });
         }
 
-        // Only support AWS S3 and Google Drive
-        if (!["aws-s3", "google-drive"].includes(account.provider)) {
-          return reply.code(400).send({
-            error: "Provider not supported",
-            message:
-              "File operations are currently supported for AWS S3 and Google Drive accounts.",
-          });
-        }
-
-        // Decrypt credentials and create provider
-        const credentials = encryptionService.decryptCredentials(
-          account.encrypted_credentials
-        );
-
-        let provider;
-        let result;
-
-        if (account.provider === "aws-s3") {
-          provider = new AWSS3Provider(credentials);
-          result = await provider.listFiles(path, { limit });
-        } else if (account.provider === "google-drive") {
-          provider = new GoogleDriveProvider(credentials);
-          result = await provider.listFiles(path || "root", { limit });
-        }
+        const provider = createAccountProvider(account);
+        const result = await provider.listFiles(path, {
+          limit,
+          continuationToken,
+        });
 
         reply.send({
           success: true,
@@ -633,6 +649,7 @@ async function accountRoutes(fastify, options) {
           path: path,
           files: result.files,
           hasMore: result.hasMore,
+          nextContinuationToken: result.nextContinuationToken,
           totalCount: result.totalCount,
         });
       } catch (error) {
@@ -685,23 +702,9 @@ async function accountRoutes(fastify, options) {
           });
         }
 
-        // Only support AWS S3 for now
-        if (account.provider !== "aws-s3") {
-          return reply.code(400).send({
-            error: "Provider not supported",
-            message:
-              "File operations are currently only supported for AWS S3 accounts.",
-          });
-        }
-
-        // Decrypt credentials and create provider
-        const credentials = encryptionService.decryptCredentials(
-          account.encrypted_credentials
-        );
-        const s3Provider = new AWSS3Provider(credentials);
-
         // Get file info
-        const result = await s3Provider.getFileInfo(filePath);
+        const provider = createAccountProvider(account);
+        const result = await provider.getFileInfo(filePath);
 
         reply.send({
           success: true,
@@ -731,11 +734,24 @@ async function accountRoutes(fastify, options) {
   );
 
   // Upload file to cloud account
-  // Replace the entire upload endpoint in src/routes/accounts.js with this:
   fastify.post(
     "/:id/files/upload",
     {
       preHandler: [fastify.authenticate],
+      schema: {
+        querystring: {
+          type: "object",
+          properties: {
+            path: { type: "string" },
+            // What to do when a file with the same name is already there
+            conflictPolicy: {
+              type: "string",
+              enum: CONFLICT_POLICIES,
+              default: DEFAULT_CONFLICT_POLICY,
+            },
+          },
+        },
+      },
     },
     async (request, reply) => {
       try {
@@ -754,15 +770,6 @@ async function accountRoutes(fastify, options) {
           });
         }
 
-        // Support both AWS S3 and Google Drive
-        if (!["aws-s3", "google-drive"].includes(account.provider)) {
-          return reply.code(400).send({
-            error: "Provider not supported",
-            message:
-              "File upload is currently supported for AWS S3 and Google Drive accounts.",
-          });
-        }
-
         // Handle file upload (multipart/form-data)
         const data = await request.file();
 
@@ -778,88 +785,63 @@ async function accountRoutes(fastify, options) {
         const filename = data.filename;
         const mimetype = data.mimetype;
 
-        // Decrypt credentials
-        const credentials = encryptionService.decryptCredentials(
-          account.encrypted_credentials
+        // Upload into the requested folder (a prefix, path or folder ID)
+        const provider = createAccountProvider(account);
+        const resolution = await resolveConflict(
+          provider,
+          filename,
+          request.query.path,
+          request.query.conflictPolicy
         );
 
-        let result;
-        let responseData;
-
-        if (account.provider === "aws-s3") {
-          // AWS S3 Upload
-          const destinationPath = request.query.path
-            ? `${request.query.path}/${filename}`
-            : filename;
-
-          const s3Provider = new AWSS3Provider(credentials);
-          result = await s3Provider.uploadFile(fileBuffer, destinationPath, {
-            contentType: mimetype,
-            onProgress: (progress) => {
-              console.log(`S3 Upload progress: ${progress.percentage}%`);
-            },
-          });
-
-          responseData = {
+        if (resolution.action === "skip") {
+          return reply.send({
             success: true,
-            message: "File uploaded successfully to AWS S3",
+            skipped: true,
+            message: `Skipped: ${filename} already exists`,
             account: {
               id: account.id,
               name: account.account_name,
               provider: account.provider,
             },
-            file: {
-              name: filename,
-              path: destinationPath,
-              size: fileBuffer.length,
-              contentType: mimetype,
-              etag: result.file.etag,
-              location: result.file.location,
-            },
-          };
-        } else if (account.provider === "google-drive") {
-          // Google Drive Upload
-          const driveProvider = new GoogleDriveProvider(credentials);
-
-          // For Google Drive, we can optionally specify a parent folder
-          const uploadOptions = {
-            contentType: mimetype,
-          };
+            file: resolution.existing,
+          });
+        }
 
-          // If path is specified, try to find/create folder
-          if (request.query.path) {
-            // For now, upload to root. Later we can implement folder creation
-            console.log(`Google Drive upload to folder: ${request.query.path}`);
-          }
+        const result = await provider.uploadFile(fileBuffer, resolution.name, {
+          contentType: mimetype,
+          parentPath: request.query.path,
+          overwrite: resolution.replace,
+        });
+        await removeOverwritten(provider, resolution, result);
 
-          result = await driveProvider.uploadFile(
-            fileBuffer,
-            filename,
-            uploadOptions
-          );
+        reply.send({
+          success: true,
+          skipped: false,
+          message: `File uploaded successfully to ${provider.constructor.displayName}`,
+          account: {
+            id: account.id,
+            name: account.account_name,
+            provider: account.provider,
+          },
+          file: {
+            ...result.file,
+            name: resolution.name,
+            path: result.file.path || result.file.id,
+            size: fileBuffer.length,
+            contentType: mimetype,
+          },
+        });
+      } catch (error) {
+        fastify.log.error("Error uploading file:", error);
 
-          responseData = {
-            success: true,
-            message: "File uploaded successfully to Google Drive",
-            account: {
-              id: account.id,
-              name: account.account_name,
-              provider: account.provider,
-            },
-            file: {
-              id: result.file.id,
-              name: filename,
-              size: fileBuffer.length,
-              contentType: mimetype,
-              webViewLink: result.file.webViewLink,
-              driveFileId: result.file.id,
-            },
-          };
+        if (error.message.includes("already exists")) {
+          return reply.code(409).send({
+            error: "File already exists",
+            message: error.message,
+          });
         }
 
-        reply.send(responseData);
-      } catch (error) {
-        fastify.log.error("Error uploading file:", error);
         reply.code(500).send({
           error: "Upload failed",
           message: error.message || "Unable to upload file to cloud account.",
@@ -907,47 +889,26 @@ async function accountRoutes(fastify, options) {
           });
         }
 
-        // Only support AWS S3 for now
-        if (account.provider !== "aws-s3") {
-          return reply.code(400).send({
-            error: "Provider not supported",
-            message:
-              "File download is currently only supported for AWS S3 accounts.",
-          });
-        }
-
-        // Decrypt credentials and create provider
-        const credentials = encryptionService.decryptCredentials(
-          account.encrypted_credentials
-        );
-        const s3Provider = new AWSS3Provider(credentials);
-
-        // Get file info first
-        const fileInfo = await s3Provider.getFileInfo(filePath);
-
-        // Create S3 download parameters directly
-        const params = {
-          Bucket: credentials.bucketName,
-          Key: filePath,
-        };
-
-        // Get the S3 object directly
-        const s3Object = s3Provider.s3.getObject(params);
+        // Open the download stream (includes file info for headers)
+        const provider = createAccountProvider(account);
+        const { stream, fileInfo } = await provider.downloadFile(filePath);
 
         // Set proper headers for download
-        const filename = filePath.split("/").pop();
+        const filename = fileInfo.name || filePath.split("/").pop();
         reply.header(
           "Content-Disposition",
           `attachment; filename="${filename}"`
         );
         reply.header(
           "Content-Type",
-          fileInfo.file.contentType || "application/octet-stream"
+          fileInfo.contentType || fileInfo.mimeType || "application/octet-stream"
         );
-        reply.header("Content-Length", fileInfo.file.size);
+        if (fileInfo.size) {
+          reply.header("Content-Length", fileInfo.size);
+        }
 
-        // Send the S3 stream directly
-        return reply.send(s3Object.createReadStream());
+        // Send the provider stream directly
+        return reply.send(stream);
       } catch (error) {
         fastify.log.error("Error downloading file:", error);
 
@@ -1007,33 +968,16 @@ async function accountRoutes(fastify, options) {
           });
         }
 
-        // Only support AWS S3 for now (Google Drive has different folder concepts)
-        if (account.provider !== "aws-s3") {
-          return reply.code(400).send({
-            error: "Provider not supported",
-            message:
-              "Folder creation is currently only supported for AWS S3 accounts.",
-          });
-        }
-
-        // Decrypt credentials and create provider
-        const credentials = encryptionService.decryptCredentials(
-          account.encrypted_credentials
-        );
-        const s3Provider = new AWSS3Provider(credentials);
-
-        // Create folder path (S3 folders are just keys ending with /)
-        const folderPath = path ? `${path}/${name}/` : `${name}/`;
-
-        // Create empty object to represent folder
-        const result = await s3Provider.createFolder(folderPath);
+        // Create the folder inside the current path (or parent folder ID)
+        const provider = createAccountProvider(account);
+        const result = await provider.createFolder(name, path);
 
         reply.send({
           success: true,
           message: "Folder created successfully",
           folder: {
             name: name,
-            path: folderPath,
+            path: result.folder.path,
             created: new Date().toISOString(),
           },
         });
@@ -1087,35 +1031,20 @@ async function accountRoutes(fastify, options) {
           });
         }
 
-        // Only support AWS S3 for now
-        if (account.provider !== "aws-s3") {
-          return reply.code(400).send({
-            error: "Provider not supported",
-            message:
-              "File rename is currently only supported for AWS S3 accounts.",
-          });
-        }
-
-        // Decrypt credentials and create provider
-        const credentials = encryptionService.decryptCredentials(
-          account.encrypted_credentials
-        );
-        const s3Provider = new AWSS3Provider(credentials);
+        const provider = createAccountProvider(account);
 
         // Create new path by replacing the filename
-        const pathParts = oldPath.split('/');
-        pathParts[pathParts.length - 1] = newName;
-        const newPath = pathParts.join('/');
-
-        // Rename file (copy and delete)
-        const result = await s3Provider.renameFile(oldPath, newPath);
+        const result = await provider.renameFile(
+          oldPath,
+          provider.siblingPath(oldPath, newName)
+        );
 
         reply.send({
           success: true,
           message: "File renamed successfully",
           file: {
             oldPath: oldPath,
-            newPath: newPath,
+            newPath: result.newPath,
             newName: newName,
             renamed: new Date().toISOString(),
           },
@@ -1173,47 +1102,17 @@ async function accountRoutes(fastify, options) {
           });
         }
 
-        // Support both AWS S3 and Google Drive
-        if (!["aws-s3", "google-drive"].includes(account.provider)) {
-          return reply.code(400).send({
-            error: "Provider not supported",
-            message:
-              "File deletion is currently supported for AWS S3 and Google Drive accounts.",
-          });
-        }
-
-        // Decrypt credentials and create provider
-        const credentials = encryptionService.decryptCredentials(
-          account.encrypted_credentials
-        );
-
-        let result;
+        const provider = createAccountProvider(account);
         let deletedFiles = [];
         let errors = [];
 
-        if (account.provider === "aws-s3") {
-          const s3Provider = new AWSS3Provider(credentials);
-          
-          // Delete each file
-          for (const filePath of paths) {
-            try {
-              await s3Provider.deleteFile(filePath);
-              deletedFiles.push(filePath);
-            } catch (error) {
-              errors.push({ path: filePath, error: error.message });
-            }
-          }
-        } else if (account.provider === "google-drive") {
-          const driveProvider = new GoogleDriveProvider(credentials);
-          
-          // Delete each file
-          for (const filePath of paths) {
-            try {
-              await driveProvider.deleteFile(filePath);
-              deletedFiles.push(filePath);
-            } catch (error) {
-              errors.push({ path: filePath, error: error.message });
-            }
+        // Delete each file
+        for (const filePath of paths) {
+          try {
+            await provider.deleteFile(filePath);
+            deletedFiles.push(filePath);
+          } catch (error) {
+            errors.push({ path: filePath, error: error.message });
           }
         }
 
@@ -1237,6 +1136,168 @@ async function accountRoutes(fastify, options) {
       }
     }
   );
+
+  // Maintenance: list multipart uploads that were never completed
+  fastify.get(
+    "/:id/multipart-uploads",
+    {
+      preHandler: [fastify.authenticate],
+      schema: {
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string", pattern: "^[0-9]+$" },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const accountId = parseInt(request.params.id);
+
+        // Check if account exists and belongs to user
+        const account = await fastify.db.getCloudAccountById(
+          accountId,
+          request.user.id
+        );
+        if (!account) {
+          return reply.code(404).send({
+            error: "Account not found",
+            message:
+              "Cloud account not found or you do not have permission to access it.",
+          });
+        }
+
+        if (
+          !providerRegistry.getCapabilities(account.provider).operations
+            .listIncompleteUploads
+        ) {
+          return reply.code(400).send({
+            error: "Not supported",
+            message: `${providerRegistry.get(account.provider).displayName} has no multipart uploads to list.`,
+          });
+        }
+
+        const provider = createAccountProvider(account);
+        const uploads = await listMultipartUploads(
+          fastify.db,
+          account,
+          provider
+        );
+
+        reply.send({
+          success: true,
+          uploads: uploads,
+          summary: {
+            total: uploads.length,
+            inUse: uploads.filter((upload) => upload.inUse).length,
+            orphaned: uploads.filter((upload) => !upload.inUse).length,
+          },
+        });
+      } catch (error) {
+        fastify.log.error("Error listing multipart uploads:", error);
+        reply.code(500).send({
+          error: "Failed to list multipart uploads",
+          message: error.message || "Unable to list multipart uploads.",
+        });
+      }
+    }
+  );
+
+  // Maintenance: abort orphaned multipart uploads older than olderThanHours
+  fastify.delete(
+    "/:id/multipart-uploads",
+    {
+      preHandler: [fastify.authenticate],
+      schema: {
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string", pattern: "^[0-9]+$" },
+          },
+        },
+        querystring: {
+          type: "object",
+          properties: {
+            olderThanHours: { type: "number", minimum: 0, default: 24 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const accountId = parseInt(request.params.id);
+        const { olderThanHours = 24 } = request.query;
+
+        // Check if account exists and belongs to user
+        const account = await fastify.db.getCloudAccountById(
+          accountId,
+          request.user.id
+        );
+        if (!account) {
+          return reply.code(404).send({
+            error: "Account not found",
+            message:
+              "Cloud account not found or you do not have permission to access it.",
+          });
+        }
+
+        if (
+          !providerRegistry.getCapabilities(account.provider).operations
+            .listIncompleteUploads
+        ) {
+          return reply.code(400).send({
+            error: "Not supported",
+            message: `${providerRegistry.get(account.provider).displayName} has no multipart uploads to clean up.`,
+          });
+        }
+
+        const provider = createAccountProvider(account);
+        const uploads = await listMultipartUploads(
+          fastify.db,
+          account,
+          provider
+        );
+
+        const cutoff = Date.now() - olderThanHours * 60 * 60 * 1000;
+        const orphaned = uploads.filter(
+          (upload) =>
+            !upload.inUse && new Date(upload.initiated).getTime() <= cutoff
+        );
+
+        let aborted = [];
+        let errors = [];
+
+        for (const upload of orphaned) {
+          try {
+            await provider.abortUpload(upload);
+            aborted.push({ key: upload.key, uploadId: upload.uploadId });
+          } catch (error) {
+            errors.push({ uploadId: upload.uploadId, error: error.message });
+          }
+        }
+
+        reply.send({
+          success: true,
+          message: `Aborted ${aborted.length} orphaned multipart upload(s)`,
+          aborted: aborted,
+          errors: errors,
+          summary: {
+            total: uploads.length,
+            aborted: aborted.length,
+            failed: errors.length,
+            kept: uploads.length - aborted.length,
+          },
+        });
+      } catch (error) {
+        fastify.log.error("Error cleaning up multipart uploads:", error);
+        reply.code(500).send({
+          error: "Failed to clean up multipart uploads",
+          message: error.message || "Unable to clean up multipart uploads.",
+        });
+      }
+    }
+  );
 }
 
 module.exports = accountRoutes;
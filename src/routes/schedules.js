@@ -0,0 +1,372 @@
+// src/routes/schedules.js - Recurring Transfer Schedule Routes
+// Registered by the transfer routes, so fastify.transferEngine is available
+
+async function scheduleRoutes(fastify, options) {
+  const schedules = fastify.transferEngine.schedules;
+
+  const idParams = {
+    type: 'object',
+    properties: {
+      id: { type: 'string', pattern: '^[0-9]+$' }
+    }
+  };
+
+  // Extra settings applied to every transfer a schedule creates
+  const transferOptionsSchema = {
+    type: 'object',
+    properties: {
+      priority: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 10
+      },
+      type: {
+        type: 'string',
+        enum: ['file', 'folder']
+      },
+      mode: {
+        type: 'string',
+        enum: ['copy', 'move']
+      },
+      conflictPolicy: {
+        type: 'string',
+        enum: ['overwrite', 'skip', 'rename', 'fail']
+      },
+      // Folder transfers only: globs relative to the folder plus size
+      // (bytes) and modified-date limits
+      filters: {
+        type: 'object',
+        properties: {
+          include: {
+            type: 'array',
+            maxItems: 100,
+            items: { type: 'string', minLength: 1 }
+          },
+          exclude: {
+            type: 'array',
+            maxItems: 100,
+            items: { type: 'string', minLength: 1 }
+          },
+          minSize: {
+            type: 'integer',
+            minimum: 0
+          },
+          maxSize: {
+            type: 'integer',
+            minimum: 0
+          },
+          modifiedAfter: {
+            type: 'string',
+            format: 'date-time'
+          },
+          modifiedBefore: {
+            type: 'string',
+            format: 'date-time'
+          }
+        },
+        additionalProperties: false
+      }
+    },
+    additionalProperties: false
+  };
+
+  const scheduleProperties = {
+    name: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 100
+    },
+    cronExpression: {
+      type: 'string',
+      minLength: 1
+    },
+    timezone: {
+      type: 'string',
+      minLength: 1
+    },
+    sourceAccountId: {
+      type: 'integer',
+      minimum: 1
+    },
+    destinationAccountId: {
+      type: 'integer',
+      minimum: 1
+    },
+    sourceFilePath: {
+      type: 'string',
+      minLength: 1
+    },
+    destinationFilePath: {
+      type: 'string'
+    },
+    fileName: {
+      type: 'string',
+      minLength: 1
+    },
+    options: transferOptionsSchema,
+    enabled: {
+      type: 'boolean'
+    }
+  };
+
+  // Map schedule errors to responses
+  const sendError = (reply, error, action) => {
+    if (error.message.includes('not found')) {
+      return reply.code(404).send({
+        error: error.message.includes('account') ? 'Account not found' : 'Schedule not found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid') || error.message.includes('must be different')) {
+      return reply.code(400).send({
+        error: 'Invalid schedule',
+        message: error.message
+      });
+    }
+
+    reply.code(500).send({
+      error: `Failed to ${action}`,
+      message: `Unable to ${action}.`
+    });
+  };
+
+  // List the user's schedules
+  fastify.get('/', {
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    try {
+      const result = await schedules.listSchedules(request.user.id);
+
+      reply.send({
+        success: true,
+        schedules: result
+      });
+
+    } catch (error) {
+      fastify.log.error('Error fetching schedules:', error);
+      sendError(reply, error, 'fetch schedules');
+    }
+  });
+
+  // Preview the next run times of a cron expression before saving it
+  fastify.get('/preview', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      querystring: {
+        type: 'object',
+        required: ['cronExpression'],
+        properties: {
+          cronExpression: { type: 'string', minLength: 1 },
+          timezone: { type: 'string', minLength: 1, default: 'UTC' },
+          count: { type: 'integer', minimum: 1, maximum: 50, default: 5 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { cronExpression, timezone, count } = request.query;
+
+      reply.send({
+        success: true,
+        cronExpression,
+        timezone,
+        nextRuns: schedules.previewRuns(cronExpression, timezone, count)
+      });
+
+    } catch (error) {
+      sendError(reply, error, 'preview schedule');
+    }
+  });
+
+  // Create a schedule
+  fastify.post('/', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name', 'cronExpression', 'sourceAccountId', 'destinationAccountId', 'sourceFilePath', 'fileName'],
+        properties: scheduleProperties,
+        additionalProperties: false
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const schedule = await schedules.createSchedule(request.user.id, request.body);
+
+      reply.code(201).send({
+        success: true,
+        message: 'Schedule created successfully',
+        schedule
+      });
+
+    } catch (error) {
+      fastify.log.error('Error creating schedule:', error);
+      sendError(reply, error, 'create schedule');
+    }
+  });
+
+  // Get a schedule with a preview of its next runs
+  fastify.get('/:id', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: idParams,
+      querystring: {
+        type: 'object',
+        properties: {
+          preview: { type: 'integer', minimum: 1, maximum: 50, default: 5 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const schedule = await schedules.getSchedule(
+        parseInt(request.params.id),
+        request.user.id,
+        request.query.preview
+      );
+
+      reply.send({
+        success: true,
+        schedule
+      });
+
+    } catch (error) {
+      fastify.log.error('Error fetching schedule:', error);
+      sendError(reply, error, 'fetch schedule');
+    }
+  });
+
+  // Update a schedule
+  fastify.patch('/:id', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: idParams,
+      body: {
+        type: 'object',
+        minProperties: 1,
+        properties: scheduleProperties,
+        additionalProperties: false
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const schedule = await schedules.updateSchedule(
+        parseInt(request.params.id),
+        request.user.id,
+        request.body
+      );
+
+      reply.send({
+        success: true,
+        message: 'Schedule updated successfully',
+        schedule
+      });
+
+    } catch (error) {
+      fastify.log.error('Error updating schedule:', error);
+      sendError(reply, error, 'update schedule');
+    }
+  });
+
+  // Enable a schedule; its next run is counted from now
+  fastify.put('/:id/enable', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: idParams
+    }
+  }, async (request, reply) => {
+    try {
+      const schedule = await schedules.setEnabled(parseInt(request.params.id), request.user.id, true);
+
+      reply.send({
+        success: true,
+        message: 'Schedule enabled',
+        schedule
+      });
+
+    } catch (error) {
+      fastify.log.error('Error enabling schedule:', error);
+      sendError(reply, error, 'enable schedule');
+    }
+  });
+
+  // Disable a schedule without deleting it
+  fastify.put('/:id/disable', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: idParams
+    }
+  }, async (request, reply) => {
+    try {
+      const schedule = await schedules.setEnabled(parseInt(request.params.id), request.user.id, false);
+
+      reply.send({
+        success: true,
+        message: 'Schedule disabled',
+        schedule
+      });
+
+    } catch (error) {
+      fastify.log.error('Error disabling schedule:', error);
+      sendError(reply, error, 'disable schedule');
+    }
+  });
+
+  // Run history of a schedule
+  fastify.get('/:id/runs', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: idParams,
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          offset: { type: 'integer', minimum: 0, default: 0 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { limit, offset } = request.query;
+      const runs = await schedules.getRuns(parseInt(request.params.id), request.user.id, limit, offset);
+
+      reply.send({
+        success: true,
+        runs,
+        pagination: {
+          limit,
+          offset,
+          hasMore: runs.length === limit
+        }
+      });
+
+    } catch (error) {
+      fastify.log.error('Error fetching schedule runs:', error);
+      sendError(reply, error, 'fetch schedule runs');
+    }
+  });
+
+  // Delete a schedule; transfers it already created are kept
+  fastify.delete('/:id', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: idParams
+    }
+  }, async (request, reply) => {
+    try {
+      const result = await schedules.deleteSchedule(parseInt(request.params.id), request.user.id);
+
+      reply.send({
+        success: true,
+        message: result.message
+      });
+
+    } catch (error) {
+      fastify.log.error('Error deleting schedule:', error);
+      sendError(reply, error, 'delete schedule');
+    }
+  });
+}
+
+module.exports = scheduleRoutes;
@@ -0,0 +1,393 @@
+// src/routes/sync.js - Folder Sync Routes
+
+async function syncRoutes(fastify, options) {
+  const syncs = fastify.transferEngine.syncs;
+
+  // Runs cut off by a restart would otherwise block their sync forever.
+  // The tables have to exist first; a failed recovery is logged and the
+  // server starts anyway.
+  fastify.addHook('onReady', async () => {
+    try {
+      await fastify.db.ready;
+      await syncs.recoverRuns();
+    } catch (error) {
+      fastify.log.error('Error recovering interrupted sync runs:', error);
+    }
+  });
+
+  const idParams = {
+    type: 'object',
+    properties: {
+      id: { type: 'string', pattern: '^[0-9]+$' }
+    }
+  };
+
+  const syncProperties = {
+    name: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 100
+    },
+    sourceAccountId: {
+      type: 'integer',
+      minimum: 1
+    },
+    destinationAccountId: {
+      type: 'integer',
+      minimum: 1
+    },
+    // Folder path or prefix (folder ID on Google Drive); empty for the root
+    sourcePath: {
+      type: 'string'
+    },
+    destinationPath: {
+      type: 'string'
+    },
+    // Delete destination files that are no longer at the source (one-way;
+    // two-way syncs always carry deletions across)
+    deleteExtras: {
+      type: 'boolean'
+    },
+    // one-way mirrors the source; two-way carries changes both ways
+    direction: {
+      type: 'string',
+      enum: ['one-way', 'two-way']
+    },
+    // Two-way: what to do when a file changed on both sides
+    conflictResolution: {
+      type: 'string',
+      enum: ['newest', 'keep-both', 'manual']
+    },
+    // Which files to sync: globs relative to the sync's folders ("*.csv",
+    // "tmp/**") plus size (bytes) and modified-date limits. Files left out
+    // are neither copied nor deleted; an empty object clears the filters.
+    filters: {
+      type: 'object',
+      properties: {
+        include: {
+          type: 'array',
+          maxItems: 100,
+          items: { type: 'string', minLength: 1 }
+        },
+        exclude: {
+          type: 'array',
+          maxItems: 100,
+          items: { type: 'string', minLength: 1 }
+        },
+        minSize: {
+          type: 'integer',
+          minimum: 0
+        },
+        maxSize: {
+          type: 'integer',
+          minimum: 0
+        },
+        modifiedAfter: {
+          type: 'string',
+          format: 'date-time'
+        },
+        modifiedBefore: {
+          type: 'string',
+          format: 'date-time'
+        }
+      },
+      additionalProperties: false
+    }
+  };
+
+  // Map sync errors to responses
+  const sendError = (reply, error, action) => {
+    if (error.message.includes('not found')) {
+      const notFound = error.message.includes('account')
+        ? 'Account not found'
+        : error.message.includes('Conflict') ? 'Conflict not found' : 'Sync not found';
+      return reply.code(404).send({
+        error: notFound,
+        message: error.message
+      });
+    }
+
+    if (
+      error.message.includes('must be different') ||
+      error.message.includes('Invalid filters') ||
+      error.message.includes('already running') ||
+      error.message.includes('Conflict is already')
+    ) {
+      return reply.code(400).send({
+        error: `Cannot ${action}`,
+        message: error.message
+      });
+    }
+
+    reply.code(500).send({
+      error: `Failed to ${action}`,
+      message: `Unable to ${action}.`
+    });
+  };
+
+  // List the user's sync jobs
+  fastify.get('/', {
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    try {
+      const result = await syncs.listSyncs(request.user.id);
+
+      reply.send({
+        success: true,
+        syncs: result
+      });
+
+    } catch (error) {
+      fastify.log.error('Error fetching syncs:', error);
+      sendError(reply, error, 'fetch syncs');
+    }
+  });
+
+  // Create a sync job
+  fastify.post('/', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name', 'sourceAccountId', 'destinationAccountId'],
+        properties: syncProperties,
+        additionalProperties: false
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const sync = await syncs.createSync(request.user.id, request.body);
+
+      reply.code(201).send({
+        success: true,
+        message: 'Sync created successfully',
+        sync
+      });
+
+    } catch (error) {
+      fastify.log.error('Error creating sync:', error);
+      sendError(reply, error, 'create sync');
+    }
+  });
+
+  // Get a sync job with its latest run
+  fastify.get('/:id', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: idParams
+    }
+  }, async (request, reply) => {
+    try {
+      const sync = await syncs.getSync(parseInt(request.params.id), request.user.id);
+
+      reply.send({
+        success: true,
+        sync
+      });
+
+    } catch (error) {
+      fastify.log.error('Error fetching sync:', error);
+      sendError(reply, error, 'fetch sync');
+    }
+  });
+
+  // Update a sync job
+  fastify.patch('/:id', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: idParams,
+      body: {
+        type: 'object',
+        minProperties: 1,
+        properties: syncProperties,
+        additionalProperties: false
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const sync = await syncs.updateSync(
+        parseInt(request.params.id),
+        request.user.id,
+        request.body
+      );
+
+      reply.send({
+        success: true,
+        message: 'Sync updated successfully',
+        sync
+      });
+
+    } catch (error) {
+      fastify.log.error('Error updating sync:', error);
+      sendError(reply, error, 'update sync');
+    }
+  });
+
+  // Start a run; poll the run (or its transfer) for the outcome
+  fastify.post('/:id/run', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: idParams
+    }
+  }, async (request, reply) => {
+    try {
+      const run = await syncs.runSync(parseInt(request.params.id), request.user.id);
+
+      reply.code(202).send({
+        success: true,
+        message: 'Sync run started',
+        run
+      });
+
+    } catch (error) {
+      fastify.log.error('Error starting sync run:', error);
+      sendError(reply, error, 'run sync');
+    }
+  });
+
+  // Run history with each run's summary
+  fastify.get('/:id/runs', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: idParams,
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          offset: { type: 'integer', minimum: 0, default: 0 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { limit, offset } = request.query;
+      const runs = await syncs.getRuns(parseInt(request.params.id), request.user.id, limit, offset);
+
+      reply.send({
+        success: true,
+        runs,
+        pagination: {
+          limit,
+          offset,
+          hasMore: runs.length === limit
+        }
+      });
+
+    } catch (error) {
+      fastify.log.error('Error fetching sync runs:', error);
+      sendError(reply, error, 'fetch sync runs');
+    }
+  });
+
+  // Conflicts found by two-way runs; open ones wait for the user
+  fastify.get('/:id/conflicts', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: idParams,
+      querystring: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['open', 'resolved', 'cleared'] },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          offset: { type: 'integer', minimum: 0, default: 0 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { status, limit, offset } = request.query;
+      const conflicts = await syncs.getConflicts(
+        parseInt(request.params.id),
+        request.user.id,
+        status,
+        limit,
+        offset
+      );
+
+      reply.send({
+        success: true,
+        conflicts,
+        pagination: {
+          limit,
+          offset,
+          hasMore: conflicts.length === limit
+        }
+      });
+
+    } catch (error) {
+      fastify.log.error('Error fetching sync conflicts:', error);
+      sendError(reply, error, 'fetch sync conflicts');
+    }
+  });
+
+  // Resolve an open conflict by keeping the source's file, the
+  // destination's, or both; a run is started to apply it
+  fastify.post('/:id/conflicts/:conflictId/resolve', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', pattern: '^[0-9]+$' },
+          conflictId: { type: 'string', pattern: '^[0-9]+$' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['resolution'],
+        properties: {
+          resolution: {
+            type: 'string',
+            enum: ['source', 'destination', 'both']
+          }
+        },
+        additionalProperties: false
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const result = await syncs.resolveConflict(
+        parseInt(request.params.id),
+        request.user.id,
+        parseInt(request.params.conflictId),
+        request.body.resolution
+      );
+
+      reply.send({
+        success: true,
+        message: result.run
+          ? 'Conflict resolved; applying it now'
+          : 'Conflict resolved; the next run applies it',
+        conflict: result.conflict,
+        run: result.run
+      });
+
+    } catch (error) {
+      fastify.log.error('Error resolving sync conflict:', error);
+      sendError(reply, error, 'resolve sync conflict');
+    }
+  });
+
+  // Delete a sync job; files and transfers it created are kept
+  fastify.delete('/:id', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: idParams
+    }
+  }, async (request, reply) => {
+    try {
+      const result = await syncs.deleteSync(parseInt(request.params.id), request.user.id);
+
+      reply.send({
+        success: true,
+        message: result.message
+      });
+
+    } catch (error) {
+      fastify.log.error('Error deleting sync:', error);
+      sendError(reply, error, 'delete sync');
+    }
+  });
+}
+
+module.exports = syncRoutes;
@@ -1,12 +1,91 @@
 // src/routes/transfers.js - Transfer Management Routes
-const TransferEngine = require('../services/transfer-engine/transfer-engine');
 
 async function transferRoutes(fastify, options) {
-  // Initialize transfer engine with database
-  const transferEngine = new TransferEngine(fastify.db);
-  
-  // Add transfer engine to fastify instance
-  fastify.decorate('transferEngine', transferEngine);
+  // Created in server.js, so the sync routes share it
+  const transferEngine = fastify.transferEngine;
+
+  // Recurring transfer schedules live under /api/transfers/schedules
+  fastify.register(require('./schedules'), { prefix: '/schedules' });
+
+  // Pick up transfers left queued or running by a previous run, then start
+  // releasing scheduled ones as they come due. Both read tables the
+  // database may still be creating.
+  fastify.addHook('onReady', async () => {
+    await fastify.db.ready;
+    await transferEngine.recoverQueue();
+    transferEngine.startScheduler();
+  });
+
+  fastify.addHook('onClose', async () => {
+    transferEngine.stopScheduler();
+  });
+
+  // Which files of a folder to copy: globs relative to the folder ("*.csv",
+  // "tmp/**") plus size (bytes) and modified-date limits
+  const filtersSchema = {
+    type: 'object',
+    properties: {
+      include: {
+        type: 'array',
+        maxItems: 100,
+        items: { type: 'string', minLength: 1 }
+      },
+      exclude: {
+        type: 'array',
+        maxItems: 100,
+        items: { type: 'string', minLength: 1 }
+      },
+      minSize: {
+        type: 'integer',
+        minimum: 0
+      },
+      maxSize: {
+        type: 'integer',
+        minimum: 0
+      },
+      modifiedAfter: {
+        type: 'string',
+        format: 'date-time'
+      },
+      modifiedBefore: {
+        type: 'string',
+        format: 'date-time'
+      }
+    },
+    additionalProperties: false
+  };
+
+  // Bandwidth limit in bytes per second (0 for none), replaced by a
+  // schedule window's limit while the window is open ("HH:MM" in timezone,
+  // wrapping past midnight). An empty object removes the limit.
+  const bandwidthSchema = {
+    type: 'object',
+    properties: {
+      limit: {
+        type: 'integer',
+        minimum: 0
+      },
+      schedule: {
+        type: 'array',
+        maxItems: 24,
+        items: {
+          type: 'object',
+          required: ['start', 'end', 'limit'],
+          properties: {
+            start: { type: 'string', pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$' },
+            end: { type: 'string', pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$' },
+            limit: { type: 'integer', minimum: 0 }
+          },
+          additionalProperties: false
+        }
+      },
+      timezone: {
+        type: 'string',
+        minLength: 1
+      }
+    },
+    additionalProperties: false
+  };
 
   // Input validation schemas
   const createTransferSchema = {
@@ -32,7 +111,41 @@ async function transferRoutes(fastify, options) {
         fileName: { 
           type: 'string',
           minLength: 1 
-        }
+        },
+        priority: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 10
+        },
+        scheduledAt: {
+          type: 'string',
+          format: 'date-time'
+        },
+        // "folder" copies everything below sourceFilePath (an S3/Azure
+        // prefix, Dropbox folder or Drive folder ID) into a new folder at
+        // destinationFilePath
+        type: {
+          type: 'string',
+          enum: ['file', 'folder'],
+          default: 'file'
+        },
+        // "move" deletes the source once the copy has been verified
+        mode: {
+          type: 'string',
+          enum: ['copy', 'move'],
+          default: 'copy'
+        },
+        // When the destination file already exists: replace it, leave it
+        // alone, upload as "name (1).ext" instead, or fail the transfer
+        conflictPolicy: {
+          type: 'string',
+          enum: ['overwrite', 'skip', 'rename', 'fail'],
+          default: 'overwrite'
+        },
+        // Folder transfers only
+        filters: filtersSchema,
+        // A folder's limit is shared by its files
+        bandwidth: bandwidthSchema
       },
       additionalProperties: false
     }
@@ -49,7 +162,14 @@ async function transferRoutes(fastify, options) {
         destinationAccountId, 
         sourceFilePath, 
         destinationFilePath, 
-        fileName 
+        fileName,
+        priority,
+        scheduledAt,
+        type,
+        mode,
+        conflictPolicy,
+        filters,
+        bandwidth
       } = request.body;
 
       // Validate that source and destination are different
@@ -69,20 +189,36 @@ async function transferRoutes(fastify, options) {
         destinationAccountId,
         sourceFilePath,
         destinationFilePath: finalDestinationPath,
-        fileName
+        fileName,
+        priority,
+        scheduledAt,
+        type,
+        mode,
+        conflictPolicy,
+        filters,
+        bandwidth
       });
 
       reply.code(201).send({
         success: true,
-        message: 'Transfer created successfully',
+        message: result.status === 'scheduled'
+          ? 'Transfer scheduled successfully'
+          : 'Transfer created successfully',
         transfer: {
           id: result.transferId,
+          type,
+          mode,
+          conflictPolicy,
+          filters: filters || null,
+          bandwidth: bandwidth || null,
           status: result.status,
           fileName,
           sourceAccountId,
           destinationAccountId,
           sourceFilePath,
-          destinationFilePath: finalDestinationPath
+          destinationFilePath: finalDestinationPath,
+          priority: priority || 5,
+          scheduledAt: result.scheduledAt
         }
       });
 
@@ -95,6 +231,18 @@ async function transferRoutes(fastify, options) {
           message: error.message
         });
       }
+
+      if (
+        error.message.includes('too large') ||
+        error.message.includes('Invalid scheduled') ||
+        error.message.includes('Invalid filters') ||
+        error.message.includes('Invalid bandwidth')
+      ) {
+        return reply.code(400).send({
+          error: 'Invalid transfer',
+          message: error.message
+        });
+      }
       
       reply.code(500).send({
         error: 'Failed to create transfer',
@@ -103,6 +251,320 @@ async function transferRoutes(fastify, options) {
     }
   });
 
+  const batchParams = {
+    type: 'object',
+    properties: {
+      id: { type: 'string', pattern: '^[0-9]+$' }
+    }
+  };
+
+  // Map batch errors to responses
+  const sendBatchError = (reply, error, action) => {
+    if (error.message.includes('not found')) {
+      return reply.code(404).send({
+        error: error.message.includes('account') ? 'Account not found' : 'Transfer batch not found',
+        message: error.message
+      });
+    }
+
+    if (
+      error.message.includes('too large') ||
+      error.message.includes('cannot be the same') ||
+      error.message.includes('already') ||
+      error.message.includes('no failed')
+    ) {
+      return reply.code(400).send({
+        error: `Cannot ${action}`,
+        message: error.message
+      });
+    }
+
+    reply.code(500).send({
+      error: `Failed to ${action}`,
+      message: `Unable to ${action}.`
+    });
+  };
+
+  // Dry run: what a transfer (file, folder or batch) or a sync run would
+  // copy, skip, rename, fail and delete, and how long it should take.
+  // Nothing is moved, created or deleted.
+  fastify.post('/plan', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          type: {
+            type: 'string',
+            enum: ['file', 'folder', 'batch', 'sync'],
+            default: 'file'
+          },
+          sourceAccountId: {
+            type: 'integer',
+            minimum: 1
+          },
+          destinationAccountId: {
+            type: 'integer',
+            minimum: 1
+          },
+          // file and folder
+          sourceFilePath: {
+            type: 'string',
+            minLength: 1
+          },
+          destinationFilePath: {
+            type: 'string'
+          },
+          fileName: {
+            type: 'string',
+            minLength: 1
+          },
+          // batch
+          sourceFilePaths: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 500,
+            uniqueItems: true,
+            items: { type: 'string', minLength: 1 }
+          },
+          destinationFolder: {
+            type: 'string'
+          },
+          mode: {
+            type: 'string',
+            enum: ['copy', 'move'],
+            default: 'copy'
+          },
+          conflictPolicy: {
+            type: 'string',
+            enum: ['overwrite', 'skip', 'rename', 'fail'],
+            default: 'overwrite'
+          },
+          // folder
+          filters: filtersSchema,
+          // sync
+          syncId: {
+            type: 'integer',
+            minimum: 1
+          }
+        },
+        additionalProperties: false
+      }
+    }
+  }, async (request, reply) => {
+    const { type } = request.body;
+
+    // Fields each kind of plan needs
+    const required = type === 'sync'
+      ? ['syncId']
+      : ['sourceAccountId', 'destinationAccountId', type === 'batch' ? 'sourceFilePaths' : 'sourceFilePath'];
+    const missing = required.filter((field) => request.body[field] === undefined);
+    if (missing.length > 0) {
+      return reply.code(400).send({
+        error: 'Invalid plan',
+        message: `A ${type} plan needs ${missing.join(', ')}`
+      });
+    }
+
+    try {
+      const plan = await transferEngine.planner.planTransfer(request.user.id, request.body);
+
+      reply.send({
+        success: true,
+        plan
+      });
+
+    } catch (error) {
+      fastify.log.error('Error planning transfer:', error);
+
+      if (error.message.includes('not found')) {
+        return reply.code(404).send({
+          error: error.message.includes('account')
+            ? 'Account not found'
+            : error.message.includes('Sync') ? 'Sync not found' : 'Source not found',
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('cannot be the same') || error.message.includes('Invalid filters')) {
+        return reply.code(400).send({
+          error: 'Cannot plan transfer',
+          message: error.message
+        });
+      }
+
+      reply.code(500).send({
+        error: 'Failed to plan transfer',
+        message: 'Unable to plan transfer.'
+      });
+    }
+  });
+
+  // Create one transfer per file, grouped under a batch
+  fastify.post('/batch', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      body: {
+        type: 'object',
+        required: ['sourceAccountId', 'destinationAccountId', 'sourceFilePaths'],
+        properties: {
+          sourceAccountId: {
+            type: 'integer',
+            minimum: 1
+          },
+          destinationAccountId: {
+            type: 'integer',
+            minimum: 1
+          },
+          sourceFilePaths: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 500,
+            uniqueItems: true,
+            items: { type: 'string', minLength: 1 }
+          },
+          // Folder path, or folder ID on Google Drive; defaults to the root
+          destinationFolder: {
+            type: 'string'
+          },
+          name: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 200
+          },
+          priority: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 10
+          },
+          mode: {
+            type: 'string',
+            enum: ['copy', 'move'],
+            default: 'copy'
+          },
+          conflictPolicy: {
+            type: 'string',
+            enum: ['overwrite', 'skip', 'rename', 'fail'],
+            default: 'overwrite'
+          }
+        },
+        additionalProperties: false
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const result = await transferEngine.createTransferBatch({
+        userId: request.user.id,
+        ...request.body
+      });
+
+      reply.code(201).send({
+        success: true,
+        message: 'Batch transfer created successfully',
+        batch: {
+          id: result.batchId,
+          status: result.status,
+          totalFiles: result.totalFiles,
+          transferIds: result.transferIds
+        }
+      });
+
+    } catch (error) {
+      fastify.log.error('Error creating batch transfer:', error);
+      sendBatchError(reply, error, 'create batch transfer');
+    }
+  });
+
+  // Batch status with each of its transfers
+  fastify.get('/batch/:id', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: batchParams
+    }
+  }, async (request, reply) => {
+    try {
+      const batch = await transferEngine.getTransferBatch(parseInt(request.params.id), request.user.id);
+
+      reply.send({
+        success: true,
+        batch
+      });
+
+    } catch (error) {
+      fastify.log.error('Error fetching batch transfer:', error);
+      sendBatchError(reply, error, 'fetch batch transfer');
+    }
+  });
+
+  // Aggregated batch progress, without the per-file list
+  fastify.get('/batch/:id/progress', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: batchParams
+    }
+  }, async (request, reply) => {
+    try {
+      const progress = await transferEngine.getTransferBatchProgress(parseInt(request.params.id), request.user.id);
+
+      reply.send({
+        success: true,
+        progress
+      });
+
+    } catch (error) {
+      fastify.log.error('Error fetching batch progress:', error);
+      sendBatchError(reply, error, 'fetch batch progress');
+    }
+  });
+
+  // Cancel every unfinished transfer of a batch
+  fastify.put('/batch/:id/cancel', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: batchParams
+    }
+  }, async (request, reply) => {
+    try {
+      const batchId = parseInt(request.params.id);
+      const result = await transferEngine.cancelTransferBatch(batchId, request.user.id);
+
+      reply.send({
+        success: true,
+        message: 'Batch transfer cancelled',
+        batchId,
+        cancelledTransfers: result.cancelledFiles
+      });
+
+    } catch (error) {
+      fastify.log.error('Error cancelling batch transfer:', error);
+      sendBatchError(reply, error, 'cancel batch transfer');
+    }
+  });
+
+  // Retry the failed transfers of a batch
+  fastify.put('/batch/:id/retry-failed', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: batchParams
+    }
+  }, async (request, reply) => {
+    try {
+      const batchId = parseInt(request.params.id);
+      const result = await transferEngine.retryFailedInBatch(batchId, request.user.id);
+
+      reply.send({
+        success: true,
+        message: 'Failed transfers queued for retry',
+        batchId,
+        retriedTransfers: result.retriedFiles
+      });
+
+    } catch (error) {
+      fastify.log.error('Error retrying batch transfer:', error);
+      sendBatchError(reply, error, 'retry batch transfer');
+    }
+  });
+
   // List user's transfers
   fastify.get('/', {
     preHandler: [fastify.authenticate],
@@ -123,17 +585,22 @@ async function transferRoutes(fastify, options) {
           },
           status: {
             type: 'string',
-            enum: ['queued', 'running', 'completed', 'failed', 'cancelled']
+            enum: ['scheduled', 'queued', 'running', 'paused', 'completed', 'partial', 'skipped', 'failed', 'cancelled']
+          },
+          // List the files of a folder transfer instead of top-level transfers
+          parentId: {
+            type: 'integer',
+            minimum: 1
           }
         }
       }
     }
   }, async (request, reply) => {
     try {
-      const { limit = 20, offset = 0, status } = request.query;
+      const { limit = 20, offset = 0, status, parentId } = request.query;
 
       // Get transfers from database
-      let transfers = await fastify.db.getTransfersByUser(request.user.id, limit, offset);
+      let transfers = await fastify.db.getTransfersByUser(request.user.id, limit, offset, parentId);
       
       // Filter by status if specified
       if (status) {
@@ -144,12 +611,16 @@ async function transferRoutes(fastify, options) {
       const stats = await fastify.db.getTransferStats(request.user.id);
 
       // Get queue status
-      const queueStatus = transferEngine.getQueueStatus();
+      const queueStatus = transferEngine.getQueueStatus(request.user.id);
 
       reply.send({
         success: true,
         transfers: transfers.map(transfer => ({
           id: transfer.id,
+          type: transfer.type,
+          mode: transfer.mode,
+          conflictPolicy: transfer.conflict_policy,
+          parentId: transfer.parent_id,
           fileName: transfer.file_name,
           status: transfer.status,
           progress: transfer.progress,
@@ -157,6 +628,10 @@ async function transferRoutes(fastify, options) {
           transferredBytes: transfer.transferred_bytes,
           transferSpeed: transfer.transfer_speed,
           error: transfer.error_message,
+          retryCount: transfer.retry_count,
+          maxRetries: transfer.max_retries,
+          priority: transfer.priority,
+          scheduledAt: transfer.scheduled_at,
           sourceAccount: {
             id: transfer.source_account_id,
             name: transfer.source_account_name,
@@ -184,6 +659,10 @@ async function transferRoutes(fastify, options) {
           failed: stats.failed || 0,
           running: stats.running || 0,
           queued: stats.queued || 0,
+          paused: stats.paused || 0,
+          scheduled: stats.scheduled || 0,
+          partial: stats.partial || 0,
+          skipped: stats.skipped || 0,
           totalBytesTransferred: stats.total_bytes_transferred || 0
         },
         queue: queueStatus
@@ -245,6 +724,94 @@ async function transferRoutes(fastify, options) {
     }
   });
 
+  // Edit a scheduled transfer before it starts, or change the bandwidth
+  // limit of any unfinished transfer, running ones included
+  fastify.patch('/:id', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', pattern: '^[0-9]+$' }
+        }
+      },
+      body: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          scheduledAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          destinationFilePath: {
+            type: 'string',
+            minLength: 1
+          },
+          priority: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 10
+          },
+          bandwidth: bandwidthSchema
+        },
+        additionalProperties: false
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const transferId = parseInt(request.params.id);
+      const { bandwidth, ...changes } = request.body;
+
+      let transfer;
+      if (Object.keys(changes).length > 0) {
+        transfer = await transferEngine.updateScheduledTransfer(
+          transferId,
+          request.user.id,
+          changes
+        );
+      }
+      if (bandwidth !== undefined) {
+        transfer = await transferEngine.updateTransferBandwidth(
+          transferId,
+          request.user.id,
+          bandwidth
+        );
+      }
+
+      reply.send({
+        success: true,
+        message: 'Transfer updated',
+        transfer
+      });
+
+    } catch (error) {
+      fastify.log.error('Error updating transfer:', error);
+
+      if (error.message.includes('not found')) {
+        return reply.code(404).send({
+          error: 'Transfer not found',
+          message: error.message
+        });
+      }
+
+      if (
+        error.message.includes('Only') ||
+        error.message.includes('Invalid scheduled') ||
+        error.message.includes('Invalid bandwidth')
+      ) {
+        return reply.code(400).send({
+          error: 'Cannot update transfer',
+          message: error.message
+        });
+      }
+
+      reply.code(500).send({
+        error: 'Failed to update transfer',
+        message: 'Unable to update transfer.'
+      });
+    }
+  });
+
   // Cancel transfer
   fastify.put('/:id/cancel', {
     preHandler: [fastify.authenticate],
@@ -277,6 +844,13 @@ async function transferRoutes(fastify, options) {
           message: error.message
         });
       }
+
+      if (error.message.includes('already')) {
+        return reply.code(400).send({
+          error: 'Cannot cancel transfer',
+          message: error.message
+        });
+      }
       
       reply.code(500).send({
         error: 'Failed to cancel transfer',
@@ -285,8 +859,8 @@ async function transferRoutes(fastify, options) {
     }
   });
 
-  // Retry failed transfer
-  fastify.put('/:id/retry', {
+  // Pause a queued or running transfer
+  fastify.put('/:id/pause', {
     preHandler: [fastify.authenticate],
     schema: {
       params: {
@@ -299,43 +873,202 @@ async function transferRoutes(fastify, options) {
   }, async (request, reply) => {
     try {
       const transferId = parseInt(request.params.id);
-      
-      // Get transfer details
-      const transfer = await fastify.db.getTransferById(transferId, request.user.id);
-      
-      if (!transfer) {
+
+      const result = await transferEngine.pauseTransfer(transferId, request.user.id);
+
+      reply.send({
+        success: true,
+        message: result.message,
+        transferId
+      });
+
+    } catch (error) {
+      fastify.log.error('Error pausing transfer:', error);
+
+      if (error.message.includes('not found')) {
         return reply.code(404).send({
           error: 'Transfer not found',
-          message: 'Transfer not found or you do not have permission to access it.'
+          message: error.message
         });
       }
 
-      if (transfer.status !== 'failed') {
+      if (error.message.includes('Only')) {
         return reply.code(400).send({
-          error: 'Cannot retry transfer',
-          message: 'Only failed transfers can be retried.'
+          error: 'Cannot pause transfer',
+          message: error.message
         });
       }
 
-      // Reset transfer status and create new transfer job
-      const result = await transferEngine.createTransfer({
-        userId: request.user.id,
-        sourceAccountId: transfer.source_account_id,
-        destinationAccountId: transfer.destination_account_id,
-        sourceFilePath: transfer.source_path,
-        destinationFilePath: transfer.destination_path,
-        fileName: transfer.file_name
+      reply.code(500).send({
+        error: 'Failed to pause transfer',
+        message: 'Unable to pause transfer.'
+      });
+    }
+  });
+
+  // Resume a paused transfer from where it stopped
+  fastify.put('/:id/resume', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', pattern: '^[0-9]+$' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const transferId = parseInt(request.params.id);
+
+      const result = await transferEngine.resumeTransfer(transferId, request.user.id);
+
+      reply.send({
+        success: true,
+        message: result.message,
+        transferId: result.transferId,
+        status: result.status,
+        resumableBytes: result.resumableBytes
+      });
+
+    } catch (error) {
+      fastify.log.error('Error resuming transfer:', error);
+
+      if (error.message.includes('not found')) {
+        return reply.code(404).send({
+          error: 'Transfer not found',
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('still pausing')) {
+        return reply.code(409).send({
+          error: 'Cannot resume transfer',
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('Only')) {
+        return reply.code(400).send({
+          error: 'Cannot resume transfer',
+          message: error.message
+        });
+      }
+
+      reply.code(500).send({
+        error: 'Failed to resume transfer',
+        message: 'Unable to resume transfer.'
+      });
+    }
+  });
+
+  // Change the priority of a queued transfer
+  fastify.put('/:id/priority', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', pattern: '^[0-9]+$' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['priority'],
+        properties: {
+          priority: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 10
+          }
+        },
+        additionalProperties: false
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const transferId = parseInt(request.params.id);
+
+      const result = await transferEngine.updateTransferPriority(
+        transferId,
+        request.user.id,
+        request.body.priority
+      );
+
+      reply.send({
+        success: true,
+        message: result.message,
+        transferId: result.transferId,
+        priority: result.priority
       });
 
+    } catch (error) {
+      fastify.log.error('Error updating transfer priority:', error);
+
+      if (error.message.includes('not found')) {
+        return reply.code(404).send({
+          error: 'Transfer not found',
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('Only')) {
+        return reply.code(400).send({
+          error: 'Cannot change priority',
+          message: error.message
+        });
+      }
+
+      reply.code(500).send({
+        error: 'Failed to update priority',
+        message: 'Unable to update transfer priority.'
+      });
+    }
+  });
+
+  // Retry failed transfer
+  fastify.put('/:id/retry', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', pattern: '^[0-9]+$' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const transferId = parseInt(request.params.id);
+      
+      // Re-queue the same transfer; the attempt is recorded in retry_count
+      const result = await transferEngine.retryTransfer(transferId, request.user.id);
+
       reply.send({
         success: true,
-        message: 'Transfer retry initiated',
-        newTransferId: result.transferId,
-        originalTransferId: transferId
+        message: result.status === 'queued' ? 'Transfer retry initiated' : result.message,
+        transferId: result.transferId,
+        status: result.status,
+        retryCount: result.retryCount
       });
 
     } catch (error) {
       fastify.log.error('Error retrying transfer:', error);
+
+      if (error.message.includes('not found')) {
+        return reply.code(404).send({
+          error: 'Transfer not found',
+          message: 'Transfer not found or you do not have permission to access it.'
+        });
+      }
+
+      if (error.message.includes('Only failed')) {
+        return reply.code(400).send({
+          error: 'Cannot retry transfer',
+          message: error.message
+        });
+      }
+
       reply.code(500).send({
         error: 'Failed to retry transfer',
         message: 'Unable to retry transfer.'
@@ -348,7 +1081,7 @@ async function transferRoutes(fastify, options) {
     preHandler: [fastify.authenticate]
   }, async (request, reply) => {
     try {
-      const queueStatus = transferEngine.getQueueStatus();
+      const queueStatus = transferEngine.getQueueStatus(request.user.id);
       
       reply.send({
         success: true,
@@ -363,6 +1096,62 @@ async function transferRoutes(fastify, options) {
       });
     }
   });
+
+  // The global bandwidth limit and the user's own, each with the limit
+  // that applies right now
+  fastify.get('/bandwidth', {
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    try {
+      const bandwidth = await transferEngine.getBandwidthSettings(request.user.id);
+
+      reply.send({
+        success: true,
+        bandwidth
+      });
+
+    } catch (error) {
+      fastify.log.error('Error getting bandwidth settings:', error);
+      reply.code(500).send({
+        error: 'Failed to get bandwidth settings',
+        message: 'Unable to retrieve bandwidth settings.'
+      });
+    }
+  });
+
+  // Set the user's own limit, shared by all their transfers (running ones
+  // included) on top of the global one; an empty object removes it
+  fastify.put('/bandwidth', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      body: bandwidthSchema
+    }
+  }, async (request, reply) => {
+    try {
+      const bandwidth = await transferEngine.updateUserBandwidth(request.user.id, request.body);
+
+      reply.send({
+        success: true,
+        message: 'Bandwidth limit updated',
+        bandwidth
+      });
+
+    } catch (error) {
+      fastify.log.error('Error updating bandwidth settings:', error);
+
+      if (error.message.includes('Invalid bandwidth')) {
+        return reply.code(400).send({
+          error: 'Invalid bandwidth limit',
+          message: error.message
+        });
+      }
+
+      reply.code(500).send({
+        error: 'Failed to update bandwidth settings',
+        message: 'Unable to update bandwidth settings.'
+      });
+    }
+  });
 }
 
 module.exports = transferRoutes;
\ No newline at end of file
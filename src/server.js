@@ -6,6 +6,8 @@ const fastify = require("fastify")({
 
 // Import database
 const database = require("./services/database");
+const providerRegistry = require("./services/cloud-providers");
+const TransferEngine = require("./services/transfer-engine/transfer-engine");
 
 // Register CORS plugin
 fastify.register(require("@fastify/cors"), {
@@ -29,6 +31,9 @@ fastify.register(require("@fastify/multipart"), {
 // Add database to fastify instance
 fastify.decorate("db", database);
 
+// One transfer engine, shared by the transfer and sync routes
+fastify.decorate("transferEngine", new TransferEngine(database));
+
 // Authentication decorator for protected routes
 fastify.decorate("authenticate", async function (request, reply) {
   try {
@@ -81,7 +86,7 @@ fastify.get("/health", async (request, reply) => {
     },
     features: {
       multiAuth: true,
-      cloudProviders: ["aws", "google", "azure"],
+      cloudProviders: providerRegistry.list(),
       maxFileSize: process.env.MAX_FILE_SIZE || "5GB",
     },
   };
@@ -114,7 +119,7 @@ fastify.get("/", async (request, reply) => {
     },
     supportedProviders: {
       authentication: ["email", "google", "okta", "microsoft"],
-      cloudStorage: ["aws-s3", "google-drive", "azure-blob", "dropbox"],
+      cloudStorage: providerRegistry.list(),
     },
   };
 });
@@ -147,6 +152,7 @@ fastify.get("/api/db-test", async (request, reply) => {
 fastify.register(require("./routes/auth"), { prefix: "/api/auth" });
 fastify.register(require("./routes/accounts"), { prefix: "/api/accounts" });
 fastify.register(require('./routes/transfers'), { prefix: '/api/transfers' });
+fastify.register(require('./routes/sync'), { prefix: '/api/sync' });
 
 // Graceful shutdown handler
 async function closeGracefully(signal) {
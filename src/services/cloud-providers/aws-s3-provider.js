@@ -1,12 +1,42 @@
 // src/services/cloud-providers/aws-s3-provider.js - AWS S3 Real Integration
 const AWS = require("aws-sdk");
+const { Readable } = require("stream");
+const CloudProvider = require("./cloud-provider");
+const providerRegistry = require("./provider-registry");
+const RetryPolicy = require("../transfer-engine/retry-policy");
+
+// Multipart upload defaults, overridable with S3_MULTIPART_PART_SIZE and
+// S3_MULTIPART_CONCURRENCY
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+const DEFAULT_CONCURRENCY = 4;
+const MIN_PART_SIZE = 5 * 1024 * 1024; // Except the last part
+const MAX_PARTS = 10000;
+const PART_MAX_RETRIES = 3;
+
+const retryPolicy = new RetryPolicy({ baseDelay: 500, maxDelay: 10000 });
+
+class AWSS3Provider extends CloudProvider {
+  static displayName = "AWS S3";
+  static requiredCredentials = [
+    "accessKeyId",
+    "secretAccessKey",
+    "region",
+    "bucketName",
+  ];
+  static capabilities = {
+    serverSideCopy: true,
+    renameStrategy: "copy-delete",
+    maxSingleUploadSize: 5 * 1024 ** 3, // PutObject limit; larger goes multipart
+    maxFileSize: 5 * 1024 ** 4,
+    checksumAlgorithms: ["md5"], // ETag is the MD5 for single-part uploads
+    versioning: true,
+    rangedDownloads: true,
+    resumableUploads: true,
+  };
 
-class AWSS3Provider {
   constructor(credentials) {
-    this.credentials = credentials;
+    super(credentials);
     this.s3 = null;
-    this.authenticated = false;
-    this.lastError = null;
   }
 
   // Initialize S3 client with credentials
@@ -77,7 +107,7 @@ class AWSS3Provider {
           "Network connection failed. Please check your internet connection.";
       }
 
-      throw new Error(friendlyMessage);
+      throw new Error(friendlyMessage, { cause: error });
     }
   }
 
@@ -88,21 +118,33 @@ class AWSS3Provider {
         await this.authenticate();
       }
 
+      // A folder's children all start with "folder/"
+      if (prefix && !prefix.endsWith("/")) {
+        prefix += "/";
+      }
+
       const params = {
         Bucket: this.credentials.bucketName,
         Prefix: prefix,
+        Delimiter: "/",
         MaxKeys: options.limit || 1000,
         ContinuationToken: options.continuationToken,
       };
 
       const response = await this.s3.listObjectsV2(params).promise();
 
-      const files = response.Contents.map((obj) => ({
+      // Skip the folder's own placeholder object
+      const objects = response.Contents.filter((obj) => obj.Key !== prefix);
+
+      const files = objects.map((obj) => ({
         name: obj.Key.split("/").pop() || obj.Key,
         path: obj.Key,
         size: obj.Size,
         lastModified: obj.LastModified,
         etag: obj.ETag,
+        // A listing doesn't say how an object is encrypted, so its ETag
+        // can't be taken for an MD5
+        checksums: {},
         storageClass: obj.StorageClass,
         type: obj.Key.endsWith("/") ? "folder" : "file",
       }));
@@ -126,12 +168,12 @@ class AWSS3Provider {
         totalCount: files.length + folders.length,
       };
     } catch (error) {
-      throw new Error(`Failed to list files: ${error.message}`);
+      throw new Error(`Failed to list files: ${error.message}`, { cause: error });
     }
   }
 
   // Get file information
-  async getFileInfo(filePath) {
+  async getFileInfo(filePath, options = {}) {
     try {
       if (!this.authenticated) {
         await this.authenticate();
@@ -142,7 +184,10 @@ class AWSS3Provider {
         Key: filePath,
       };
 
-      const response = await this.s3.headObject(params).promise();
+      const response = await this.sendRequest(
+        this.s3.headObject(params),
+        options.signal
+      );
 
       return {
         success: true,
@@ -152,6 +197,7 @@ class AWSS3Provider {
           size: response.ContentLength,
           lastModified: response.LastModified,
           etag: response.ETag,
+          checksums: this.etagChecksums(response),
           contentType: response.ContentType,
           storageClass: response.StorageClass,
           metadata: response.Metadata,
@@ -161,12 +207,13 @@ class AWSS3Provider {
       if (error.code === "NotFound") {
         throw new Error(`File '${filePath}' not found`);
       }
-      throw new Error(`Failed to get file info: ${error.message}`);
+      throw new Error(`Failed to get file info: ${error.message}`, { cause: error });
     }
   }
 
-  // Upload file with progress tracking
-  async uploadFile(fileBuffer, destinationPath, options = {}) {
+  // Upload file with progress tracking (body can be a Buffer or a Readable stream).
+  // Anything bigger than one part goes through an explicit multipart upload.
+  async uploadFile(body, destinationPath, options = {}) {
     try {
       if (!this.authenticated) {
         await this.authenticate();
@@ -174,8 +221,7 @@ class AWSS3Provider {
 
       const params = {
         Bucket: this.credentials.bucketName,
-        Key: destinationPath,
-        Body: fileBuffer,
+        Key: this.resolvePath(destinationPath, options.parentPath),
         ContentType: options.contentType || "application/octet-stream",
       };
 
@@ -184,23 +230,156 @@ class AWSS3Provider {
         params.Metadata = options.metadata;
       }
 
-      const upload = this.s3.upload(params);
-
-      // Track progress if callback provided
-      if (options.onProgress) {
-        upload.on("httpUploadProgress", (progress) => {
-          const percentage = Math.round(
-            (progress.loaded / progress.total) * 100
-          );
-          options.onProgress({
-            loaded: progress.loaded,
-            total: progress.total,
-            percentage: percentage,
-          });
-        });
+      const stream = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+      const total = Buffer.isBuffer(body) ? body.length : options.totalSize || 0;
+
+      return await this.uploadMultipart(stream, params, total, options);
+    } catch (error) {
+      throw new Error(`Upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Upload a stream as parts of partSize bytes, up to `concurrency` at a time.
+  // Only that many parts are held in memory; reading the next chunk waits
+  // for a free slot, which keeps backpressure on the source.
+  //
+  // With options.onCheckpoint, each finished part is reported so the upload
+  // can be continued later via options.resumeState. Without it, a failed
+  // upload is aborted so its parts don't linger in the bucket.
+  async uploadMultipart(stream, params, total, options) {
+    let upload = options.resumeState;
+    const partSize = upload ? upload.partSize : this.getPartSize(total, options);
+    const concurrency =
+      options.concurrency ||
+      parseInt(process.env.S3_MULTIPART_CONCURRENCY) ||
+      DEFAULT_CONCURRENCY;
+
+    const chunks = this.readChunks(stream, partSize)[Symbol.asyncIterator]();
+    let next = await chunks.next();
+
+    // A single short chunk is the whole file; one PutObject is enough
+    if (!upload && (next.done || next.value.length < partSize)) {
+      const data = next.done ? Buffer.alloc(0) : next.value;
+      const result = await this.sendRequest(
+        this.s3.putObject({ ...params, Body: data }),
+        options.signal
+      );
+      this.reportProgress(options, data.length, data.length);
+
+      return {
+        success: true,
+        file: {
+          path: params.Key,
+          etag: result.ETag,
+          location: `https://${params.Bucket}.s3.amazonaws.com/${params.Key}`,
+          bucket: params.Bucket,
+        },
+      };
+    }
+
+    if (!upload) {
+      const created = await this.sendRequest(
+        this.s3.createMultipartUpload(params),
+        options.signal
+      );
+      upload = {
+        uploadId: created.UploadId,
+        key: params.Key,
+        partSize: partSize,
+        parts: [],
+        offset: 0,
+      };
+
+      // Record the upload ID before any data is sent so it can be found again
+      if (options.onCheckpoint) {
+        options.onCheckpoint({ range: null, upload: upload });
+      }
+    }
+
+    const partParams = {
+      Bucket: params.Bucket,
+      Key: upload.key,
+      UploadId: upload.uploadId,
+    };
+
+    // Continue after the last part that was stored without gaps
+    const completedParts = upload.parts.filter(
+      (part) => part.PartNumber <= upload.offset / partSize
+    );
+    let partNumber = completedParts.length;
+    let offset = upload.offset;
+    let loaded = upload.offset;
+    const inFlight = new Set();
+
+    const finishPart = (part, start, length) => {
+      completedParts.push(part);
+      completedParts.sort((a, b) => a.PartNumber - b.PartNumber);
+
+      // Bytes stored from the start of the file without a missing part
+      let contiguous = 0;
+      while (
+        contiguous < completedParts.length &&
+        completedParts[contiguous].PartNumber === contiguous + 1
+      ) {
+        contiguous++;
       }
 
-      const result = await upload.promise();
+      upload = {
+        ...upload,
+        parts: [...completedParts],
+        offset: Math.min(contiguous * partSize, offset),
+      };
+      loaded += length;
+
+      if (options.onCheckpoint) {
+        options.onCheckpoint({ range: [start, start + length], upload: upload });
+      }
+      this.reportProgress(options, loaded, total);
+    };
+
+    try {
+      for (; !next.done; next = await chunks.next()) {
+        if (options.signal) options.signal.throwIfAborted();
+        const chunk = next.value;
+        const start = offset;
+        partNumber++;
+        offset += chunk.length;
+
+        const task = this.uploadPart(
+          partParams,
+          partNumber,
+          chunk,
+          options.signal
+        ).then(
+          (part) => finishPart(part, start, chunk.length)
+        );
+        const tracked = task.finally(() => inFlight.delete(tracked));
+        tracked.catch(() => {}); // Failures surface through race/all below
+        inFlight.add(tracked);
+
+        if (inFlight.size >= concurrency) {
+          await Promise.race(inFlight);
+        }
+      }
+
+      await Promise.all(inFlight);
+
+      // A multipart upload needs at least one (possibly empty) part
+      if (completedParts.length === 0) {
+        finishPart(
+          await this.uploadPart(partParams, 1, Buffer.alloc(0), options.signal),
+          0,
+          0
+        );
+      }
+
+      const result = await this.sendRequest(
+        this.s3.completeMultipartUpload({
+          ...partParams,
+          MultipartUpload: { Parts: completedParts },
+        }),
+        options.signal
+      );
 
       return {
         success: true,
@@ -212,7 +391,216 @@ class AWSS3Provider {
         },
       };
     } catch (error) {
-      throw new Error(`Upload failed: ${error.message}`);
+      // Let parts still in flight finish before deciding what to keep
+      await Promise.allSettled(inFlight);
+
+      if (!options.onCheckpoint) {
+        await this.abortUpload(upload).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  // Upload one part, retrying transient failures with backoff
+  async uploadPart(partParams, partNumber, chunk, signal) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const part = await this.sendRequest(
+          this.s3.uploadPart({
+            ...partParams,
+            PartNumber: partNumber,
+            Body: chunk,
+          }),
+          signal
+        );
+        return { PartNumber: partNumber, ETag: part.ETag };
+      } catch (error) {
+        if (
+          (signal && signal.aborted) ||
+          attempt > PART_MAX_RETRIES ||
+          !retryPolicy.isRetryable(error)
+        ) {
+          throw error;
+        }
+        await new Promise((resolve) =>
+          setTimeout(resolve, retryPolicy.getDelay(attempt))
+        );
+      }
+    }
+  }
+
+  // Send an SDK request, aborting it when the signal fires
+  async sendRequest(request, signal) {
+    if (!signal) {
+      return request.promise();
+    }
+
+    signal.throwIfAborted();
+    const onAbort = () => request.abort();
+    signal.addEventListener("abort", onAbort, { once: true });
+
+    try {
+      return await request.promise();
+    } catch (error) {
+      signal.throwIfAborted();
+      throw error;
+    } finally {
+      signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  // Part size from options or S3_MULTIPART_PART_SIZE, raised when needed to
+  // stay within S3's 10,000 part limit
+  getPartSize(total, options = {}) {
+    const configured = Math.max(
+      MIN_PART_SIZE,
+      options.partSize ||
+        parseInt(process.env.S3_MULTIPART_PART_SIZE) ||
+        DEFAULT_PART_SIZE
+    );
+
+    if (total > configured * MAX_PARTS) {
+      const mib = 1024 * 1024;
+      return Math.ceil(total / MAX_PARTS / mib) * mib;
+    }
+    return configured;
+  }
+
+  // A single-part ETag is the MD5 of the content when the object is stored
+  // unencrypted or with S3-managed keys. A multipart one ("<hash>-<parts>")
+  // isn't, nor is that of an object encrypted with a KMS or customer key.
+  etagChecksums(head) {
+    if (
+      head.SSECustomerAlgorithm ||
+      (head.ServerSideEncryption && head.ServerSideEncryption !== "AES256")
+    ) {
+      return {};
+    }
+
+    const value = (head.ETag || "").replace(/"/g, "");
+    return value && !value.includes("-") ? { md5: value } : {};
+  }
+
+  reportProgress(options, loaded, total) {
+    if (options.onProgress) {
+      options.onProgress({
+        loaded: loaded,
+        total: total,
+        percentage: total > 0 ? Math.round((loaded / total) * 100) : 0,
+      });
+    }
+  }
+
+  // Abort a multipart upload and discard the parts stored so far
+  async abortUpload(upload) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      await this.s3
+        .abortMultipartUpload({
+          Bucket: this.credentials.bucketName,
+          Key: upload.key,
+          UploadId: upload.uploadId,
+        })
+        .promise();
+
+      return { success: true, message: `Upload to '${upload.key}' aborted` };
+    } catch (error) {
+      if (error.code === "NoSuchUpload") {
+        return { success: true, message: "Upload already finished or aborted" };
+      }
+      throw new Error(`Failed to abort upload: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  // List multipart uploads that were started but never completed or aborted
+  async listIncompleteUploads() {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      const uploads = [];
+      let keyMarker;
+      let uploadIdMarker;
+      do {
+        const page = await this.s3
+          .listMultipartUploads({
+            Bucket: this.credentials.bucketName,
+            KeyMarker: keyMarker,
+            UploadIdMarker: uploadIdMarker,
+          })
+          .promise();
+
+        for (const item of page.Uploads || []) {
+          uploads.push({
+            key: item.Key,
+            uploadId: item.UploadId,
+            initiated: item.Initiated,
+            storageClass: item.StorageClass,
+          });
+        }
+
+        keyMarker = page.IsTruncated ? page.NextKeyMarker : undefined;
+        uploadIdMarker = page.IsTruncated ? page.NextUploadIdMarker : undefined;
+      } while (keyMarker);
+
+      return { success: true, uploads: uploads };
+    } catch (error) {
+      throw new Error(`Failed to list incomplete uploads: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  // Check which parts of a multipart upload S3 already has
+  async getUploadStatus(upload) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      const params = {
+        Bucket: this.credentials.bucketName,
+        Key: upload.key,
+        UploadId: upload.uploadId,
+      };
+
+      const stored = [];
+      let marker;
+      do {
+        const page = await this.s3
+          .listParts({ ...params, PartNumberMarker: marker })
+          .promise();
+        stored.push(...page.Parts);
+        marker = page.IsTruncated ? page.NextPartNumberMarker : undefined;
+      } while (marker);
+
+      // Only a gap-free run of full parts from the start can be continued
+      const parts = [];
+      for (const part of stored.sort((a, b) => a.PartNumber - b.PartNumber)) {
+        if (
+          part.PartNumber !== parts.length + 1 ||
+          part.Size !== upload.partSize
+        ) {
+          break;
+        }
+        parts.push({ PartNumber: part.PartNumber, ETag: part.ETag });
+      }
+
+      const offset = parts.length * upload.partSize;
+      return { offset: offset, upload: { ...upload, parts, offset } };
+    } catch (error) {
+      if (error.code === "NoSuchUpload") {
+        return null;
+      }
+      throw new Error(`Failed to get upload status: ${error.message}`, {
+        cause: error,
+      });
     }
   }
 
@@ -228,14 +616,37 @@ class AWSS3Provider {
         Key: filePath,
       };
 
+      // Resume part-way through the object
+      if (options.start) {
+        params.Range = `bytes=${options.start}-`;
+      }
+
+      // Get file info for metadata, before anything is opened that a
+      // cancelled transfer would have to close again
+      const fileInfo = await this.getFileInfo(filePath, {
+        signal: options.signal,
+      });
+      if (options.signal) {
+        options.signal.throwIfAborted();
+      }
+
       // Get the S3 object
       const s3Object = this.s3.getObject(params);
 
       // Create the stream
       const stream = s3Object.createReadStream();
 
-      // Get file info for metadata
-      const fileInfo = await this.getFileInfo(filePath);
+      // Stop the download when the transfer is cancelled
+      if (options.signal) {
+        const onAbort = () => {
+          s3Object.abort();
+          stream.destroy(options.signal.reason);
+        };
+        options.signal.addEventListener("abort", onAbort, { once: true });
+        stream.once("close", () =>
+          options.signal.removeEventListener("abort", onAbort)
+        );
+      }
 
       return {
         success: true,
@@ -246,12 +657,12 @@ class AWSS3Provider {
       if (error.code === "NoSuchKey") {
         throw new Error(`File '${filePath}' not found`);
       }
-      throw new Error(`Download failed: ${error.message}`);
+      throw new Error(`Download failed: ${error.message}`, { cause: error });
     }
   }
 
   // Delete file
-  async deleteFile(filePath) {
+  async deleteFile(filePath, options = {}) {
     try {
       if (!this.authenticated) {
         await this.authenticate();
@@ -262,7 +673,7 @@ class AWSS3Provider {
         Key: filePath,
       };
 
-      await this.s3.deleteObject(params).promise();
+      await this.sendRequest(this.s3.deleteObject(params), options.signal);
 
       return {
         success: true,
@@ -274,16 +685,15 @@ class AWSS3Provider {
   }
 
   // Create folder (S3 doesn't have folders, but we can create an empty object with trailing slash)
-  async createFolder(folderPath) {
+  async createFolder(folderPath, parentPath = "") {
     try {
       if (!this.authenticated) {
         await this.authenticate();
       }
 
       // Ensure folder path ends with /
-      const normalizedPath = folderPath.endsWith("/")
-        ? folderPath
-        : folderPath + "/";
+      const fullPath = this.resolvePath(folderPath, parentPath);
+      const normalizedPath = fullPath.endsWith("/") ? fullPath : fullPath + "/";
 
       const params = {
         Bucket: this.credentials.bucketName,
@@ -356,4 +766,6 @@ class AWSS3Provider {
   }
 }
 
+providerRegistry.register("aws-s3", AWSS3Provider);
+
 module.exports = AWSS3Provider;
@@ -0,0 +1,386 @@
+// src/services/cloud-providers/azure-blob-provider.js - Azure Blob Storage Integration
+const { BlobServiceClient } = require("@azure/storage-blob");
+const CloudProvider = require("./cloud-provider");
+const providerRegistry = require("./provider-registry");
+
+class AzureBlobProvider extends CloudProvider {
+  static displayName = "Azure Blob Storage";
+  static requiredCredentials = ["connectionString", "containerName"];
+  static capabilities = {
+    serverSideCopy: true,
+    renameStrategy: "copy-delete",
+    maxSingleUploadSize: 5000 * 1024 ** 2, // Put Blob limit; larger is staged in blocks
+    maxFileSize: 50000 * 4000 * 1024 ** 2, // 50,000 blocks of 4000 MiB
+    checksumAlgorithms: ["md5"],
+    versioning: true,
+    rangedDownloads: true,
+  };
+
+  constructor(credentials) {
+    super(credentials);
+    this.blobServiceClient = null;
+    this.containerClient = null;
+  }
+
+  // Initialize Blob client from the connection string. Azurite and other
+  // local emulators work by pointing BlobEndpoint at the emulator, or with
+  // "UseDevelopmentStorage=true".
+  initialize() {
+    try {
+      this.blobServiceClient = BlobServiceClient.fromConnectionString(
+        this.credentials.connectionString
+      );
+      this.containerClient = this.blobServiceClient.getContainerClient(
+        this.credentials.containerName
+      );
+      return true;
+    } catch (error) {
+      this.lastError = `Failed to initialize Azure Blob client: ${error.message}`;
+      return false;
+    }
+  }
+
+  // Test authentication and container access
+  async authenticate() {
+    try {
+      if (!this.containerClient) {
+        if (!this.initialize()) {
+          throw new Error(this.lastError);
+        }
+      }
+
+      // Test container access
+      const properties = await this.containerClient.getProperties();
+
+      this.authenticated = true;
+      this.lastError = null;
+
+      return {
+        success: true,
+        provider: "Azure Blob Storage",
+        account: this.blobServiceClient.accountName,
+        container: this.credentials.containerName,
+        lastModified: properties.lastModified,
+        message: "Authentication successful",
+      };
+    } catch (error) {
+      this.authenticated = false;
+      this.lastError = error.message;
+
+      // Handle specific Azure errors
+      let friendlyMessage = "Authentication failed";
+
+      if (error.message.startsWith("Failed to initialize")) {
+        friendlyMessage = "Invalid Azure Storage connection string";
+      } else if (error.code === "AuthenticationFailed") {
+        friendlyMessage = "Invalid Azure Storage account key";
+      } else if (error.code === "ContainerNotFound") {
+        friendlyMessage = `Container '${this.credentials.containerName}' does not exist`;
+      } else if (error.code === "AuthorizationFailure") {
+        friendlyMessage = `Access denied to container '${this.credentials.containerName}'`;
+      } else if (error.code === "ENOTFOUND" || error.code === "ECONNREFUSED") {
+        friendlyMessage =
+          "Network connection failed. Please check your internet connection.";
+      }
+
+      throw new Error(friendlyMessage, { cause: error });
+    }
+  }
+
+  // List blobs in container, grouping by "/" into virtual folders
+  async listFiles(prefix = "", options = {}) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      // A folder's children all start with "folder/"
+      if (prefix && !prefix.endsWith("/")) {
+        prefix += "/";
+      }
+
+      const page = (
+        await this.containerClient
+          .listBlobsByHierarchy("/", { prefix: prefix })
+          .byPage({
+            continuationToken: options.continuationToken,
+            maxPageSize: options.limit || 1000,
+          })
+          .next()
+      ).value;
+
+      // Skip the folder's own placeholder blob
+      const blobs = page.segment.blobItems.filter(
+        (blob) => blob.name !== prefix
+      );
+
+      const files = blobs.map((blob) => ({
+        name: blob.name.split("/").pop() || blob.name,
+        path: blob.name,
+        size: blob.properties.contentLength,
+        lastModified: blob.properties.lastModified,
+        etag: blob.properties.etag,
+        checksums: this.md5Checksums(blob.properties.contentMD5),
+        storageClass: blob.properties.accessTier,
+        type: blob.name.endsWith("/") ? "folder" : "file",
+      }));
+
+      // Also get "folders" (blob prefixes)
+      const folders = (page.segment.blobPrefixes || []).map((blobPrefix) => ({
+        name: blobPrefix.name
+          .split("/")
+          .filter((p) => p)
+          .pop(),
+        path: blobPrefix.name,
+        type: "folder",
+        size: 0,
+        lastModified: null,
+      }));
+
+      return {
+        success: true,
+        files: [...folders, ...files],
+        hasMore: !!page.continuationToken,
+        nextContinuationToken: page.continuationToken || undefined,
+        totalCount: files.length + folders.length,
+      };
+    } catch (error) {
+      throw new Error(`Failed to list files: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Get file information
+  async getFileInfo(filePath, options = {}) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      const blobClient = this.containerClient.getBlobClient(filePath);
+      const response = await blobClient.getProperties({
+        abortSignal: options.signal,
+      });
+
+      return {
+        success: true,
+        file: {
+          name: filePath.split("/").pop() || filePath,
+          path: filePath,
+          size: response.contentLength,
+          lastModified: response.lastModified,
+          etag: response.etag,
+          contentType: response.contentType,
+          contentMD5: response.contentMD5
+            ? Buffer.from(response.contentMD5).toString("base64")
+            : null,
+          checksums: this.md5Checksums(response.contentMD5),
+          storageClass: response.accessTier,
+          metadata: response.metadata,
+        },
+      };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        throw new Error(`File '${filePath}' not found`);
+      }
+      throw new Error(`Failed to get file info: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Upload file with progress tracking (body can be a Buffer or a Readable stream)
+  async uploadFile(body, destinationPath, options = {}) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      destinationPath = this.resolvePath(destinationPath, options.parentPath);
+      const blockBlobClient =
+        this.containerClient.getBlockBlobClient(destinationPath);
+      const total = Buffer.isBuffer(body) ? body.length : options.totalSize || 0;
+
+      const uploadOptions = {
+        blobHTTPHeaders: {
+          blobContentType: options.contentType || "application/octet-stream",
+        },
+        abortSignal: options.signal,
+      };
+
+      // Add metadata if provided
+      if (options.metadata) {
+        uploadOptions.metadata = options.metadata;
+      }
+
+      // Track progress if callback provided
+      if (options.onProgress) {
+        uploadOptions.onProgress = (progress) => {
+          const percentage =
+            total > 0 ? Math.round((progress.loadedBytes / total) * 100) : 0;
+          options.onProgress({
+            loaded: progress.loadedBytes,
+            total: total,
+            percentage: percentage,
+          });
+        };
+      }
+
+      let result;
+      if (Buffer.isBuffer(body)) {
+        result = await blockBlobClient.uploadData(body, uploadOptions);
+      } else {
+        // Blocks are staged as they are read, so only bufferSize * concurrency
+        // bytes are held in memory at a time
+        result = await blockBlobClient.uploadStream(
+          body,
+          4 * 1024 * 1024,
+          4,
+          uploadOptions
+        );
+      }
+
+      return {
+        success: true,
+        file: {
+          path: destinationPath,
+          etag: result.etag,
+          location: blockBlobClient.url,
+          container: this.credentials.containerName,
+        },
+      };
+    } catch (error) {
+      throw new Error(`Upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Download file
+  async downloadFile(filePath, options = {}) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      const blobClient = this.containerClient.getBlobClient(filePath);
+
+      // Get file info for metadata
+      const fileInfo = await this.getFileInfo(filePath);
+
+      // Start the download (from options.start when resuming) and hand back
+      // the response stream
+      const response = await blobClient.download(options.start || 0, undefined, {
+        abortSignal: options.signal,
+      });
+
+      return {
+        success: true,
+        stream: response.readableStreamBody,
+        fileInfo: fileInfo.file,
+      };
+    } catch (error) {
+      if (error.message.includes("not found")) {
+        throw error;
+      }
+      throw new Error(`Download failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Delete file
+  async deleteFile(filePath, options = {}) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      await this.containerClient
+        .getBlobClient(filePath)
+        .delete({ abortSignal: options.signal });
+
+      return {
+        success: true,
+        message: `File '${filePath}' deleted successfully`,
+      };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        throw new Error(`File '${filePath}' not found`);
+      }
+      throw new Error(`Delete failed: ${error.message}`);
+    }
+  }
+
+  // Create folder (Blob storage is flat, so store an empty marker blob with a trailing slash)
+  async createFolder(folderPath, parentPath = "") {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      // Ensure folder path ends with /
+      const fullPath = this.resolvePath(folderPath, parentPath);
+      const normalizedPath = fullPath.endsWith("/") ? fullPath : fullPath + "/";
+
+      await this.containerClient
+        .getBlockBlobClient(normalizedPath)
+        .upload("", 0, {
+          blobHTTPHeaders: { blobContentType: "application/x-directory" },
+        });
+
+      return {
+        success: true,
+        folder: {
+          path: normalizedPath,
+          name: folderPath
+            .split("/")
+            .filter((p) => p)
+            .pop(),
+        },
+      };
+    } catch (error) {
+      throw new Error(`Failed to create folder: ${error.message}`);
+    }
+  }
+
+  // Rename file (server-side copy to new location and delete original)
+  async renameFile(oldPath, newPath) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      const sourceClient = this.containerClient.getBlobClient(oldPath);
+      const targetClient = this.containerClient.getBlobClient(newPath);
+
+      // First, copy the blob to the new location and wait for it to finish
+      const poller = await targetClient.beginCopyFromURL(sourceClient.url);
+      await poller.pollUntilDone();
+
+      // Then delete the original blob
+      await sourceClient.delete();
+
+      return {
+        success: true,
+        message: `File renamed from '${oldPath}' to '${newPath}'`,
+        oldPath: oldPath,
+        newPath: newPath,
+      };
+    } catch (error) {
+      throw new Error(`Rename failed: ${error.message}`);
+    }
+  }
+
+  // Azure only stores a Content-MD5 for blobs uploaded in a single request
+  md5Checksums(contentMD5) {
+    return contentMD5 ? { md5: Buffer.from(contentMD5).toString("hex") } : {};
+  }
+
+  // Get connection status
+  getStatus() {
+    return {
+      authenticated: this.authenticated,
+      provider: "Azure Blob Storage",
+      container: this.credentials.containerName,
+      lastError: this.lastError,
+    };
+  }
+}
+
+providerRegistry.register("azure-blob", AzureBlobProvider);
+
+module.exports = AzureBlobProvider;
@@ -0,0 +1,252 @@
+// src/services/cloud-providers/cloud-provider.js - Common Cloud Provider Contract
+//
+// Every storage backend extends this class and registers itself with the
+// provider registry, e.g. providerRegistry.register("aws-s3", AWSS3Provider).
+// Routes and the transfer engine only talk to providers through this surface.
+//
+// Locations are strings: a key/path for path-addressed backends (S3, Azure,
+// Dropbox) or an item ID for ID-addressed backends (Google Drive).
+
+// Contract methods, keyed by the operation name reported in capabilities
+const OPERATIONS = {
+  list: "listFiles",
+  getFileInfo: "getFileInfo",
+  upload: "uploadFile",
+  download: "downloadFile",
+  delete: "deleteFile",
+  createFolder: "createFolder",
+  rename: "renameFile",
+  abortUpload: "abortUpload",
+  listIncompleteUploads: "listIncompleteUploads",
+};
+
+const DEFAULT_CAPABILITIES = {
+  addressing: "path", // "path" or "id"
+  nativeFolders: false, // false when folders are emulated with key prefixes
+  serverSideCopy: false,
+  renameStrategy: "native", // "native" or "copy-delete"
+  maxSingleUploadSize: null, // bytes, null when unknown
+  maxFileSize: null, // bytes, null when unknown
+  checksumAlgorithms: [],
+  versioning: false,
+  exportFormats: {}, // source MIME type -> MIME type it is exported as
+  rangedDownloads: false, // downloadFile honours options.start
+  resumableUploads: false, // uploadFile can checkpoint and continue later
+};
+
+class CloudProvider {
+  // Human readable name, shown in API responses
+  static displayName = "Cloud Provider";
+
+  // Credential fields that must be present when an account is added
+  static requiredCredentials = [];
+
+  // Fields that differ from DEFAULT_CAPABILITIES
+  static capabilities = {};
+
+  // Full capability descriptor. Supported operations are derived from the
+  // contract methods the subclass actually implements.
+  static describeCapabilities() {
+    const operations = {};
+    for (const [operation, method] of Object.entries(OPERATIONS)) {
+      operations[operation] =
+        this.prototype[method] !== CloudProvider.prototype[method];
+    }
+
+    return {
+      provider: this.id,
+      displayName: this.displayName,
+      ...DEFAULT_CAPABILITIES,
+      ...this.capabilities,
+      operations: operations,
+    };
+  }
+
+  constructor(credentials) {
+    this.credentials = credentials;
+    this.authenticated = false;
+    this.lastError = null;
+  }
+
+  // Verify credentials; resolves with { success, message, ...details }
+  async authenticate() {
+    throw this.notImplemented("authenticate");
+  }
+
+  // List the direct children of a folder
+  // Resolves with { files, hasMore, totalCount, nextContinuationToken };
+  // pass nextContinuationToken back as options.continuationToken for the
+  // next page
+  async listFiles(folderPath, options = {}) {
+    throw this.notImplemented("listFiles");
+  }
+
+  // Resolves with { file: { name, path, size, lastModified, checksums, ... } }
+  // where checksums maps checksumAlgorithms names to the lowercase hex
+  // digests the backend reports for this file (possibly none).
+  // options.signal aborts the request.
+  async getFileInfo(filePath, options = {}) {
+    throw this.notImplemented("getFileInfo");
+  }
+
+  // Upload a Buffer or Readable stream. options.parentPath places the file
+  // inside a folder; options.onProgress receives { loaded, total, percentage }.
+  // With resumableUploads, passing options.onCheckpoint uploads in chunks and
+  // calls it with { range: [start, end], upload } as each one is committed;
+  // passing that upload state back as options.resumeState continues where it
+  // stopped (body then starts at upload.offset).
+  async uploadFile(body, destinationPath, options = {}) {
+    throw this.notImplemented("uploadFile");
+  }
+
+  // How far a checkpointed upload got. Resolves with { offset, upload }, or
+  // null when the upload can no longer be continued.
+  async getUploadStatus(upload) {
+    throw this.notImplemented("getUploadStatus");
+  }
+
+  // Abandon a checkpointed upload and discard whatever it stored
+  async abortUpload(upload) {
+    throw this.notImplemented("abortUpload");
+  }
+
+  // Uploads started but never finished, e.g. S3 multipart uploads.
+  // Resolves with { uploads: [{ key, uploadId, initiated }] }
+  async listIncompleteUploads() {
+    throw this.notImplemented("listIncompleteUploads");
+  }
+
+  // Resolves with { stream, fileInfo }. With rangedDownloads, options.start
+  // skips the first bytes of the file.
+  async downloadFile(filePath, options = {}) {
+    throw this.notImplemented("downloadFile");
+  }
+
+  // options.signal aborts the request
+  async deleteFile(filePath, options = {}) {
+    throw this.notImplemented("deleteFile");
+  }
+
+  // Create a folder, optionally inside parentPath
+  async createFolder(folderPath, parentPath = "") {
+    throw this.notImplemented("createFolder");
+  }
+
+  // Rename a file; build newPath with siblingPath() so it suits the backend
+  async renameFile(oldPath, newPath) {
+    throw this.notImplemented("renameFile");
+  }
+
+  getCapabilities() {
+    return this.constructor.describeCapabilities();
+  }
+
+  // Get connection status
+  getStatus() {
+    return {
+      authenticated: this.authenticated,
+      provider: this.constructor.displayName,
+      lastError: this.lastError,
+    };
+  }
+
+  // Join a folder and a child name into a location
+  resolvePath(name, parentPath = "") {
+    if (!parentPath) return name;
+    return `${parentPath.replace(/\/+$/, "")}/${name}`;
+  }
+
+  // Location of an item after renaming it to newName
+  siblingPath(filePath, newName) {
+    const pathParts = filePath.split("/");
+    pathParts[pathParts.length - 1] = newName;
+    return pathParts.join("/");
+  }
+
+  // The file an upload of name into parentPath would collide with, or null
+  // when the name is free
+  async findFile(name, parentPath = "") {
+    if (this.getCapabilities().addressing === "id") {
+      let continuationToken;
+
+      do {
+        const page = await this.listFiles(parentPath, { continuationToken });
+        const match = page.files.find(
+          (item) => item.type === "file" && item.name === name
+        );
+        if (match) return match;
+
+        continuationToken = page.hasMore ? page.nextContinuationToken : null;
+      } while (continuationToken);
+
+      return null;
+    }
+
+    try {
+      const { file } = await this.getFileInfo(this.resolvePath(name, parentPath));
+      return file;
+    } catch (error) {
+      if (error.message.includes("not found")) return null;
+      throw error;
+    }
+  }
+
+  // Walk everything below a folder, depth first, following continuation
+  // tokens. Yields { item, relativePath, depth } for each file and folder;
+  // relativePath is built from item names so it can be recreated elsewhere.
+  async *walk(folderPath, relativePath = "", depth = 0) {
+    let continuationToken;
+
+    do {
+      const page = await this.listFiles(folderPath, { continuationToken });
+
+      for (const item of page.files) {
+        const itemPath = relativePath
+          ? `${relativePath}/${item.name}`
+          : item.name;
+        yield { item, relativePath: itemPath, depth };
+
+        if (item.type === "folder") {
+          yield* this.walk(item.path, itemPath, depth + 1);
+        }
+      }
+
+      continuationToken = page.hasMore ? page.nextContinuationToken : null;
+    } while (continuationToken);
+  }
+
+  // Re-chunk a stream into Buffers of exactly chunkSize bytes (the last one
+  // may be shorter). Reading with for-await keeps backpressure on the source.
+  async *readChunks(stream, chunkSize) {
+    let pending = [];
+    let pendingSize = 0;
+
+    for await (const data of stream) {
+      let buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+
+      while (pendingSize + buffer.length >= chunkSize) {
+        const needed = chunkSize - pendingSize;
+        pending.push(buffer.subarray(0, needed));
+        yield Buffer.concat(pending, chunkSize);
+        buffer = buffer.subarray(needed);
+        pending = [];
+        pendingSize = 0;
+      }
+
+      if (buffer.length > 0) {
+        pending.push(buffer);
+        pendingSize += buffer.length;
+      }
+    }
+
+    if (pendingSize > 0) {
+      yield Buffer.concat(pending, pendingSize);
+    }
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.constructor.displayName} does not support ${method}`);
+  }
+}
+
+module.exports = CloudProvider;
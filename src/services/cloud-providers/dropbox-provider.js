@@ -0,0 +1,469 @@
+// src/services/cloud-providers/dropbox-provider.js - Dropbox Integration
+const { Readable } = require("stream");
+const CloudProvider = require("./cloud-provider");
+const providerRegistry = require("./provider-registry");
+
+const API_URL = "https://api.dropboxapi.com/2";
+const CONTENT_URL = "https://content.dropboxapi.com/2";
+
+// Dropbox only accepts single uploads up to 150MB; larger files go through
+// an upload session in chunks of this size
+const SINGLE_UPLOAD_LIMIT = 150 * 1024 * 1024;
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+
+class DropboxProvider extends CloudProvider {
+  static displayName = "Dropbox";
+  static requiredCredentials = ["accessToken"];
+  static capabilities = {
+    nativeFolders: true,
+    serverSideCopy: true,
+    maxSingleUploadSize: SINGLE_UPLOAD_LIMIT,
+    maxFileSize: 350 * 1024 ** 3, // Upload session limit
+    checksumAlgorithms: ["dropbox-content-hash"],
+    versioning: true,
+    rangedDownloads: true,
+  };
+
+  constructor(credentials) {
+    super(credentials);
+  }
+
+  // Test authentication and account access
+  async authenticate() {
+    try {
+      const account = await this.apiRequest("/users/get_current_account");
+      const space = await this.apiRequest("/users/get_space_usage");
+
+      this.authenticated = true;
+      this.lastError = null;
+
+      return {
+        success: true,
+        provider: "Dropbox",
+        user: account.email,
+        storage: {
+          usage: space.used,
+          limit: space.allocation ? space.allocation.allocated : null,
+        },
+        message: "Authentication successful",
+      };
+    } catch (error) {
+      this.authenticated = false;
+      this.lastError = error.message;
+
+      let friendlyMessage = "Authentication failed";
+
+      if (error.status === 401) {
+        friendlyMessage = "Invalid or expired Dropbox access token";
+      } else if (error.status === 403) {
+        friendlyMessage = "Dropbox app does not have the required permissions";
+      } else if (error.cause && error.cause.code === "ENOTFOUND") {
+        friendlyMessage =
+          "Network connection failed. Please check your internet connection.";
+      }
+
+      throw new Error(friendlyMessage, { cause: error });
+    }
+  }
+
+  // List files in a folder, following list_folder cursors
+  async listFiles(folderPath = "", options = {}) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      // Continue a previous listing if a cursor was handed back
+      const cursor = options.continuationToken || options.cursor;
+      const response = cursor
+        ? await this.apiRequest("/files/list_folder/continue", {
+            cursor: cursor,
+          })
+        : await this.apiRequest("/files/list_folder", {
+            path: this.normalizePath(folderPath),
+            limit: options.limit || 1000,
+            recursive: false,
+          });
+
+      const files = response.entries
+        .filter((entry) => entry[".tag"] !== "deleted")
+        .map((entry) => this.formatEntry(entry));
+
+      return {
+        success: true,
+        files: files,
+        hasMore: response.has_more,
+        cursor: response.cursor,
+        nextContinuationToken: response.has_more ? response.cursor : undefined,
+        totalCount: files.length,
+      };
+    } catch (error) {
+      throw new Error(`Failed to list files: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Get file information
+  async getFileInfo(filePath, options = {}) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      const metadata = await this.apiRequest(
+        "/files/get_metadata",
+        { path: this.normalizePath(filePath) },
+        options.signal
+      );
+
+      return {
+        success: true,
+        file: this.formatEntry(metadata),
+      };
+    } catch (error) {
+      if (error.status === 409 && error.message.includes("not_found")) {
+        throw new Error(`File '${filePath}' not found`);
+      }
+      throw new Error(`Failed to get file info: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Upload file (body can be a Buffer or a Readable stream)
+  async uploadFile(body, destinationPath, options = {}) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      const commit = {
+        path: this.normalizePath(
+          this.resolvePath(destinationPath, options.parentPath)
+        ),
+        mode: options.overwrite ? "overwrite" : "add",
+        autorename: false,
+        mute: true,
+      };
+
+      let metadata;
+
+      if (Buffer.isBuffer(body) && body.length <= SINGLE_UPLOAD_LIMIT) {
+        metadata = await this.contentRequest(
+          "/files/upload",
+          commit,
+          body,
+          options.signal
+        );
+        this.reportProgress(options, body.length, body.length);
+      } else {
+        const stream = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+        const total = Buffer.isBuffer(body)
+          ? body.length
+          : options.totalSize || 0;
+        metadata = await this.uploadSession(stream, commit, total, options);
+      }
+
+      return {
+        success: true,
+        file: {
+          id: metadata.id,
+          path: metadata.path_display,
+          name: metadata.name,
+          size: metadata.size,
+          rev: metadata.rev,
+          contentHash: metadata.content_hash,
+        },
+      };
+    } catch (error) {
+      throw new Error(`Upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Upload a stream through an upload session, one chunk at a time
+  async uploadSession(stream, commit, total, options) {
+    let sessionId = null;
+    let offset = 0;
+    let pending = [];
+    let pendingSize = 0;
+
+    const flush = async () => {
+      const chunk = Buffer.concat(pending, pendingSize);
+      pending = [];
+      pendingSize = 0;
+
+      if (!sessionId) {
+        const started = await this.contentRequest(
+          "/files/upload_session/start",
+          { close: false },
+          chunk,
+          options.signal
+        );
+        sessionId = started.session_id;
+      } else {
+        await this.contentRequest(
+          "/files/upload_session/append_v2",
+          { cursor: { session_id: sessionId, offset: offset }, close: false },
+          chunk,
+          options.signal
+        );
+      }
+
+      offset += chunk.length;
+      this.reportProgress(options, offset, total);
+    };
+
+    // Reading with for-await only pulls the next chunk after the previous
+    // one was sent, which applies backpressure to the source stream
+    for await (const data of stream) {
+      const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+      pending.push(buffer);
+      pendingSize += buffer.length;
+
+      if (pendingSize >= UPLOAD_CHUNK_SIZE) {
+        await flush();
+      }
+    }
+
+    // Small files fit in a single request
+    if (!sessionId && pendingSize <= SINGLE_UPLOAD_LIMIT) {
+      const body = Buffer.concat(pending, pendingSize);
+      const metadata = await this.contentRequest(
+        "/files/upload",
+        commit,
+        body,
+        options.signal
+      );
+      this.reportProgress(options, body.length, body.length);
+      return metadata;
+    }
+
+    if (pendingSize > 0 || !sessionId) {
+      await flush();
+    }
+
+    return this.contentRequest(
+      "/files/upload_session/finish",
+      { cursor: { session_id: sessionId, offset: offset }, commit: commit },
+      Buffer.alloc(0),
+      options.signal
+    );
+  }
+
+  // Download file as a stream
+  async downloadFile(filePath, options = {}) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      const headers = {
+        "Dropbox-API-Arg": this.encodeApiArg({
+          path: this.normalizePath(filePath),
+        }),
+      };
+
+      // Resume part-way through the file
+      if (options.start) {
+        headers.Range = `bytes=${options.start}-`;
+      }
+
+      const response = await this.fetchWithAuth(
+        `${CONTENT_URL}/files/download`,
+        { method: "POST", headers: headers, signal: options.signal }
+      );
+
+      // File metadata comes back in a response header
+      const metadata = JSON.parse(response.headers.get("dropbox-api-result"));
+
+      return {
+        success: true,
+        stream: Readable.fromWeb(response.body),
+        fileInfo: this.formatEntry({ ".tag": "file", ...metadata }),
+      };
+    } catch (error) {
+      if (error.status === 409 && error.message.includes("not_found")) {
+        throw new Error(`File '${filePath}' not found`);
+      }
+      throw new Error(`Download failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Delete file or folder
+  async deleteFile(filePath, options = {}) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      await this.apiRequest(
+        "/files/delete_v2",
+        { path: this.normalizePath(filePath) },
+        options.signal
+      );
+
+      return {
+        success: true,
+        message: `File '${filePath}' deleted successfully`,
+      };
+    } catch (error) {
+      if (error.status === 409 && error.message.includes("not_found")) {
+        throw new Error(`File '${filePath}' not found`);
+      }
+      throw new Error(`Delete failed: ${error.message}`);
+    }
+  }
+
+  // Create folder
+  async createFolder(folderPath, parentPath = "") {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      const response = await this.apiRequest("/files/create_folder_v2", {
+        path: this.normalizePath(this.resolvePath(folderPath, parentPath)),
+        autorename: false,
+      });
+
+      return {
+        success: true,
+        folder: {
+          id: response.metadata.id,
+          path: response.metadata.path_display,
+          name: response.metadata.name,
+        },
+      };
+    } catch (error) {
+      throw new Error(`Failed to create folder: ${error.message}`);
+    }
+  }
+
+  // Rename (move) file or folder
+  async renameFile(oldPath, newPath) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      const response = await this.apiRequest("/files/move_v2", {
+        from_path: this.normalizePath(oldPath),
+        to_path: this.normalizePath(newPath),
+        autorename: false,
+      });
+
+      return {
+        success: true,
+        message: `File renamed from '${oldPath}' to '${newPath}'`,
+        oldPath: oldPath,
+        newPath: response.metadata.path_display,
+      };
+    } catch (error) {
+      throw new Error(`Rename failed: ${error.message}`);
+    }
+  }
+
+  // Call an RPC endpoint on api.dropboxapi.com
+  async apiRequest(endpoint, args, signal) {
+    const request = { method: "POST", headers: {}, signal: signal };
+
+    // Endpoints without arguments must be called without a body
+    if (args !== undefined) {
+      request.headers["Content-Type"] = "application/json";
+      request.body = JSON.stringify(args);
+    }
+
+    const response = await this.fetchWithAuth(
+      `${API_URL}${endpoint}`,
+      request
+    );
+    return response.json();
+  }
+
+  // Call a content-upload endpoint on content.dropboxapi.com
+  async contentRequest(endpoint, args, body, signal) {
+    const response = await this.fetchWithAuth(`${CONTENT_URL}${endpoint}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/octet-stream",
+        "Dropbox-API-Arg": this.encodeApiArg(args),
+      },
+      body: body,
+      signal: signal,
+    });
+    return response.json();
+  }
+
+  // Send a request with the access token and turn API errors into exceptions
+  async fetchWithAuth(url, request) {
+    const response = await fetch(url, {
+      ...request,
+      headers: {
+        Authorization: `Bearer ${this.credentials.accessToken}`,
+        ...request.headers,
+      },
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      let summary = text;
+      try {
+        summary = JSON.parse(text).error_summary || text;
+      } catch (parseError) {
+        // Not JSON, keep the raw text
+      }
+
+      const error = new Error(summary || `HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  // Dropbox-API-Arg must be ASCII, so escape anything outside it
+  encodeApiArg(args) {
+    return JSON.stringify(args).replace(
+      /[\u007f-\uffff]/g,
+      (char) => "\\u" + ("000" + char.charCodeAt(0).toString(16)).slice(-4)
+    );
+  }
+
+  // Dropbox uses "" for the root and "/a/b" for everything else
+  normalizePath(filePath) {
+    if (!filePath || filePath === "/") return "";
+    const trimmed = filePath.replace(/\/+$/, "");
+    return trimmed.startsWith("/") || trimmed.startsWith("id:")
+      ? trimmed
+      : `/${trimmed}`;
+  }
+
+  // Convert a Dropbox metadata entry into our file format
+  formatEntry(entry) {
+    return {
+      id: entry.id,
+      name: entry.name,
+      path: entry.path_display,
+      size: entry.size || 0,
+      lastModified: entry.server_modified || null,
+      rev: entry.rev,
+      contentHash: entry.content_hash,
+      checksums: entry.content_hash
+        ? { "dropbox-content-hash": entry.content_hash }
+        : {},
+      type: entry[".tag"] === "folder" ? "folder" : "file",
+    };
+  }
+
+  reportProgress(options, loaded, total) {
+    if (options.onProgress) {
+      options.onProgress({
+        loaded: loaded,
+        total: total,
+        percentage: total > 0 ? Math.round((loaded / total) * 100) : 0,
+      });
+    }
+  }
+
+}
+
+providerRegistry.register("dropbox", DropboxProvider);
+
+module.exports = DropboxProvider;
@@ -1,13 +1,46 @@
 // src/services/cloud-providers/google-drive-provider.js - Google Drive Integration
 const { google } = require("googleapis");
+const { Readable } = require("stream");
+const CloudProvider = require("./cloud-provider");
+const providerRegistry = require("./provider-registry");
+
+// Google Workspace files have no binary content and must be exported
+const EXPORT_FORMATS = {
+  "application/vnd.google-apps.document":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.google-apps.spreadsheet":
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.google-apps.presentation":
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  "application/vnd.google-apps.drawing": "image/png",
+};
+
+const UPLOAD_URL = "https://www.googleapis.com/upload/drive/v3/files";
+const UPLOAD_FIELDS = "id, name, size, webViewLink, mimeType";
+
+// Chunk size for resumable upload sessions (must be a multiple of 256KB)
+const RESUMABLE_CHUNK_SIZE = 8 * 1024 * 1024;
+
+class GoogleDriveProvider extends CloudProvider {
+  static displayName = "Google Drive";
+  static requiredCredentials = ["serviceAccountKey"]; // Only needs service account JSON
+  static capabilities = {
+    addressing: "id",
+    nativeFolders: true,
+    serverSideCopy: true,
+    maxSingleUploadSize: 5 * 1024 ** 2, // Multipart upload limit; larger is resumable
+    maxFileSize: 5 * 1024 ** 4,
+    checksumAlgorithms: ["md5", "sha1", "sha256"],
+    versioning: true,
+    exportFormats: EXPORT_FORMATS,
+    rangedDownloads: true,
+    resumableUploads: true,
+  };
 
-class GoogleDriveProvider {
   constructor(credentials) {
-    this.credentials = credentials;
+    super(credentials);
     this.drive = null;
     this.auth = null;
-    this.authenticated = false;
-    this.lastError = null;
   }
 
   // Initialize Google Drive client with service account
@@ -151,11 +184,13 @@ class GoogleDriveProvider {
           "Service account does not have access to Google Drive API";
       }
 
-      throw new Error(friendlyMessage);
+      throw new Error(friendlyMessage, { cause: error });
     }
   }
   // List files in Google Drive
   async listFiles(folderId = "root", options = {}) {
+    folderId = folderId || "root";
+
     try {
       if (!this.authenticated) {
         await this.authenticate();
@@ -170,12 +205,13 @@ class GoogleDriveProvider {
         q: query,
         pageSize: options.limit || 100,
         fields:
-          "nextPageToken, files(id, name, size, mimeType, modifiedTime, parents, webViewLink, thumbnailLink)",
+          "nextPageToken, files(id, name, size, mimeType, modifiedTime, parents, webViewLink, thumbnailLink, md5Checksum, sha1Checksum, sha256Checksum)",
         orderBy: "folder,name",
       };
 
-      if (options.pageToken) {
-        params.pageToken = options.pageToken;
+      const pageToken = options.continuationToken || options.pageToken;
+      if (pageToken) {
+        params.pageToken = pageToken;
       }
 
       const response = await this.drive.files.list(params);
@@ -194,6 +230,7 @@ class GoogleDriveProvider {
         webViewLink: file.webViewLink,
         thumbnailLink: file.thumbnailLink,
         parents: file.parents,
+        checksums: this.formatChecksums(file),
       }));
 
       return {
@@ -201,25 +238,29 @@ class GoogleDriveProvider {
         files: files,
         hasMore: !!response.data.nextPageToken,
         nextPageToken: response.data.nextPageToken,
+        nextContinuationToken: response.data.nextPageToken || undefined,
         totalCount: files.length,
       };
     } catch (error) {
-      throw new Error(`Failed to list files: ${error.message}`);
+      throw new Error(`Failed to list files: ${error.message}`, { cause: error });
     }
   }
 
   // Get file information
-  async getFileInfo(fileId) {
+  async getFileInfo(fileId, options = {}) {
     try {
       if (!this.authenticated) {
         await this.authenticate();
       }
 
-      const response = await this.drive.files.get({
-        fileId: fileId,
-        fields:
-          "id, name, size, mimeType, modifiedTime, createdTime, parents, webViewLink, exportLinks",
-      });
+      const response = await this.drive.files.get(
+        {
+          fileId: fileId,
+          fields:
+            "id, name, size, mimeType, modifiedTime, createdTime, parents, webViewLink, exportLinks, md5Checksum, sha1Checksum, sha256Checksum",
+        },
+        { signal: options.signal }
+      );
 
       const file = response.data;
 
@@ -241,70 +282,267 @@ class GoogleDriveProvider {
           downloadLink: file.downloadLink,
           exportLinks: file.exportLinks,
           parents: file.parents,
+          checksums: this.formatChecksums(file),
         },
       };
     } catch (error) {
       if (error.code === 404) {
         throw new Error(`File with ID '${fileId}' not found`);
       }
-      throw new Error(`Failed to get file info: ${error.message}`);
+      throw new Error(`Failed to get file info: ${error.message}`, { cause: error });
     }
   }
 
-  // Upload file to Google Drive
-  async uploadFile(fileBuffer, fileName, options = {}) {
+  // Upload file to Google Drive (body can be a Buffer or a Readable stream)
+  async uploadFile(body, fileName, options = {}) {
     try {
       if (!this.authenticated) {
         await this.authenticate();
       }
 
+      const isBuffer = Buffer.isBuffer(body);
+      const fileSize = isBuffer ? body.length : options.totalSize || 0;
+
       console.log("🔍 Debug: Starting Google Drive upload");
       console.log("🔍 Debug: File name:", fileName);
-      console.log("🔍 Debug: File size:", fileBuffer.length);
+      console.log("🔍 Debug: File size:", fileSize);
       console.log("🔍 Debug: Content type:", options.contentType);
 
+      const parentId = options.parentPath || options.parentId || "root";
       const fileMetadata = {
         name: fileName,
-        parents: options.parentId ? [options.parentId] : ["root"],
+        parents: [parentId],
       };
 
-      // Convert buffer to stream for Google Drive
-      const { Readable } = require("stream");
-      const bufferStream = new Readable();
-      bufferStream.push(fileBuffer);
-      bufferStream.push(null); // End of stream
+      // Convert buffer to stream for Google Drive; streams are passed through
+      let mediaStream = body;
+      if (isBuffer) {
+        mediaStream = new Readable();
+        mediaStream.push(body);
+        mediaStream.push(null); // End of stream
+      }
 
       const media = {
         mimeType: options.contentType || "application/octet-stream",
-        body: bufferStream,
+        body: mediaStream,
       };
 
-      console.log("🔍 Debug: Calling Google Drive API...");
+      let data;
+      if (options.onCheckpoint || options.resumeState) {
+        data = await this.uploadResumable(
+          mediaStream,
+          fileMetadata,
+          media.mimeType,
+          fileSize,
+          options
+        );
+      } else {
+        console.log("🔍 Debug: Calling Google Drive API...");
 
-      const response = await this.drive.files.create({
-        resource: fileMetadata,
-        media: media,
-        fields: "id, name, size, webViewLink, mimeType",
-      });
+        const response = await this.drive.files.create(
+          {
+            resource: fileMetadata,
+            media: media,
+            fields: UPLOAD_FIELDS,
+          },
+          { signal: options.signal }
+        );
+        data = response.data;
+      }
 
-      console.log("🔍 Debug: Upload successful:", response.data);
+      console.log("🔍 Debug: Upload successful:", data);
 
       return {
         success: true,
         file: {
-          id: response.data.id,
-          name: response.data.name,
-          size: response.data.size || fileBuffer.length,
-          webViewLink: response.data.webViewLink,
-          mimeType: response.data.mimeType,
+          id: data.id,
+          name: data.name,
+          size: data.size || fileSize,
+          webViewLink: data.webViewLink,
+          mimeType: data.mimeType,
         },
       };
     } catch (error) {
       console.log("🔍 Debug: Upload error:", error.message);
-      throw new Error(`Upload failed: ${error.message}`);
+      throw new Error(`Upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Upload through a resumable session, one chunk per request. The session
+  // URI is checkpointed so a later attempt can carry on from the last chunk.
+  async uploadResumable(stream, fileMetadata, mimeType, fileSize, options) {
+    let upload = options.resumeState;
+
+    if (!upload) {
+      const headers = {
+        "Content-Type": "application/json; charset=UTF-8",
+        "X-Upload-Content-Type": mimeType,
+      };
+      if (fileSize) {
+        headers["X-Upload-Content-Length"] = String(fileSize);
+      }
+
+      const response = await this.sessionRequest(
+        `${UPLOAD_URL}?uploadType=resumable&fields=${encodeURIComponent(UPLOAD_FIELDS)}`,
+        {
+          method: "POST",
+          headers: headers,
+          body: JSON.stringify(fileMetadata),
+          signal: options.signal,
+        }
+      );
+
+      upload = {
+        sessionUri: response.headers.get("location"),
+        chunkSize: RESUMABLE_CHUNK_SIZE,
+        offset: 0,
+      };
+
+      if (options.onCheckpoint) {
+        options.onCheckpoint({ range: null, upload: upload });
+      }
+    }
+
+    // The final chunk has to carry the total size, so keep one chunk back
+    // until we know whether another one follows
+    let previous = null;
+    let result = null;
+
+    const sendChunk = async (chunk, isLast) => {
+      const start = upload.offset;
+      const end = start + chunk.length;
+      const total = isLast ? String(end) : "*";
+      const range =
+        chunk.length > 0 ? `bytes ${start}-${end - 1}/${total}` : `bytes */${total}`;
+
+      const response = await this.sessionRequest(upload.sessionUri, {
+        method: "PUT",
+        headers: { "Content-Range": range },
+        body: chunk,
+        signal: options.signal,
+      });
+
+      if (response.status === 308) {
+        const committed = this.parseCommittedRange(response);
+        if (committed !== end) {
+          throw new Error(
+            `Drive accepted ${committed - start} of ${chunk.length} bytes`
+          );
+        }
+      } else {
+        result = await response.json();
+      }
+
+      upload = { ...upload, offset: end };
+
+      if (options.onCheckpoint && !isLast) {
+        options.onCheckpoint({ range: [start, end], upload: upload });
+      }
+      if (options.onProgress) {
+        options.onProgress({
+          loaded: end,
+          total: fileSize,
+          percentage: fileSize > 0 ? Math.round((end / fileSize) * 100) : 0,
+        });
+      }
+    };
+
+    for await (const chunk of this.readChunks(stream, upload.chunkSize)) {
+      if (previous) {
+        await sendChunk(previous, false);
+      }
+      previous = chunk;
+    }
+
+    await sendChunk(previous || Buffer.alloc(0), true);
+
+    return result;
+  }
+
+  // Ask Drive how many bytes of a resumable session it has stored
+  async getUploadStatus(upload) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      const response = await this.sessionRequest(upload.sessionUri, {
+        method: "PUT",
+        headers: { "Content-Range": "bytes */*" },
+      });
+
+      // 200/201 means the session already finished; 308 means in progress
+      if (response.status !== 308) {
+        return null;
+      }
+
+      // Continue from a chunk boundary so chunk sizes stay aligned
+      const committed = this.parseCommittedRange(response);
+      const offset = committed - (committed % upload.chunkSize);
+      if (offset !== committed) {
+        return null;
+      }
+
+      return { offset: offset, upload: { ...upload, offset: offset } };
+    } catch (error) {
+      // Sessions expire after about a week
+      if (error.status === 404 || error.status === 410) {
+        return null;
+      }
+      throw new Error(`Failed to get upload status: ${error.message}`, {
+        cause: error,
+      });
     }
   }
 
+  // Cancel a resumable session; Drive answers 499 once it is gone
+  async abortUpload(upload) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      await this.sessionRequest(upload.sessionUri, { method: "DELETE" });
+
+      return { success: true, message: "Upload session cancelled" };
+    } catch (error) {
+      if (error.status === 499 || error.status === 404) {
+        return { success: true, message: "Upload session cancelled" };
+      }
+      throw new Error(`Failed to abort upload: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  // Send a request to the upload endpoint with the service account token.
+  // Drive answers 308 for every chunk of a session that isn't the last one.
+  async sessionRequest(url, request) {
+    const { token } = await this.auth.getAccessToken();
+
+    const response = await fetch(url, {
+      ...request,
+      redirect: "manual",
+      headers: { Authorization: `Bearer ${token}`, ...request.headers },
+    });
+
+    if (!response.ok && response.status !== 308) {
+      const error = new Error(
+        (await response.text()) || `HTTP ${response.status}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  // Bytes stored so far, from a "Range: bytes=0-N" header
+  parseCommittedRange(response) {
+    const range = response.headers.get("range");
+    return range ? parseInt(range.split("-")[1]) + 1 : 0;
+  }
+
   // Download file from Google Drive
   async downloadFile(fileId, options = {}) {
     try {
@@ -317,6 +555,10 @@ class GoogleDriveProvider {
 
       // Check if it's a Google Workspace file (needs export)
       if (fileInfo.file.mimeType.startsWith("application/vnd.google-apps.")) {
+        if (options.start) {
+          throw new Error("Exported Google Workspace files cannot be resumed");
+        }
+
         // Handle Google Workspace files (Docs, Sheets, etc.)
         const exportMimeType = this.getExportMimeType(fileInfo.file.mimeType);
 
@@ -325,7 +567,7 @@ class GoogleDriveProvider {
             fileId: fileId,
             mimeType: exportMimeType,
           },
-          { responseType: "stream" }
+          { responseType: "stream", signal: options.signal }
         );
 
         return {
@@ -335,12 +577,20 @@ class GoogleDriveProvider {
         };
       } else {
         // Handle regular files
+        const requestOptions = {
+          responseType: "stream",
+          signal: options.signal,
+        };
+        if (options.start) {
+          requestOptions.headers = { Range: `bytes=${options.start}-` };
+        }
+
         const response = await this.drive.files.get(
           {
             fileId: fileId,
             alt: "media",
           },
-          { responseType: "stream" }
+          requestOptions
         );
 
         return {
@@ -353,20 +603,21 @@ class GoogleDriveProvider {
       if (error.code === 404) {
         throw new Error(`File with ID '${fileId}' not found`);
       }
-      throw new Error(`Download failed: ${error.message}`);
+      throw new Error(`Download failed: ${error.message}`, { cause: error });
     }
   }
 
   // Delete file from Google Drive
-  async deleteFile(fileId) {
+  async deleteFile(fileId, options = {}) {
     try {
       if (!this.authenticated) {
         await this.authenticate();
       }
 
-      await this.drive.files.delete({
-        fileId: fileId,
-      });
+      await this.drive.files.delete(
+        { fileId: fileId },
+        { signal: options.signal }
+      );
 
       return {
         success: true,
@@ -382,6 +633,8 @@ class GoogleDriveProvider {
 
   // Create folder in Google Drive
   async createFolder(folderName, parentId = "root") {
+    parentId = parentId || "root";
+
     try {
       if (!this.authenticated) {
         await this.authenticate();
@@ -402,6 +655,7 @@ class GoogleDriveProvider {
         success: true,
         folder: {
           id: response.data.id,
+          path: response.data.id,
           name: response.data.name,
           webViewLink: response.data.webViewLink,
         },
@@ -411,19 +665,82 @@ class GoogleDriveProvider {
     }
   }
 
-  // Helper method to get export MIME type for Google Workspace files
-  getExportMimeType(googleMimeType) {
-    const exportMap = {
-      "application/vnd.google-apps.document":
-        "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-      "application/vnd.google-apps.spreadsheet":
-        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-      "application/vnd.google-apps.presentation":
-        "application/vnd.openxmlformats-officedocument.presentationml.presentation",
-      "application/vnd.google-apps.drawing": "image/png",
+  // Rename file (Drive keeps the ID, only the name changes)
+  async renameFile(fileId, newName) {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      const response = await this.drive.files.update({
+        fileId: fileId,
+        resource: { name: newName },
+        fields: "id, name",
+      });
+
+      return {
+        success: true,
+        message: `File renamed to '${response.data.name}'`,
+        oldPath: fileId,
+        newPath: response.data.id,
+      };
+    } catch (error) {
+      if (error.code === 404) {
+        throw new Error(`File with ID '${fileId}' not found`);
+      }
+      throw new Error(`Rename failed: ${error.message}`);
+    }
+  }
+
+  // Google Docs and other native files have no checksums
+  formatChecksums(file) {
+    return {
+      ...(file.md5Checksum && { md5: file.md5Checksum }),
+      ...(file.sha1Checksum && { sha1: file.sha1Checksum }),
+      ...(file.sha256Checksum && { sha256: file.sha256Checksum }),
     };
+  }
 
-    return exportMap[googleMimeType] || "application/pdf";
+  // Drive items are addressed by ID, so a child is just named inside its parent
+  siblingPath(fileId, newName) {
+    return newName;
+  }
+
+  // Drive allows several files with the same name in a folder; query for the
+  // name instead of listing the whole folder
+  async findFile(name, parentId = "") {
+    try {
+      if (!this.authenticated) {
+        await this.authenticate();
+      }
+
+      const escapedName = name.replace(/\\/g, "\\\\").replace(/'/g, "\\'");
+      const response = await this.drive.files.list({
+        q: `'${parentId || "root"}' in parents and name = '${escapedName}' and mimeType != 'application/vnd.google-apps.folder' and trashed = false`,
+        pageSize: 1,
+        fields: "files(id, name, size, mimeType, modifiedTime)",
+      });
+
+      const file = response.data.files[0];
+      if (!file) return null;
+
+      return {
+        id: file.id,
+        name: file.name,
+        path: file.id,
+        size: parseInt(file.size) || 0,
+        lastModified: file.modifiedTime,
+        mimeType: file.mimeType,
+        type: "file",
+      };
+    } catch (error) {
+      throw new Error(`Failed to look up file: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Helper method to get export MIME type for Google Workspace files
+  getExportMimeType(googleMimeType) {
+    return EXPORT_FORMATS[googleMimeType] || "application/pdf";
   }
 
   // Get connection status
@@ -436,4 +753,6 @@ class GoogleDriveProvider {
   }
 }
 
+providerRegistry.register("google-drive", GoogleDriveProvider);
+
 module.exports = GoogleDriveProvider;
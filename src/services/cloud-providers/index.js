@@ -0,0 +1,13 @@
+// src/services/cloud-providers/index.js - Loads every provider into the registry
+const fs = require("fs");
+const path = require("path");
+const providerRegistry = require("./provider-registry");
+
+// Each *-provider.js file registers itself when it is required, so adding
+// a backend only takes a new file in this directory
+fs.readdirSync(__dirname)
+  .filter((file) => file.endsWith("-provider.js") && file !== "cloud-provider.js")
+  .sort()
+  .forEach((file) => require(path.join(__dirname, file)));
+
+module.exports = providerRegistry;
@@ -0,0 +1,51 @@
+// src/services/cloud-providers/provider-registry.js - Cloud Provider Registry
+const CloudProvider = require("./cloud-provider");
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map(); // provider id -> CloudProvider subclass
+  }
+
+  // Register a provider class under its id (e.g. "aws-s3")
+  register(id, ProviderClass) {
+    if (!(ProviderClass.prototype instanceof CloudProvider)) {
+      throw new Error(`Provider '${id}' must extend CloudProvider`);
+    }
+    if (this.providers.has(id)) {
+      throw new Error(`Provider '${id}' is already registered`);
+    }
+
+    ProviderClass.id = id;
+    this.providers.set(id, ProviderClass);
+  }
+
+  has(id) {
+    return this.providers.has(id);
+  }
+
+  get(id) {
+    const ProviderClass = this.providers.get(id);
+    if (!ProviderClass) {
+      throw new Error(`Unsupported provider: ${id}`);
+    }
+    return ProviderClass;
+  }
+
+  // Ids of all registered providers
+  list() {
+    return Array.from(this.providers.keys());
+  }
+
+  // Capability descriptor for the given id
+  getCapabilities(id) {
+    return this.get(id).describeCapabilities();
+  }
+
+  // Create a provider instance for the given id
+  create(id, credentials) {
+    const ProviderClass = this.get(id);
+    return new ProviderClass(credentials);
+  }
+}
+
+module.exports = new ProviderRegistry();
@@ -4,32 +4,108 @@ const path = require("path");
 const fs = require("fs");
 const crypto = require("crypto");
 
+// How long (ms) a write waits for another connection's transaction to
+// commit before failing with SQLITE_BUSY
+const BUSY_TIMEOUT = 5000;
+
 class Database {
   constructor() {
     this.db = null;
-    this.initializeDatabase();
+    this.dbPath = null;
+
+    // Transactions run on a connection of their own, opened on first use,
+    // one after another (see transaction())
+    this.transactionConnection = null;
+    this.transactionQueue = Promise.resolve();
+
+    // Resolves once the tables exist; anything that queries at startup
+    // waits for it. Rejections are reported to whoever awaits it.
+    this.ready = this.initializeDatabase();
+    this.ready.catch(() => {});
   }
 
-  async initializeDatabase() {
+  initializeDatabase() {
+    this.dbPath = process.env.DB_PATH
+      ? path.resolve(process.env.DB_PATH)
+      : path.join(__dirname, "../../database/cloudtransfer.db");
+
     // Ensure database directory exists
-    const dbDir = path.join(__dirname, "../../database");
+    const dbDir = path.dirname(this.dbPath);
     if (!fs.existsSync(dbDir)) {
       fs.mkdirSync(dbDir, { recursive: true });
     }
 
     // Create database connection
-    const dbPath = path.join(dbDir, "cloudtransfer.db");
-    this.db = new sqlite3.Database(dbPath, (err) => {
-      if (err) {
-        console.error("Error opening database:", err.message);
-      } else {
-        console.log("📊 Connected to SQLite database");
-        this.createTables();
+    return new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.dbPath, (err) => {
+        if (err) {
+          console.error("Error opening database:", err.message);
+          reject(err);
+        } else {
+          console.log("📊 Connected to SQLite database");
+          this.createTables().then(resolve, (error) => {
+            console.error("Error creating database tables:", error.message);
+            reject(error);
+          });
+        }
+      });
+      this.db.configure("busyTimeout", BUSY_TIMEOUT);
+    });
+  }
+
+  // Run a statement that returns no rows; resolves once it has run
+  execute(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  // Run work(connection) in a transaction, issuing its statements on the
+  // connection it is given. Everything else shares this.db, so a
+  // transaction there would take in (and roll back) unrelated writes and
+  // couldn't overlap another; here other writes wait for the COMMIT and
+  // transactions queue behind each other. Resolves with work's result.
+  transaction(work) {
+    const result = this.transactionQueue.then(async () => {
+      const connection = await this.getTransactionConnection();
+      const run = (sql) =>
+        new Promise((resolve, reject) => {
+          connection.run(sql, (err) => (err ? reject(err) : resolve()));
+        });
+
+      await run("BEGIN IMMEDIATE TRANSACTION");
+      try {
+        const value = await work(connection);
+        await run("COMMIT");
+        return value;
+      } catch (error) {
+        await run("ROLLBACK").catch(() => {});
+        throw error;
       }
     });
+
+    // The next transaction starts once this one is over, however it ended
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  getTransactionConnection() {
+    if (!this.transactionConnection) {
+      this.transactionConnection = new Promise((resolve, reject) => {
+        const connection = new sqlite3.Database(this.dbPath, (err) =>
+          err ? reject(err) : resolve(connection)
+        );
+        connection.configure("busyTimeout", BUSY_TIMEOUT);
+      }).catch((error) => {
+        this.transactionConnection = null;
+        throw error;
+      });
+    }
+    return this.transactionConnection;
   }
 
-  createTables() {
+  // Resolves once every table, column and index is in place
+  async createTables() {
     // Main users table - provider-agnostic
     const createUsersTable = `
       CREATE TABLE IF NOT EXISTS users (
@@ -42,6 +118,7 @@ class Database {
         subscription_tier TEXT DEFAULT 'free',
         usage_quota INTEGER DEFAULT 1073741824,
         usage_current INTEGER DEFAULT 0,
+        bandwidth TEXT,
         email_verified BOOLEAN DEFAULT 0,
         is_active BOOLEAN DEFAULT 1,
         last_login DATETIME,
@@ -128,15 +205,156 @@ class Database {
         max_retries INTEGER DEFAULT 3,
         priority INTEGER DEFAULT 0,
         scheduled_at DATETIME,
+        checkpoint TEXT,
+        type TEXT DEFAULT 'file',
+        mode TEXT DEFAULT 'copy',
+        parent_id INTEGER,
+        destination_parent TEXT,
+        conflict_policy TEXT DEFAULT 'overwrite',
+        filters TEXT,
+        bandwidth TEXT,
+        checksums TEXT,
+        verification TEXT,
         started_at DATETIME,
         completed_at DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
         FOREIGN KEY (source_account_id) REFERENCES cloud_accounts(id),
+        FOREIGN KEY (destination_account_id) REFERENCES cloud_accounts(id),
+        FOREIGN KEY (parent_id) REFERENCES transfers(id) ON DELETE CASCADE
+      )
+    `;
+
+    // Recurring transfers, fired on a cron expression in the given timezone.
+    // options holds extra transfer settings as JSON (e.g. priority).
+    const createTransferSchedulesTable = `
+      CREATE TABLE IF NOT EXISTS transfer_schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        cron_expression TEXT NOT NULL,
+        timezone TEXT NOT NULL DEFAULT 'UTC',
+        source_account_id INTEGER NOT NULL,
+        destination_account_id INTEGER NOT NULL,
+        source_path TEXT NOT NULL,
+        destination_path TEXT NOT NULL,
+        file_name TEXT NOT NULL,
+        options TEXT,
+        enabled BOOLEAN DEFAULT 1,
+        next_run_at DATETIME,
+        last_run_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (source_account_id) REFERENCES cloud_accounts(id),
+        FOREIGN KEY (destination_account_id) REFERENCES cloud_accounts(id)
+      )
+    `;
+
+    // One row per firing of a schedule: started (with the transfer it
+    // created), skipped (previous run still busy) or failed
+    const createTransferScheduleRunsTable = `
+      CREATE TABLE IF NOT EXISTS transfer_schedule_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        schedule_id INTEGER NOT NULL,
+        transfer_id INTEGER,
+        status TEXT NOT NULL,
+        message TEXT,
+        scheduled_for DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (schedule_id) REFERENCES transfer_schedules(id) ON DELETE CASCADE,
+        FOREIGN KEY (transfer_id) REFERENCES transfers(id)
+      )
+    `;
+
+    // Folder mirrors: each run lists both sides and copies what is new or
+    // changed from source_path to destination_path
+    const createSyncJobsTable = `
+      CREATE TABLE IF NOT EXISTS sync_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        source_account_id INTEGER NOT NULL,
+        destination_account_id INTEGER NOT NULL,
+        source_path TEXT NOT NULL DEFAULT '',
+        destination_path TEXT NOT NULL DEFAULT '',
+        delete_extras BOOLEAN DEFAULT 0,
+        direction TEXT DEFAULT 'one-way',
+        conflict_resolution TEXT DEFAULT 'newest',
+        filters TEXT,
+        last_run_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (source_account_id) REFERENCES cloud_accounts(id),
         FOREIGN KEY (destination_account_id) REFERENCES cloud_accounts(id)
       )
     `;
 
+    // One row per sync run: running (listing and diffing), transferring
+    // (copies queued under transfer_id), completed or failed, with what the
+    // diff found
+    const createSyncRunsTable = `
+      CREATE TABLE IF NOT EXISTS sync_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sync_job_id INTEGER NOT NULL,
+        transfer_id INTEGER,
+        status TEXT NOT NULL,
+        added INTEGER DEFAULT 0,
+        updated INTEGER DEFAULT 0,
+        deleted INTEGER DEFAULT 0,
+        unchanged INTEGER DEFAULT 0,
+        conflicts INTEGER DEFAULT 0,
+        excluded INTEGER DEFAULT 0,
+        message TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        FOREIGN KEY (sync_job_id) REFERENCES sync_jobs(id) ON DELETE CASCADE,
+        FOREIGN KEY (transfer_id) REFERENCES transfers(id)
+      )
+    `;
+
+    // What a two-way sync last saw on each side of a path once both sides
+    // matched (JSON size, lastModified and checksums). A copy still in
+    // flight is pending: pending_state is the side it copies from, and the
+    // side it writes to is settled from the transfer once it completes.
+    const createSyncStateTable = `
+      CREATE TABLE IF NOT EXISTS sync_state (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sync_job_id INTEGER NOT NULL,
+        relative_path TEXT NOT NULL,
+        source_state TEXT,
+        destination_state TEXT,
+        pending_transfer_id INTEGER,
+        pending_side TEXT,
+        pending_state TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (sync_job_id, relative_path),
+        FOREIGN KEY (sync_job_id) REFERENCES sync_jobs(id) ON DELETE CASCADE
+      )
+    `;
+
+    // Paths a two-way sync found changed on both sides. Open ones wait for
+    // the user; resolution is the side that was kept (source, destination
+    // or both) and applied_at when a run acted on it.
+    const createSyncConflictsTable = `
+      CREATE TABLE IF NOT EXISTS sync_conflicts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sync_job_id INTEGER NOT NULL,
+        run_id INTEGER,
+        relative_path TEXT NOT NULL,
+        source_state TEXT,
+        destination_state TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        resolution TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME,
+        applied_at DATETIME,
+        FOREIGN KEY (sync_job_id) REFERENCES sync_jobs(id) ON DELETE CASCADE,
+        FOREIGN KEY (run_id) REFERENCES sync_runs(id)
+      )
+    `;
+
     // Create indexes for better performance
     const createIndexes = [
       "CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)",
@@ -150,25 +368,86 @@ class Database {
       "CREATE INDEX IF NOT EXISTS idx_transfers_user_id ON transfers(user_id)",
       "CREATE INDEX IF NOT EXISTS idx_transfers_status ON transfers(status)",
       "CREATE INDEX IF NOT EXISTS idx_transfers_created_at ON transfers(created_at)",
+      "CREATE INDEX IF NOT EXISTS idx_transfer_schedules_user_id ON transfer_schedules(user_id)",
+      "CREATE INDEX IF NOT EXISTS idx_transfer_schedules_next_run ON transfer_schedules(next_run_at)",
+      "CREATE INDEX IF NOT EXISTS idx_schedule_runs_schedule_id ON transfer_schedule_runs(schedule_id)",
+      "CREATE INDEX IF NOT EXISTS idx_sync_jobs_user_id ON sync_jobs(user_id)",
+      "CREATE INDEX IF NOT EXISTS idx_sync_runs_sync_job_id ON sync_runs(sync_job_id)",
+      "CREATE INDEX IF NOT EXISTS idx_sync_conflicts_sync_job_id ON sync_conflicts(sync_job_id, status)",
     ];
 
     // Execute table creation
-    this.db.serialize(() => {
-      this.db.run(createUsersTable);
-      this.db.run(createAuthProvidersTable);
-      this.db.run(createSessionsTable);
-      this.db.run(createCloudAccountsTable);
-      this.db.run(createTransfersTable);
-
-      // Create indexes
-      createIndexes.forEach((indexSQL) => {
-        this.db.run(indexSQL);
-      });
+    for (const tableSQL of [
+      createUsersTable,
+      createAuthProvidersTable,
+      createSessionsTable,
+      createCloudAccountsTable,
+      createTransfersTable,
+      createTransferSchedulesTable,
+      createTransferScheduleRunsTable,
+      createSyncJobsTable,
+      createSyncRunsTable,
+      createSyncStateTable,
+      createSyncConflictsTable,
+    ]) {
+      await this.execute(tableSQL);
+    }
+
+    // Columns added to existing databases after the first release
+    await this.addMissingColumns("transfers", {
+      checkpoint: "TEXT",
+      type: "TEXT DEFAULT 'file'",
+      mode: "TEXT DEFAULT 'copy'",
+      parent_id: "INTEGER",
+      destination_parent: "TEXT",
+      conflict_policy: "TEXT DEFAULT 'overwrite'",
+      filters: "TEXT",
+      bandwidth: "TEXT",
+      checksums: "TEXT",
+      verification: "TEXT",
+    });
+    await this.execute(
+      "CREATE INDEX IF NOT EXISTS idx_transfers_parent_id ON transfers(parent_id)"
+    );
+
+    await this.addMissingColumns("users", {
+      bandwidth: "TEXT",
+    });
+    await this.addMissingColumns("sync_jobs", {
+      direction: "TEXT DEFAULT 'one-way'",
+      conflict_resolution: "TEXT DEFAULT 'newest'",
+      filters: "TEXT",
+    });
+    await this.addMissingColumns("sync_runs", {
+      conflicts: "INTEGER DEFAULT 0",
+      excluded: "INTEGER DEFAULT 0",
+    });
+
+    // Create indexes
+    for (const indexSQL of createIndexes) {
+      await this.execute(indexSQL);
+    }
+
+    console.log(
+      "✅ Database tables created successfully with multi-auth support"
+    );
+  }
 
-      console.log(
-        "✅ Database tables created successfully with multi-auth support"
+  // Add any of the given columns that an older database doesn't have yet
+  async addMissingColumns(table, columns) {
+    const rows = await new Promise((resolve, reject) => {
+      this.db.all(`PRAGMA table_info(${table})`, (err, result) =>
+        err ? reject(err) : resolve(result)
       );
     });
+
+    const existing = rows.map((row) => row.name);
+    for (const [name, definition] of Object.entries(columns)) {
+      if (!existing.includes(name)) {
+        await this.execute(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+        console.log(`🔧 Added ${table}.${name} column`);
+      }
+    }
   }
 
   // User management methods - updated for multi-auth
@@ -562,6 +841,39 @@ class Database {
     });
   }
 
+  // A user's bandwidth settings (JSON), or null when they set no limit
+  async getUserBandwidth(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        "SELECT bandwidth FROM users WHERE id = ?",
+        [userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row ? row.bandwidth : null);
+          }
+        }
+      );
+    });
+  }
+
+  async updateUserBandwidth(userId, bandwidth) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        "UPDATE users SET bandwidth = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [bandwidth, userId],
+        function (err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+
   // Cloud Account Management Methods
 
   // Create cloud account
@@ -759,8 +1071,8 @@ class Database {
 
   // Transfer Management Methods
 
-  // Create transfer job
-  async createTransferJob(transferData) {
+  // Create transfer job (on connection when part of a transaction)
+  async createTransferJob(transferData, connection = this.db) {
     return new Promise((resolve, reject) => {
       const {
         userId,
@@ -769,19 +1081,34 @@ class Database {
         sourceFilePath,
         destinationFilePath,
         fileName,
-        fileSize = 0
+        fileSize = 0,
+        priority = 5,
+        status = 'queued',
+        scheduledAt = null,
+        type = 'file',
+        mode = 'copy',
+        parentId = null,
+        destinationParent = null,
+        conflictPolicy = 'overwrite',
+        filters = null,
+        bandwidth = null,
+        errorMessage = null
       } = transferData;
 
-      const stmt = this.db.prepare(`
+      const stmt = connection.prepare(`
         INSERT INTO transfers 
         (user_id, source_account_id, destination_account_id, source_path, 
-         destination_path, file_name, file_size)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+         destination_path, file_name, file_size, priority, status, scheduled_at,
+         type, mode, parent_id, destination_parent, conflict_policy, filters,
+         bandwidth, error_message)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       stmt.run(
         [userId, sourceAccountId, destinationAccountId, sourceFilePath, 
-         destinationFilePath, fileName, fileSize],
+         destinationFilePath, fileName, fileSize, priority, status, scheduledAt,
+         type, mode, parentId, destinationParent, conflictPolicy, filters,
+         bandwidth, errorMessage],
         function (err) {
           if (err) {
             reject(err);
@@ -795,6 +1122,22 @@ class Database {
     });
   }
 
+  // Create a parent transfer and its children in one transaction, so
+  // either all of them are stored or none. Resolves with { parentId, childIds }.
+  async createTransferGroup(parentData, childrenData) {
+    return this.transaction(async (connection) => {
+      const parentId = await this.createTransferJob(parentData, connection);
+      const childIds = [];
+      for (const child of childrenData) {
+        childIds.push(
+          await this.createTransferJob({ ...child, parentId }, connection)
+        );
+      }
+
+      return { parentId, childIds };
+    });
+  }
+
   // Get transfer by ID
   async getTransferById(transferId, userId) {
     return new Promise((resolve, reject) => {
@@ -813,8 +1156,9 @@ class Database {
     });
   }
 
-  // Get transfers by user
-  async getTransfersByUser(userId, limit = 50, offset = 0) {
+  // Get transfers by user. Files of a folder transfer are only listed when
+  // asking for that folder's parentId.
+  async getTransfersByUser(userId, limit = 50, offset = 0, parentId = null) {
     return new Promise((resolve, reject) => {
       this.db.all(
         `SELECT t.*, 
@@ -823,10 +1167,123 @@ class Database {
          FROM transfers t
          LEFT JOIN cloud_accounts sa ON t.source_account_id = sa.id
          LEFT JOIN cloud_accounts da ON t.destination_account_id = da.id
-         WHERE t.user_id = ?
+         WHERE t.user_id = ? AND ${parentId ? 't.parent_id = ?' : 't.parent_id IS NULL'}
          ORDER BY t.created_at DESC
          LIMIT ? OFFSET ?`,
-        [userId, limit, offset],
+        parentId ? [userId, parentId, limit, offset] : [userId, limit, offset],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  // Get transfers in any of the given statuses across all users, oldest first
+  async getTransfersByStatus(statuses) {
+    return new Promise((resolve, reject) => {
+      const placeholders = statuses.map(() => "?").join(", ");
+
+      this.db.all(
+        `SELECT * FROM transfers
+         WHERE status IN (${placeholders})
+         ORDER BY created_at ASC, id ASC`,
+        statuses,
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  // Child transfers of a folder or batch transfer, in creation order
+  async getChildTransfers(parentId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM transfers
+         WHERE parent_id = ?
+         ORDER BY id ASC`,
+        [parentId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  // Counts and byte totals over the files of a folder or batch transfer
+  async getChildTransferSummary(parentId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT
+          COUNT(*) as total,
+          SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed,
+          SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
+          SUM(CASE WHEN status = 'partial' THEN 1 ELSE 0 END) as partial,
+          SUM(CASE WHEN status = 'skipped' THEN 1 ELSE 0 END) as skipped,
+          SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled,
+          SUM(CASE WHEN status = 'running' THEN 1 ELSE 0 END) as running,
+          SUM(CASE WHEN status = 'queued' THEN 1 ELSE 0 END) as queued,
+          SUM(CASE WHEN status = 'paused' THEN 1 ELSE 0 END) as paused,
+          SUM(CASE WHEN status = 'scheduled' THEN 1 ELSE 0 END) as scheduled,
+          COALESCE(SUM(file_size), 0) as total_bytes,
+          COALESCE(SUM(CASE WHEN status IN ('completed', 'partial', 'skipped') THEN file_size ELSE transferred_bytes END), 0) as transferred_bytes,
+          COALESCE(SUM(CASE WHEN status = 'running' THEN transfer_speed ELSE 0 END), 0) as transfer_speed
+        FROM transfers
+        WHERE parent_id = ?
+      `;
+
+      this.db.get(query, [parentId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  // Failed (or partially moved) files of a folder or batch transfer
+  async getFailedChildTransfers(parentId, limit = 20) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT id, source_path, destination_path, file_name, status, error_message
+         FROM transfers
+         WHERE parent_id = ? AND status IN ('failed', 'partial')
+         ORDER BY id ASC
+         LIMIT ?`,
+        [parentId, limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  // Get scheduled transfers whose start time has come, earliest first.
+  // scheduled_at is stored as an ISO string, so text comparison works.
+  async getDueScheduledTransfers(now) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM transfers
+         WHERE status = 'scheduled' AND scheduled_at <= ?
+         ORDER BY scheduled_at ASC, id ASC`,
+        [now],
         (err, rows) => {
           if (err) {
             reject(err);
@@ -843,7 +1300,9 @@ class Database {
     return new Promise((resolve, reject) => {
       const allowedFields = [
         'status', 'progress', 'transferred_bytes', 'transfer_speed',
-        'error_message', 'retry_count', 'started_at', 'completed_at'
+        'error_message', 'retry_count', 'priority', 'scheduled_at',
+        'destination_path', 'file_size', 'checkpoint', 'checksums',
+        'verification', 'bandwidth', 'started_at', 'completed_at'
       ];
 
       const updateFields = [];
@@ -890,9 +1349,13 @@ class Database {
           SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
           SUM(CASE WHEN status = 'running' THEN 1 ELSE 0 END) as running,
           SUM(CASE WHEN status = 'queued' THEN 1 ELSE 0 END) as queued,
+          SUM(CASE WHEN status = 'paused' THEN 1 ELSE 0 END) as paused,
+          SUM(CASE WHEN status = 'scheduled' THEN 1 ELSE 0 END) as scheduled,
+          SUM(CASE WHEN status = 'partial' THEN 1 ELSE 0 END) as partial,
+          SUM(CASE WHEN status = 'skipped' THEN 1 ELSE 0 END) as skipped,
           SUM(file_size) as total_bytes_transferred
         FROM transfers 
-        WHERE user_id = ?
+        WHERE user_id = ? AND type = 'file'
       `;
 
       this.db.get(query, [userId], (err, row) => {
@@ -905,17 +1368,846 @@ class Database {
     });
   }
 
-  // Close database connection
-  close() {
-    if (this.db) {
-      this.db.close((err) => {
+  // Bytes moved and seconds spent by a user's recent completed file
+  // transfers, optionally only those between two accounts
+  async getTransferThroughput(
+    userId,
+    sourceAccountId = null,
+    destinationAccountId = null,
+    limit = 50
+  ) {
+    return new Promise((resolve, reject) => {
+      let filter = "";
+      const params = [userId];
+
+      if (sourceAccountId && destinationAccountId) {
+        filter = "AND source_account_id = ? AND destination_account_id = ?";
+        params.push(sourceAccountId, destinationAccountId);
+      }
+      params.push(limit);
+
+      const query = `
+        SELECT
+          COUNT(*) as transfers,
+          COALESCE(SUM(file_size), 0) as bytes,
+          COALESCE(SUM((julianday(completed_at) - julianday(started_at)) * 86400), 0) as seconds
+        FROM (
+          SELECT file_size, started_at, completed_at FROM transfers
+          WHERE user_id = ? AND type = 'file' AND status = 'completed'
+            AND file_size > 0 AND started_at IS NOT NULL
+            AND completed_at IS NOT NULL ${filter}
+          ORDER BY completed_at DESC
+          LIMIT ?
+        )
+      `;
+
+      this.db.get(query, params, (err, row) => {
         if (err) {
-          console.error("Error closing database:", err.message);
+          reject(err);
         } else {
-          console.log("📊 Database connection closed");
+          resolve(row);
         }
       });
-    }
+    });
+  }
+
+  // Recurring transfer schedule methods
+  async createTransferSchedule(scheduleData) {
+    return new Promise((resolve, reject) => {
+      const {
+        userId,
+        name,
+        cronExpression,
+        timezone = "UTC",
+        sourceAccountId,
+        destinationAccountId,
+        sourceFilePath,
+        destinationFilePath,
+        fileName,
+        options = null,
+        enabled = true,
+        nextRunAt = null,
+      } = scheduleData;
+
+      const stmt = this.db.prepare(`
+        INSERT INTO transfer_schedules
+        (user_id, name, cron_expression, timezone, source_account_id,
+         destination_account_id, source_path, destination_path, file_name,
+         options, enabled, next_run_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      stmt.run(
+        [userId, name, cronExpression, timezone, sourceAccountId,
+         destinationAccountId, sourceFilePath, destinationFilePath, fileName,
+         options, enabled ? 1 : 0, nextRunAt],
+        function (err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+
+      stmt.finalize();
+    });
+  }
+
+  async getTransferSchedulesByUser(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM transfer_schedules
+         WHERE user_id = ?
+         ORDER BY created_at DESC, id DESC`,
+        [userId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  async getTransferScheduleById(scheduleId, userId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM transfer_schedules
+         WHERE id = ? AND user_id = ?`,
+        [scheduleId, userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  // Enabled schedules whose next run time has come (ISO strings compare as text)
+  async getDueTransferSchedules(now) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM transfer_schedules
+         WHERE enabled = 1 AND next_run_at <= ?
+         ORDER BY next_run_at ASC, id ASC`,
+        [now],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  async updateTransferSchedule(scheduleId, updates) {
+    return new Promise((resolve, reject) => {
+      const allowedFields = [
+        "name", "cron_expression", "timezone", "source_account_id",
+        "destination_account_id", "source_path", "destination_path",
+        "file_name", "options", "enabled", "next_run_at", "last_run_at",
+      ];
+
+      const updateFields = [];
+      const values = [];
+
+      for (const [key, value] of Object.entries(updates)) {
+        if (allowedFields.includes(key)) {
+          updateFields.push(`${key} = ?`);
+          values.push(value);
+        }
+      }
+
+      if (updateFields.length === 0) {
+        return resolve(false);
+      }
+
+      values.push(scheduleId);
+
+      const stmt = this.db.prepare(`
+        UPDATE transfer_schedules
+        SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `);
+
+      stmt.run(values, function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+
+      stmt.finalize();
+    });
+  }
+
+  // Delete a schedule and its run history. Transfers it created are kept.
+  async deleteTransferSchedule(scheduleId, userId) {
+    return new Promise((resolve, reject) => {
+      const db = this.db;
+
+      db.run(
+        `DELETE FROM transfer_schedules WHERE id = ? AND user_id = ?`,
+        [scheduleId, userId],
+        function (err) {
+          if (err) {
+            return reject(err);
+          }
+
+          const deleted = this.changes > 0;
+          if (!deleted) {
+            return resolve(false);
+          }
+
+          db.run(
+            `DELETE FROM transfer_schedule_runs WHERE schedule_id = ?`,
+            [scheduleId],
+            (runErr) => (runErr ? reject(runErr) : resolve(true))
+          );
+        }
+      );
+    });
+  }
+
+  async createScheduleRun(runData) {
+    return new Promise((resolve, reject) => {
+      const {
+        scheduleId,
+        transferId = null,
+        status,
+        message = null,
+        scheduledFor = null,
+      } = runData;
+
+      const stmt = this.db.prepare(`
+        INSERT INTO transfer_schedule_runs
+        (schedule_id, transfer_id, status, message, scheduled_for)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+
+      stmt.run(
+        [scheduleId, transferId, status, message, scheduledFor],
+        function (err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+
+      stmt.finalize();
+    });
+  }
+
+  // Run history of a schedule, newest first, with the state of each
+  // run's transfer
+  async getScheduleRuns(scheduleId, limit = 20, offset = 0) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT r.*, t.status as transfer_status, t.progress as transfer_progress,
+                t.error_message as transfer_error, t.completed_at as transfer_completed_at
+         FROM transfer_schedule_runs r
+         LEFT JOIN transfers t ON r.transfer_id = t.id
+         WHERE r.schedule_id = ?
+         ORDER BY r.created_at DESC, r.id DESC
+         LIMIT ? OFFSET ?`,
+        [scheduleId, limit, offset],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  // Latest run of a schedule whose transfer hasn't finished yet, if any
+  async getActiveScheduleRun(scheduleId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT r.*, t.status as transfer_status
+         FROM transfer_schedule_runs r
+         JOIN transfers t ON r.transfer_id = t.id
+         WHERE r.schedule_id = ?
+           AND t.status IN ('scheduled', 'queued', 'running', 'paused')
+         ORDER BY r.id DESC
+         LIMIT 1`,
+        [scheduleId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  // Sync job methods
+  async createSyncJob(syncData) {
+    return new Promise((resolve, reject) => {
+      const {
+        userId,
+        name,
+        sourceAccountId,
+        destinationAccountId,
+        sourcePath = "",
+        destinationPath = "",
+        deleteExtras = false,
+        direction = "one-way",
+        conflictResolution = "newest",
+        filters = null,
+      } = syncData;
+
+      const stmt = this.db.prepare(`
+        INSERT INTO sync_jobs
+        (user_id, name, source_account_id, destination_account_id,
+         source_path, destination_path, delete_extras, direction,
+         conflict_resolution, filters)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      stmt.run(
+        [userId, name, sourceAccountId, destinationAccountId,
+         sourcePath, destinationPath, deleteExtras ? 1 : 0, direction,
+         conflictResolution, filters],
+        function (err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+
+      stmt.finalize();
+    });
+  }
+
+  async getSyncJobsByUser(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM sync_jobs
+         WHERE user_id = ?
+         ORDER BY created_at DESC, id DESC`,
+        [userId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  async getSyncJobById(syncId, userId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM sync_jobs
+         WHERE id = ? AND user_id = ?`,
+        [syncId, userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  async updateSyncJob(syncId, updates) {
+    return new Promise((resolve, reject) => {
+      const allowedFields = [
+        "name", "source_account_id", "destination_account_id",
+        "source_path", "destination_path", "delete_extras", "direction",
+        "conflict_resolution", "filters", "last_run_at",
+      ];
+
+      const updateFields = [];
+      const values = [];
+
+      for (const [key, value] of Object.entries(updates)) {
+        if (allowedFields.includes(key)) {
+          updateFields.push(`${key} = ?`);
+          values.push(value);
+        }
+      }
+
+      if (updateFields.length === 0) {
+        return resolve(false);
+      }
+
+      values.push(syncId);
+
+      const stmt = this.db.prepare(`
+        UPDATE sync_jobs
+        SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `);
+
+      stmt.run(values, function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+
+      stmt.finalize();
+    });
+  }
+
+  // Delete a sync job with its run history, snapshot and conflicts.
+  // Transfers it created are kept.
+  async deleteSyncJob(syncId, userId) {
+    return new Promise((resolve, reject) => {
+      const db = this.db;
+
+      db.run(
+        `DELETE FROM sync_jobs WHERE id = ? AND user_id = ?`,
+        [syncId, userId],
+        function (err) {
+          if (err) {
+            return reject(err);
+          }
+
+          const deleted = this.changes > 0;
+          if (!deleted) {
+            return resolve(false);
+          }
+
+          db.serialize(() => {
+            db.run(`DELETE FROM sync_conflicts WHERE sync_job_id = ?`, [syncId]);
+            db.run(`DELETE FROM sync_state WHERE sync_job_id = ?`, [syncId]);
+            db.run(
+              `DELETE FROM sync_runs WHERE sync_job_id = ?`,
+              [syncId],
+              (runErr) => (runErr ? reject(runErr) : resolve(true))
+            );
+          });
+        }
+      );
+    });
+  }
+
+  async createSyncRun(runData) {
+    return new Promise((resolve, reject) => {
+      const { syncJobId, status, message = null } = runData;
+
+      const stmt = this.db.prepare(`
+        INSERT INTO sync_runs (sync_job_id, status, message)
+        VALUES (?, ?, ?)
+      `);
+
+      stmt.run([syncJobId, status, message], function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+
+      stmt.finalize();
+    });
+  }
+
+  async updateSyncRun(runId, updates) {
+    return new Promise((resolve, reject) => {
+      const allowedFields = [
+        "transfer_id", "status", "added", "updated", "deleted", "unchanged",
+        "conflicts", "excluded", "message", "completed_at",
+      ];
+
+      const updateFields = [];
+      const values = [];
+
+      for (const [key, value] of Object.entries(updates)) {
+        if (allowedFields.includes(key)) {
+          updateFields.push(`${key} = ?`);
+          values.push(value);
+        }
+      }
+
+      if (updateFields.length === 0) {
+        return resolve(false);
+      }
+
+      values.push(runId);
+
+      const stmt = this.db.prepare(`
+        UPDATE sync_runs SET ${updateFields.join(", ")} WHERE id = ?
+      `);
+
+      stmt.run(values, function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+
+      stmt.finalize();
+    });
+  }
+
+  // A sync run with the state of its transfer
+  async getSyncRunById(runId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT r.*, t.status as transfer_status, t.progress as transfer_progress,
+                t.error_message as transfer_error, t.completed_at as transfer_completed_at
+         FROM sync_runs r
+         LEFT JOIN transfers t ON r.transfer_id = t.id
+         WHERE r.id = ?`,
+        [runId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  // Run history of a sync job, newest first, with the state of each run's
+  // transfer
+  async getSyncRuns(syncId, limit = 20, offset = 0) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT r.*, t.status as transfer_status, t.progress as transfer_progress,
+                t.error_message as transfer_error, t.completed_at as transfer_completed_at
+         FROM sync_runs r
+         LEFT JOIN transfers t ON r.transfer_id = t.id
+         WHERE r.sync_job_id = ?
+         ORDER BY r.created_at DESC, r.id DESC
+         LIMIT ? OFFSET ?`,
+        [syncId, limit, offset],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  // Latest run of a sync job that is still listing or whose copies haven't
+  // finished yet, if any
+  async getActiveSyncRun(syncId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT r.*, t.status as transfer_status
+         FROM sync_runs r
+         LEFT JOIN transfers t ON r.transfer_id = t.id
+         WHERE r.sync_job_id = ?
+           AND (r.status = 'running'
+             OR (r.status = 'transferring'
+               AND t.status IN ('scheduled', 'queued', 'running', 'paused')))
+         ORDER BY r.id DESC
+         LIMIT 1`,
+        [syncId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  // Runs still listing when the server stopped never finish; fail them so
+  // their sync jobs can run again
+  async failInterruptedSyncRuns() {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE sync_runs
+         SET status = 'failed', message = ?, completed_at = ?
+         WHERE status = 'running'`,
+        ["Sync run was interrupted by a server restart", new Date().toISOString()],
+        function (err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  // Two-way sync snapshot, one row per relative path
+  async getSyncStates(syncId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM sync_state WHERE sync_job_id = ?`,
+        [syncId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  // Insert or replace the snapshot of one path
+  async saveSyncState(syncId, relativePath, state) {
+    return new Promise((resolve, reject) => {
+      const {
+        sourceState = null,
+        destinationState = null,
+        pendingTransferId = null,
+        pendingSide = null,
+        pendingState = null,
+      } = state;
+
+      const stmt = this.db.prepare(`
+        INSERT INTO sync_state
+        (sync_job_id, relative_path, source_state, destination_state,
+         pending_transfer_id, pending_side, pending_state)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (sync_job_id, relative_path) DO UPDATE SET
+          source_state = excluded.source_state,
+          destination_state = excluded.destination_state,
+          pending_transfer_id = excluded.pending_transfer_id,
+          pending_side = excluded.pending_side,
+          pending_state = excluded.pending_state,
+          updated_at = CURRENT_TIMESTAMP
+      `);
+
+      stmt.run(
+        [syncId, relativePath, sourceState, destinationState,
+         pendingTransferId, pendingSide, pendingState],
+        function (err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(true);
+          }
+        }
+      );
+
+      stmt.finalize();
+    });
+  }
+
+  async deleteSyncState(syncId, relativePath) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `DELETE FROM sync_state WHERE sync_job_id = ? AND relative_path = ?`,
+        [syncId, relativePath],
+        function (err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+
+  // Forget the whole snapshot, e.g. after the synced folders changed
+  async clearSyncState(syncId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `DELETE FROM sync_state WHERE sync_job_id = ?`,
+        [syncId],
+        function (err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+
+  async createSyncConflict(conflictData) {
+    return new Promise((resolve, reject) => {
+      const {
+        syncJobId,
+        runId,
+        relativePath,
+        sourceState = null,
+        destinationState = null,
+        status = "open",
+        resolution = null,
+      } = conflictData;
+      const now = new Date().toISOString();
+      const resolved = status === "resolved";
+
+      const stmt = this.db.prepare(`
+        INSERT INTO sync_conflicts
+        (sync_job_id, run_id, relative_path, source_state, destination_state,
+         status, resolution, resolved_at, applied_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      stmt.run(
+        [syncJobId, runId, relativePath, sourceState, destinationState,
+         status, resolution, resolved ? now : null, resolved ? now : null],
+        function (err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+
+      stmt.finalize();
+    });
+  }
+
+  async updateSyncConflict(conflictId, updates) {
+    return new Promise((resolve, reject) => {
+      const allowedFields = [
+        "run_id", "source_state", "destination_state", "status", "resolution",
+        "resolved_at", "applied_at",
+      ];
+
+      const updateFields = [];
+      const values = [];
+
+      for (const [key, value] of Object.entries(updates)) {
+        if (allowedFields.includes(key)) {
+          updateFields.push(`${key} = ?`);
+          values.push(value);
+        }
+      }
+
+      if (updateFields.length === 0) {
+        return resolve(false);
+      }
+
+      values.push(conflictId);
+
+      const stmt = this.db.prepare(`
+        UPDATE sync_conflicts SET ${updateFields.join(", ")} WHERE id = ?
+      `);
+
+      stmt.run(values, function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+
+      stmt.finalize();
+    });
+  }
+
+  async getSyncConflictById(conflictId, syncId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM sync_conflicts WHERE id = ? AND sync_job_id = ?`,
+        [conflictId, syncId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  // Conflicts of a sync job, newest first, optionally only those with a
+  // given status
+  async getSyncConflicts(syncId, status = null, limit = 20, offset = 0) {
+    return new Promise((resolve, reject) => {
+      let query = `SELECT * FROM sync_conflicts WHERE sync_job_id = ?`;
+      const params = [syncId];
+
+      if (status) {
+        query += ` AND status = ?`;
+        params.push(status);
+      }
+
+      query += ` ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`;
+      params.push(limit, offset);
+
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Conflicts a run still has to deal with: open ones, and ones the user
+  // resolved that no run has applied yet
+  async getUnappliedSyncConflicts(syncId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM sync_conflicts
+         WHERE sync_job_id = ? AND applied_at IS NULL
+         ORDER BY id`,
+        [syncId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  // Close database connection
+  close() {
+    if (this.transactionConnection) {
+      this.transactionConnection
+        .then((connection) => connection.close())
+        .catch(() => {});
+      this.transactionConnection = null;
+    }
+
+    // Resolves once the connection is closed
+    return new Promise((resolve) => {
+      if (!this.db) return resolve();
+
+      this.db.close((err) => {
+        if (err) {
+          console.error("Error closing database:", err.message);
+        } else {
+          console.log("📊 Database connection closed");
+        }
+        resolve();
+      });
+    });
   }
 }
 
@@ -1,6 +1,7 @@
 // src/services/encryption.js - Secure Credential Encryption
 const CryptoJS = require("crypto-js");
 const crypto = require("crypto");
+const providerRegistry = require("./cloud-providers");
 
 class EncryptionService {
   constructor() {
@@ -55,18 +56,13 @@ class EncryptionService {
 
   // Validate credential structure for different providers
   validateCredentialStructure(provider, credentials) {
-    const requiredFields = {
-      "aws-s3": ["accessKeyId", "secretAccessKey", "region", "bucketName"],
-      "google-drive": ["serviceAccountKey"], // Only needs service account JSON
-      "azure-blob": ["connectionString", "containerName"],
-      dropbox: ["accessToken"],
-    };
-
-    const required = requiredFields[provider];
-    if (!required) {
+    if (!providerRegistry.has(provider)) {
       throw new Error(`Unsupported cloud provider: ${provider}`);
     }
 
+    // Each provider class declares the fields it needs
+    const required = providerRegistry.get(provider).requiredCredentials;
+
     const missing = required.filter((field) => !credentials[field]);
     if (missing.length > 0) {
       throw new Error(
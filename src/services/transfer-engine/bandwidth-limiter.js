@@ -0,0 +1,233 @@
+// src/services/transfer-engine/bandwidth-limiter.js - Bandwidth Throttling
+const { Transform } = require("stream");
+const { setTimeout: delay } = require("timers/promises");
+
+// Bandwidth settings: { limit, schedule: [{ start, end, limit }], timezone }.
+// Limits are bytes per second, 0 for no limit. A schedule window ("HH:MM"
+// to "HH:MM" in timezone, wrapping past midnight when end is earlier)
+// replaces limit while it is open, so { limit: 0, schedule: [{ start:
+// "09:00", end: "18:00", limit: 10485760 }] } is full speed except 10 MB/s
+// during business hours.
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// A bucket holds at most this many seconds' worth of bytes, so an idle
+// transfer can't save up for a long burst
+const BURST_SECONDS = 1;
+
+// Waits are cut into slices this long (ms), so a limit changed while a
+// transfer runs applies within one slice
+const MAX_WAIT = 250;
+
+function minutesOf(time) {
+  const [, hours, minutes] = TIME_OF_DAY.exec(time);
+  return parseInt(hours) * 60 + parseInt(minutes);
+}
+
+function checkLimit(limit, name) {
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error(`Invalid bandwidth: ${name} must be a number of bytes per second`);
+  }
+}
+
+// Check bandwidth settings and fill in defaults. Returns null for settings
+// that limit nothing, so unthrottled transfers store nothing. Throws
+// "Invalid bandwidth: ..." for limits, times or timezones that can't be used.
+function normalizeBandwidth(spec) {
+  if (!spec) return null;
+
+  const limit = spec.limit || 0;
+  checkLimit(limit, "limit");
+
+  const timezone = spec.timezone || "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  } catch (error) {
+    throw new Error(`Invalid bandwidth: unknown timezone ${timezone}`);
+  }
+
+  const schedule = (spec.schedule || []).map((window) => {
+    if (!TIME_OF_DAY.test(window.start) || !TIME_OF_DAY.test(window.end)) {
+      throw new Error("Invalid bandwidth: schedule times must be HH:MM");
+    }
+    if (window.start === window.end) {
+      throw new Error(
+        `Invalid bandwidth: the ${window.start} window is empty`
+      );
+    }
+    checkLimit(window.limit || 0, "a schedule window's limit");
+    return { start: window.start, end: window.end, limit: window.limit || 0 };
+  });
+
+  if (!limit && schedule.length === 0) return null;
+
+  return { limit, schedule, timezone };
+}
+
+// TRANSFER_BANDWIDTH_SCHEDULE-style windows: "09:00-18:00=10485760,
+// 22:00-06:00=0"
+function parseBandwidthSchedule(text) {
+  return (text || "")
+    .split(",")
+    .map((part) => part.trim())
+    .filter((part) => part)
+    .map((part) => {
+      const match = /^(\S+)\s*-\s*(\S+)\s*=\s*(\d+)$/.exec(part);
+      if (!match) {
+        throw new Error(`Invalid bandwidth: can't read schedule window "${part}"`);
+      }
+      return { start: match[1], end: match[2], limit: parseInt(match[3]) };
+    });
+}
+
+// Minutes since midnight in a timezone, from a cached formatter per zone
+const clocks = new Map();
+function minutesNow(timezone, date) {
+  if (!clocks.has(timezone)) {
+    clocks.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      })
+    );
+  }
+
+  const parts = clocks.get(timezone).formatToParts(date);
+  const part = (type) => parseInt(parts.find((item) => item.type === type).value);
+  return part("hour") * 60 + part("minute");
+}
+
+// Bytes per second the settings allow at date; 0 for no limit
+function limitAt(settings, date = new Date()) {
+  if (!settings) return 0;
+
+  if (settings.schedule.length > 0) {
+    const now = minutesNow(settings.timezone, date);
+    for (const window of settings.schedule) {
+      const start = minutesOf(window.start);
+      const end = minutesOf(window.end);
+      const open =
+        start < end ? now >= start && now < end : now >= start || now < end;
+      if (open) return window.limit;
+    }
+  }
+
+  return settings.limit;
+}
+
+// A token bucket that refills at the limit its settings give for the
+// current time. Taking more than is there puts it in debt, which the next
+// taker waits out, so chunks of any size get through at the limit on
+// average.
+class TokenBucket {
+  constructor(settings = null) {
+    this.settings = settings;
+    this.tokens = 0;
+    this.updatedAt = Date.now();
+  }
+
+  configure(settings) {
+    this.settings = settings;
+  }
+
+  async take(bytes, signal) {
+    for (;;) {
+      const rate = limitAt(this.settings);
+      const now = Date.now();
+
+      if (!rate) {
+        this.tokens = 0;
+        this.updatedAt = now;
+        return;
+      }
+
+      this.tokens = Math.min(
+        rate * BURST_SECONDS,
+        this.tokens + ((now - this.updatedAt) / 1000) * rate
+      );
+      this.updatedAt = now;
+
+      if (this.tokens >= 0) {
+        this.tokens -= bytes;
+        return;
+      }
+
+      const wait = Math.ceil((-this.tokens / rate) * 1000);
+      await delay(Math.min(wait, MAX_WAIT), undefined, { signal });
+    }
+  }
+}
+
+// The global bucket plus one per user and per transfer (keyed "user:1",
+// "transfer:42"). Transfer and user buckets exist while a stream uses
+// them, so changing their settings reaches streams already running; a
+// folder's files share the folder's bucket.
+class BandwidthLimiter {
+  constructor(globalSettings = null) {
+    this.global = new TokenBucket(globalSettings);
+    this.buckets = new Map(); // key -> { bucket, streams }
+  }
+
+  // Change a bucket's settings; nothing to do if no stream uses it
+  configure(key, settings) {
+    const entry = this.buckets.get(key);
+    if (entry) {
+      entry.bucket.configure(settings);
+    }
+  }
+
+  acquire(key, settings) {
+    let entry = this.buckets.get(key);
+    if (!entry) {
+      entry = { bucket: new TokenBucket(), streams: 0 };
+      this.buckets.set(key, entry);
+    }
+    entry.bucket.configure(settings);
+    entry.streams++;
+    return entry.bucket;
+  }
+
+  release(key) {
+    const entry = this.buckets.get(key);
+    if (entry && --entry.streams <= 0) {
+      this.buckets.delete(key);
+    }
+  }
+
+  // A pass-through stream that holds every chunk until the global bucket
+  // and each of limits ([{ key, settings }]) let it through
+  createStream(limits, signal) {
+    const buckets = [
+      this.global,
+      ...limits.map(({ key, settings }) => this.acquire(key, settings)),
+    ];
+
+    const stream = new Transform({
+      transform: (chunk, encoding, callback) => {
+        (async () => {
+          for (const bucket of buckets) {
+            await bucket.take(chunk.length, signal);
+          }
+        })().then(() => callback(null, chunk), callback);
+      },
+    });
+
+    stream.once("close", () => {
+      for (const { key } of limits) {
+        this.release(key);
+      }
+    });
+
+    return stream;
+  }
+}
+
+module.exports = {
+  BandwidthLimiter,
+  limitAt,
+  normalizeBandwidth,
+  parseBandwidthSchedule,
+};
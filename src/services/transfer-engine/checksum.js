@@ -0,0 +1,77 @@
+// src/services/transfer-engine/checksum.js - Streaming Checksums
+const crypto = require("crypto");
+
+// Dropbox's content hash: SHA-256 of each 4 MB block, then SHA-256 of the
+// concatenated block hashes
+const DROPBOX_BLOCK_SIZE = 4 * 1024 * 1024;
+
+// Hashes data as it streams past, using the algorithm names providers list
+// in capabilities.checksumAlgorithms
+class ChecksumCalculator {
+  constructor(algorithms = ["md5", "sha256"]) {
+    this.hashes = {};
+    for (const algorithm of algorithms) {
+      if (algorithm === "md5" || algorithm === "sha256") {
+        this.hashes[algorithm] = crypto.createHash(algorithm);
+      }
+    }
+
+    this.dropbox = algorithms.includes("dropbox-content-hash")
+      ? { overall: crypto.createHash("sha256"), block: null, blockSize: 0 }
+      : null;
+  }
+
+  update(chunk) {
+    for (const hash of Object.values(this.hashes)) {
+      hash.update(chunk);
+    }
+
+    if (this.dropbox) {
+      this.updateDropbox(chunk);
+    }
+  }
+
+  updateDropbox(chunk) {
+    const state = this.dropbox;
+    let offset = 0;
+
+    while (offset < chunk.length) {
+      if (!state.block) {
+        state.block = crypto.createHash("sha256");
+        state.blockSize = 0;
+      }
+
+      const take = Math.min(
+        DROPBOX_BLOCK_SIZE - state.blockSize,
+        chunk.length - offset
+      );
+      state.block.update(chunk.subarray(offset, offset + take));
+      state.blockSize += take;
+      offset += take;
+
+      if (state.blockSize === DROPBOX_BLOCK_SIZE) {
+        state.overall.update(state.block.digest());
+        state.block = null;
+      }
+    }
+  }
+
+  // Lowercase hex digest per algorithm; call once, after the last chunk
+  digest() {
+    const digests = {};
+    for (const [algorithm, hash] of Object.entries(this.hashes)) {
+      digests[algorithm] = hash.digest("hex");
+    }
+
+    if (this.dropbox) {
+      if (this.dropbox.block) {
+        this.dropbox.overall.update(this.dropbox.block.digest());
+      }
+      digests["dropbox-content-hash"] = this.dropbox.overall.digest("hex");
+    }
+
+    return digests;
+  }
+}
+
+module.exports = ChecksumCalculator;
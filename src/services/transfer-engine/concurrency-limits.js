@@ -0,0 +1,186 @@
+// src/services/transfer-engine/concurrency-limits.js - Per-User and Per-Account Concurrency
+
+// Tiers and providers are looked up again after this long (ms), so a
+// changed subscription takes effect without a restart
+const LOOKUP_TTL = 60000;
+
+// "free=1,pro=4" -> Map { "free" => 1, "pro" => 4 }
+function parseLimits(text) {
+  const limits = new Map();
+
+  for (const part of (text || "").split(",")) {
+    const [name, value] = part.split("=").map((item) => item.trim());
+    const limit = parseInt(value);
+    if (name && limit > 0) {
+      limits.set(name, limit);
+    }
+  }
+
+  return limits;
+}
+
+// How many transfers may run at once for each user (by subscription tier)
+// and on each cloud account (by provider), under the engine's global
+// limit. A running transfer counts against its user and both its accounts.
+class ConcurrencyLimits {
+  constructor(database, options = {}) {
+    this.db = database;
+
+    const globalLimit = options.globalLimit || 3;
+    this.userLimit =
+      parseInt(process.env.TRANSFER_USER_CONCURRENCY) || globalLimit;
+    this.tierLimits = parseLimits(
+      process.env.TRANSFER_USER_CONCURRENCY_BY_TIER
+    );
+    this.accountLimit =
+      parseInt(process.env.TRANSFER_ACCOUNT_CONCURRENCY) || globalLimit;
+    this.providerLimits = parseLimits(
+      process.env.TRANSFER_ACCOUNT_CONCURRENCY_BY_PROVIDER
+    );
+
+    this.users = new Map(); // userId -> { tier, limit, loadedAt }
+    this.accounts = new Map(); // accountId -> { userId, provider, limit, loadedAt }
+  }
+
+  // Look up the tier of each job's user and the provider of each of its
+  // accounts, unless known and fresh. Resolves with whether anything had
+  // to be looked up. A failed lookup falls back to the default limits.
+  async load(jobs) {
+    const now = Date.now();
+    const stale = (entry) => !entry || now - entry.loadedAt > LOOKUP_TTL;
+
+    const userIds = new Set();
+    const accountUsers = new Map(); // accountId -> userId
+    for (const job of jobs) {
+      if (stale(this.users.get(job.userId))) {
+        userIds.add(job.userId);
+      }
+      for (const accountId of [job.sourceAccountId, job.destinationAccountId]) {
+        if (stale(this.accounts.get(accountId))) {
+          accountUsers.set(accountId, job.userId);
+        }
+      }
+    }
+
+    if (userIds.size === 0 && accountUsers.size === 0) return false;
+
+    for (const userId of userIds) {
+      let tier = null;
+      try {
+        const user = await this.db.getUserById(userId);
+        tier = user ? user.subscription_tier : null;
+      } catch (error) {
+        console.error(`Could not look up user ${userId}'s tier:`, error.message);
+      }
+
+      this.users.set(userId, {
+        tier: tier,
+        limit: this.tierLimits.get(tier) || this.userLimit,
+        loadedAt: now,
+      });
+    }
+
+    for (const [accountId, userId] of accountUsers) {
+      let provider = null;
+      try {
+        const account = await this.db.getCloudAccountById(accountId, userId);
+        provider = account ? account.provider : null;
+      } catch (error) {
+        console.error(
+          `Could not look up account ${accountId}'s provider:`,
+          error.message
+        );
+      }
+
+      this.accounts.set(accountId, {
+        userId: userId,
+        provider: provider,
+        limit: this.providerLimits.get(provider) || this.accountLimit,
+        loadedAt: now,
+      });
+    }
+
+    return true;
+  }
+
+  userLimitFor(userId) {
+    const entry = this.users.get(userId);
+    return entry ? entry.limit : this.userLimit;
+  }
+
+  accountLimitFor(accountId) {
+    const entry = this.accounts.get(accountId);
+    return entry ? entry.limit : this.accountLimit;
+  }
+
+  // Jobs per user and per account: { users: Map, accounts: Map }
+  count(jobs) {
+    const users = new Map();
+    const accounts = new Map();
+    const add = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+    for (const job of jobs) {
+      add(users, job.userId);
+      add(accounts, job.sourceAccountId);
+      if (job.destinationAccountId !== job.sourceAccountId) {
+        add(accounts, job.destinationAccountId);
+      }
+    }
+
+    return { users, accounts };
+  }
+
+  // Whether job can start next to the running ones (counted with count)
+  // without its user or either of its accounts going over their limit
+  canStart(job, running) {
+    if ((running.users.get(job.userId) || 0) >= this.userLimitFor(job.userId)) {
+      return false;
+    }
+
+    return [job.sourceAccountId, job.destinationAccountId].every(
+      (accountId) =>
+        (running.accounts.get(accountId) || 0) < this.accountLimitFor(accountId)
+    );
+  }
+
+  // Active and queued jobs with the limit for each user and account that
+  // has any; only userId's own user and accounts when given
+  breakdown(activeJobs, queuedJobs, userId = null) {
+    const active = this.count(activeJobs);
+    const queued = this.count(queuedJobs);
+
+    const userIds = new Set([...active.users.keys(), ...queued.users.keys()]);
+    const accountIds = new Set([
+      ...active.accounts.keys(),
+      ...queued.accounts.keys(),
+    ]);
+
+    const users = [...userIds]
+      .filter((id) => userId === null || id === userId)
+      .map((id) => ({
+        userId: id,
+        tier: this.users.has(id) ? this.users.get(id).tier : null,
+        active: active.users.get(id) || 0,
+        queued: queued.users.get(id) || 0,
+        limit: this.userLimitFor(id),
+      }));
+
+    const accounts = [...accountIds]
+      .filter(
+        (id) =>
+          userId === null ||
+          (this.accounts.has(id) && this.accounts.get(id).userId === userId)
+      )
+      .map((id) => ({
+        accountId: id,
+        provider: this.accounts.has(id) ? this.accounts.get(id).provider : null,
+        active: active.accounts.get(id) || 0,
+        queued: queued.accounts.get(id) || 0,
+        limit: this.accountLimitFor(id),
+      }));
+
+    return { users, accounts };
+  }
+}
+
+module.exports = ConcurrencyLimits;
@@ -0,0 +1,103 @@
+// src/services/transfer-engine/conflict-policy.js - Destination Name Conflicts
+
+// What to do when a file already exists where an upload would write:
+// overwrite it, skip the upload, rename the new file or fail
+const CONFLICT_POLICIES = ["overwrite", "skip", "rename", "fail"];
+const DEFAULT_CONFLICT_POLICY = "overwrite";
+
+// Give up looking for a free " (n)" name after this many tries
+const MAX_RENAME_ATTEMPTS = 1000;
+
+// "reports/q1.pdf" -> "reports/q1 (1).pdf"; dotfiles keep their leading dot
+function numberedName(name, number) {
+  const slash = name.lastIndexOf("/");
+  const folder = name.slice(0, slash + 1);
+  const baseName = name.slice(slash + 1);
+
+  const dot = baseName.lastIndexOf(".");
+  const stem = dot > 0 ? baseName.slice(0, dot) : baseName;
+  const extension = dot > 0 ? baseName.slice(dot) : "";
+
+  return `${folder}${stem} (${number})${extension}`;
+}
+
+// Decide how to upload name into parentPath on provider. Resolves with
+// { action: "upload" | "skip", name, existing, replace }: name is what to
+// upload as, existing the file already there (null when the name was free
+// or wasn't looked up) and replace whether the upload overwrites it.
+// Throws when the policy is "fail" and the name is taken.
+async function resolveConflict(
+  provider,
+  name,
+  parentPath,
+  policy = DEFAULT_CONFLICT_POLICY
+) {
+  if (!CONFLICT_POLICIES.includes(policy)) {
+    throw new Error(`Invalid conflict policy: ${policy}`);
+  }
+
+  const byId = provider.getCapabilities().addressing === "id";
+
+  // Writing to a path replaces whatever is there, no lookup needed
+  if (policy === "overwrite" && !byId) {
+    return { action: "upload", name: name, existing: null, replace: true };
+  }
+
+  const existing = await provider.findFile(name, parentPath || "");
+  if (!existing) {
+    return { action: "upload", name: name, existing: null, replace: false };
+  }
+
+  switch (policy) {
+    case "skip":
+      return { action: "skip", name: name, existing: existing, replace: false };
+
+    case "fail":
+      throw new Error(`Destination file '${name}' already exists`);
+
+    case "rename":
+      for (let number = 1; number <= MAX_RENAME_ATTEMPTS; number++) {
+        const candidate = numberedName(name, number);
+        if (!(await provider.findFile(candidate, parentPath || ""))) {
+          return {
+            action: "upload",
+            name: candidate,
+            existing: existing,
+            replace: false,
+          };
+        }
+      }
+      throw new Error(`No free name found for '${name}' at the destination`);
+
+    default:
+      return { action: "upload", name: name, existing: existing, replace: true };
+  }
+}
+
+// Path-addressed backends replace a file by writing to its path, but on
+// ID-addressed ones (Google Drive) an upload adds a second file with the
+// same name. Remove the old one once the new upload has succeeded;
+// options (e.g. a signal) go to deleteFile.
+async function removeOverwritten(
+  provider,
+  resolution,
+  uploadResult,
+  options = {}
+) {
+  if (!resolution.replace || !resolution.existing) {
+    return;
+  }
+
+  const uploadedId = uploadResult.file.id || uploadResult.file.path;
+  if (resolution.existing.id !== uploadedId) {
+    await provider.deleteFile(resolution.existing.id, options);
+  }
+}
+
+module.exports = {
+  CONFLICT_POLICIES,
+  DEFAULT_CONFLICT_POLICY,
+  numberedName,
+  resolveConflict,
+  removeOverwritten,
+};
@@ -0,0 +1,174 @@
+// src/services/transfer-engine/file-filter.js - Include/Exclude Filters
+
+// A filter picks which files below a folder are copied or synced:
+// { include: [globs], exclude: [globs], minSize, maxSize, modifiedAfter,
+// modifiedBefore }. Globs match paths relative to that folder: "*" and "?"
+// stay within one folder, "**" spans folders, "{a,b}" is either and
+// "[abc]" one of. A glob without a slash matches the file name at any
+// depth ("*.parquet"); one ending in "/" matches everything in the folder
+// ("tmp/").
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function globToRegExp(glob) {
+  let pattern = glob.trim().replace(/^\/+/, "");
+  if (pattern.endsWith("/")) {
+    pattern += "**";
+  }
+
+  let source = "";
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+
+    if (char === "*" && pattern[index + 1] === "*") {
+      index++;
+      // "a/**/b" also matches "a/b"
+      if (pattern[index + 1] === "/") {
+        index++;
+        source += "(?:.*/)?";
+      } else {
+        source += ".*";
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{" && pattern.indexOf("}", index) > index) {
+      const end = pattern.indexOf("}", index);
+      const options = pattern.slice(index + 1, end).split(",");
+      source += `(?:${options.map(escapeRegExp).join("|")})`;
+      index = end;
+    } else if (char === "[" && pattern.indexOf("]", index + 2) > index) {
+      const end = pattern.indexOf("]", index + 2);
+      const set = pattern.slice(index + 1, end).replace(/\\/g, "\\\\");
+      source += set.startsWith("!") ? `[^${set.slice(1)}]` : `[${set}]`;
+      index = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return pattern.includes("/")
+    ? new RegExp(`^${source}$`)
+    : new RegExp(`(?:^|/)${source}$`);
+}
+
+// Check a filter spec and drop what is empty. Returns null when nothing
+// is left, so unfiltered jobs store nothing. Throws "Invalid filters: ..."
+// for sizes or dates that can't be used.
+function normalizeFilters(spec) {
+  if (!spec) return null;
+
+  const filters = {};
+
+  for (const key of ["include", "exclude"]) {
+    const globs = (spec[key] || [])
+      .filter((glob) => typeof glob === "string" && glob.trim())
+      .map((glob) => glob.trim());
+    if (globs.length > 0) {
+      filters[key] = globs;
+    }
+  }
+
+  for (const key of ["minSize", "maxSize"]) {
+    if (spec[key] === undefined || spec[key] === null) continue;
+    if (!Number.isInteger(spec[key]) || spec[key] < 0) {
+      throw new Error(`Invalid filters: ${key} must be a number of bytes`);
+    }
+    filters[key] = spec[key];
+  }
+
+  for (const key of ["modifiedAfter", "modifiedBefore"]) {
+    if (!spec[key]) continue;
+    const date = new Date(spec[key]);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid filters: ${key} is not a date`);
+    }
+    filters[key] = date.toISOString();
+  }
+
+  if (
+    filters.minSize !== undefined &&
+    filters.maxSize !== undefined &&
+    filters.minSize > filters.maxSize
+  ) {
+    throw new Error("Invalid filters: minSize is larger than maxSize");
+  }
+  if (
+    filters.modifiedAfter &&
+    filters.modifiedBefore &&
+    filters.modifiedAfter >= filters.modifiedBefore
+  ) {
+    throw new Error("Invalid filters: modifiedAfter is not before modifiedBefore");
+  }
+
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+// Matches files from a walk against a normalized filter spec (or null,
+// which lets everything through)
+class FileFilter {
+  constructor(filters) {
+    this.filters = filters || null;
+    this.active = !!filters;
+
+    const spec = filters || {};
+    this.include = (spec.include || []).map(globToRegExp);
+    this.exclude = (spec.exclude || []).map(globToRegExp);
+    this.minSize = spec.minSize;
+    this.maxSize = spec.maxSize;
+    this.modifiedAfter = spec.modifiedAfter
+      ? new Date(spec.modifiedAfter).getTime()
+      : null;
+    this.modifiedBefore = spec.modifiedBefore
+      ? new Date(spec.modifiedBefore).getTime()
+      : null;
+  }
+
+  // Why a file is left out: "exclude" (an exclude glob matches), "include"
+  // (no include glob does), "size" or "modified"; null to keep it. A file
+  // without a modified time never passes a date predicate.
+  exclusionReason(item, relativePath) {
+    if (!this.active) return null;
+
+    if (this.exclude.some((glob) => glob.test(relativePath))) {
+      return "exclude";
+    }
+    if (
+      this.include.length > 0 &&
+      !this.include.some((glob) => glob.test(relativePath))
+    ) {
+      return "include";
+    }
+
+    const size = item.size || 0;
+    if (
+      (this.minSize !== undefined && size < this.minSize) ||
+      (this.maxSize !== undefined && size > this.maxSize)
+    ) {
+      return "size";
+    }
+
+    if (this.modifiedAfter !== null || this.modifiedBefore !== null) {
+      const modified = item.lastModified
+        ? new Date(item.lastModified).getTime()
+        : NaN;
+      if (
+        isNaN(modified) ||
+        (this.modifiedAfter !== null && modified <= this.modifiedAfter) ||
+        (this.modifiedBefore !== null && modified >= this.modifiedBefore)
+      ) {
+        return "modified";
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = {
+  FileFilter,
+  normalizeFilters,
+};
@@ -0,0 +1,105 @@
+// src/services/transfer-engine/retry-policy.js - Transient Failure Detection and Backoff
+
+// Error codes that mean the request may succeed if tried again
+const TRANSIENT_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "NetworkingError",
+  "TimeoutError",
+  "RequestTimeout",
+  "Throttling",
+  "ThrottlingException",
+  "TooManyRequestsException",
+  "RequestLimitExceeded",
+  "SlowDown",
+  "InternalError",
+  "ServiceUnavailable",
+  "ServerBusy",
+  "OperationTimedOut",
+];
+
+// Error codes that will fail the same way every time
+const PERMANENT_CODES = [
+  "InvalidAccessKeyId",
+  "SignatureDoesNotMatch",
+  "AccessDenied",
+  "NoSuchBucket",
+  "NoSuchKey",
+  "NotFound",
+  "AuthenticationFailed",
+  "AuthorizationFailure",
+  "ContainerNotFound",
+  "BlobNotFound",
+];
+
+const TRANSIENT_MESSAGES =
+  /rate ?limit|too many requests|throttl|timed? ?out|socket hang up|network connection failed|temporarily unavailable|verification failed/i;
+const PERMANENT_MESSAGES =
+  /not found|invalid .*(key|token|credentials)|access denied|authentication failed|unauthori[sz]ed/i;
+
+class RetryPolicy {
+  constructor(options = {}) {
+    this.baseDelay =
+      options.baseDelay ||
+      parseInt(process.env.TRANSFER_RETRY_BASE_DELAY) ||
+      2000; // ms
+    this.maxDelay =
+      options.maxDelay ||
+      parseInt(process.env.TRANSFER_RETRY_MAX_DELAY) ||
+      60000; // ms
+  }
+
+  // Whether an error is worth retrying. Providers wrap SDK errors, so the
+  // whole cause chain is inspected; the first decisive answer wins.
+  isRetryable(error) {
+    for (let current = error; current; current = current.cause) {
+      const verdict = this.classify(current);
+      if (verdict !== null) return verdict;
+    }
+    return false;
+  }
+
+  // true = transient, false = permanent, null = can't tell from this error
+  classify(error) {
+    const message = error.message || "";
+
+    // Quota errors come back as 403s but clear up on their own
+    if (TRANSIENT_MESSAGES.test(message)) return true;
+
+    const code = typeof error.code === "string" ? error.code : null;
+    if (code && TRANSIENT_CODES.includes(code)) return true;
+    if (code && PERMANENT_CODES.includes(code)) return false;
+
+    const status =
+      error.statusCode ||
+      error.status ||
+      (typeof error.code === "number" ? error.code : null) ||
+      (error.response && error.response.status);
+    if (status) {
+      if (status === 408 || status === 429 || status >= 500) return true;
+      if (status >= 400) return false;
+    }
+
+    if (PERMANENT_MESSAGES.test(message)) return false;
+
+    return null;
+  }
+
+  // Delay before the given retry (1-based): exponential growth capped at
+  // maxDelay, with "equal jitter" so retries from many jobs spread out
+  getDelay(attempt) {
+    const delay = Math.min(
+      this.maxDelay,
+      this.baseDelay * Math.pow(2, attempt - 1)
+    );
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+}
+
+module.exports = RetryPolicy;
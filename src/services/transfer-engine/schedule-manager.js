@@ -0,0 +1,357 @@
+// src/services/transfer-engine/schedule-manager.js - Recurring Transfer Schedules
+const { CronExpressionParser } = require("cron-parser");
+const { normalizeFilters } = require("./file-filter");
+
+class ScheduleManager {
+  constructor(database, transferEngine) {
+    this.db = database;
+    this.transferEngine = transferEngine;
+    this.isFiring = false;
+  }
+
+  // Throw if the timezone or cron expression can't be used
+  validate(cronExpression, timezone) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    } catch (error) {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+
+    try {
+      this.getNextRuns(cronExpression, timezone, 1);
+    } catch (error) {
+      throw new Error(`Invalid cron expression: ${error.message}`);
+    }
+  }
+
+  // Transfer options as stored: filters checked, and only kept for folders
+  normalizeOptions(options) {
+    const normalized = { ...options };
+    delete normalized.filters;
+
+    const filters = normalizeFilters(options.filters);
+    if (filters) {
+      if (options.type !== "folder") {
+        throw new Error("Invalid filters: only folder transfers can be filtered");
+      }
+      normalized.filters = filters;
+    }
+    return normalized;
+  }
+
+  // The next `count` run times after `after`, as Dates
+  getNextRuns(cronExpression, timezone, count, after = new Date()) {
+    const interval = CronExpressionParser.parse(cronExpression, {
+      currentDate: after,
+      tz: timezone,
+    });
+
+    const runs = [];
+    while (runs.length < count) {
+      runs.push(interval.next().toDate());
+    }
+    return runs;
+  }
+
+  // Upcoming run times of an expression that hasn't been saved yet
+  previewRuns(cronExpression, timezone = "UTC", count = 5) {
+    this.validate(cronExpression, timezone);
+    return this.getNextRuns(cronExpression, timezone, count);
+  }
+
+  // Create a schedule for a user
+  async createSchedule(userId, data) {
+    const timezone = data.timezone || "UTC";
+    this.validate(data.cronExpression, timezone);
+    await this.checkAccounts(
+      userId,
+      data.sourceAccountId,
+      data.destinationAccountId
+    );
+
+    const enabled = data.enabled !== false;
+    const scheduleId = await this.db.createTransferSchedule({
+      userId,
+      name: data.name,
+      cronExpression: data.cronExpression,
+      timezone,
+      sourceAccountId: data.sourceAccountId,
+      destinationAccountId: data.destinationAccountId,
+      sourceFilePath: data.sourceFilePath,
+      destinationFilePath: data.destinationFilePath || data.fileName,
+      fileName: data.fileName,
+      options: data.options
+        ? JSON.stringify(this.normalizeOptions(data.options))
+        : null,
+      enabled,
+      nextRunAt: enabled
+        ? this.getNextRuns(data.cronExpression, timezone, 1)[0].toISOString()
+        : null,
+    });
+
+    console.log(
+      `📅 Created schedule ${scheduleId}: "${data.name}" (${data.cronExpression} ${timezone})`
+    );
+
+    return this.getSchedule(scheduleId, userId);
+  }
+
+  async listSchedules(userId) {
+    const rows = await this.db.getTransferSchedulesByUser(userId);
+    return rows.map((row) => this.formatSchedule(row));
+  }
+
+  // A schedule with a preview of its next few run times
+  async getSchedule(scheduleId, userId, previewCount = 5) {
+    const row = await this.getScheduleRow(scheduleId, userId);
+
+    return {
+      ...this.formatSchedule(row),
+      nextRuns: this.getNextRuns(
+        row.cron_expression,
+        row.timezone,
+        previewCount
+      ),
+    };
+  }
+
+  // Change any of the schedule's settings
+  async updateSchedule(scheduleId, userId, changes) {
+    const row = await this.getScheduleRow(scheduleId, userId);
+
+    const cronExpression = changes.cronExpression || row.cron_expression;
+    const timezone = changes.timezone || row.timezone;
+    this.validate(cronExpression, timezone);
+
+    if (
+      changes.sourceAccountId !== undefined ||
+      changes.destinationAccountId !== undefined
+    ) {
+      await this.checkAccounts(
+        userId,
+        changes.sourceAccountId || row.source_account_id,
+        changes.destinationAccountId || row.destination_account_id
+      );
+    }
+
+    const fields = {
+      name: "name",
+      cronExpression: "cron_expression",
+      timezone: "timezone",
+      sourceAccountId: "source_account_id",
+      destinationAccountId: "destination_account_id",
+      sourceFilePath: "source_path",
+      destinationFilePath: "destination_path",
+      fileName: "file_name",
+    };
+
+    const updates = {};
+    for (const [key, column] of Object.entries(fields)) {
+      if (changes[key] !== undefined) {
+        updates[column] = changes[key];
+      }
+    }
+    if (changes.options !== undefined) {
+      updates.options = JSON.stringify(this.normalizeOptions(changes.options));
+    }
+    if (changes.enabled !== undefined) {
+      updates.enabled = changes.enabled ? 1 : 0;
+    }
+
+    // A new timing (or re-enabling) starts counting from now
+    const enabled =
+      changes.enabled !== undefined ? changes.enabled : !!row.enabled;
+    updates.next_run_at = enabled
+      ? this.getNextRuns(cronExpression, timezone, 1)[0].toISOString()
+      : null;
+
+    await this.db.updateTransferSchedule(scheduleId, updates);
+
+    return this.getSchedule(scheduleId, userId);
+  }
+
+  async setEnabled(scheduleId, userId, enabled) {
+    return this.updateSchedule(scheduleId, userId, { enabled });
+  }
+
+  async deleteSchedule(scheduleId, userId) {
+    const deleted = await this.db.deleteTransferSchedule(scheduleId, userId);
+    if (!deleted) {
+      throw new Error("Schedule not found");
+    }
+
+    console.log(`🗑️ Deleted schedule ${scheduleId}`);
+    return { success: true, message: "Schedule deleted" };
+  }
+
+  // Run history, newest first
+  async getRuns(scheduleId, userId, limit = 20, offset = 0) {
+    await this.getScheduleRow(scheduleId, userId);
+    const rows = await this.db.getScheduleRuns(scheduleId, limit, offset);
+
+    return rows.map((row) => ({
+      id: row.id,
+      status: row.status,
+      message: row.message,
+      scheduledFor: row.scheduled_for,
+      createdAt: row.created_at,
+      transferId: row.transfer_id,
+      transfer: row.transfer_id
+        ? {
+            id: row.transfer_id,
+            status: row.transfer_status,
+            progress: row.transfer_progress,
+            error: row.transfer_error,
+            completedAt: row.transfer_completed_at,
+          }
+        : null,
+    }));
+  }
+
+  // Fire every enabled schedule whose next run time has passed
+  async fireDueSchedules() {
+    if (this.isFiring) return 0;
+    this.isFiring = true;
+
+    try {
+      const rows = await this.db.getDueTransferSchedules(
+        new Date().toISOString()
+      );
+
+      for (const row of rows) {
+        try {
+          await this.fireSchedule(row);
+        } catch (error) {
+          console.error(`Error firing schedule ${row.id}:`, error);
+        }
+      }
+
+      return rows.length;
+    } catch (error) {
+      console.error("Error firing transfer schedules:", error);
+      return 0;
+    } finally {
+      this.isFiring = false;
+    }
+  }
+
+  // Create this run's transfer, unless the previous run is still going
+  async fireSchedule(row) {
+    const now = new Date();
+
+    // Count the next run from now, so runs missed while the server was
+    // down collapse into this one instead of firing back to back
+    await this.db.updateTransferSchedule(row.id, {
+      next_run_at: this.getNextRuns(
+        row.cron_expression,
+        row.timezone,
+        1,
+        now
+      )[0].toISOString(),
+      last_run_at: now.toISOString(),
+    });
+
+    const active = await this.db.getActiveScheduleRun(row.id);
+    if (active) {
+      await this.db.createScheduleRun({
+        scheduleId: row.id,
+        status: "skipped",
+        message: `Previous run (transfer ${active.transfer_id}) is still ${active.transfer_status}`,
+        scheduledFor: row.next_run_at,
+      });
+      console.log(
+        `⏭️ Skipped schedule ${row.id}: transfer ${active.transfer_id} is still ${active.transfer_status}`
+      );
+      return null;
+    }
+
+    const options = row.options ? JSON.parse(row.options) : {};
+
+    try {
+      const result = await this.transferEngine.createTransfer({
+        userId: row.user_id,
+        sourceAccountId: row.source_account_id,
+        destinationAccountId: row.destination_account_id,
+        sourceFilePath: row.source_path,
+        destinationFilePath: row.destination_path,
+        fileName: row.file_name,
+        priority: options.priority,
+        type: options.type,
+        mode: options.mode,
+        conflictPolicy: options.conflictPolicy,
+        filters: options.filters,
+      });
+
+      await this.db.createScheduleRun({
+        scheduleId: row.id,
+        transferId: result.transferId,
+        status: "started",
+        scheduledFor: row.next_run_at,
+      });
+      console.log(
+        `⏰ Schedule ${row.id} fired: transfer ${result.transferId}`
+      );
+
+      return result;
+    } catch (error) {
+      await this.db.createScheduleRun({
+        scheduleId: row.id,
+        status: "failed",
+        message: error.message,
+        scheduledFor: row.next_run_at,
+      });
+      console.error(`❌ Schedule ${row.id} failed to fire:`, error.message);
+      return null;
+    }
+  }
+
+  async getScheduleRow(scheduleId, userId) {
+    const row = await this.db.getTransferScheduleById(scheduleId, userId);
+    if (!row) {
+      throw new Error("Schedule not found");
+    }
+    return row;
+  }
+
+  // Both accounts must belong to the user and be different
+  async checkAccounts(userId, sourceAccountId, destinationAccountId) {
+    const sourceAccount = await this.db.getCloudAccountById(
+      sourceAccountId,
+      userId
+    );
+    const destAccount = await this.db.getCloudAccountById(
+      destinationAccountId,
+      userId
+    );
+
+    if (!sourceAccount || !destAccount) {
+      throw new Error("Source or destination account not found");
+    }
+
+    if (sourceAccount.id === destAccount.id) {
+      throw new Error("Source and destination accounts must be different");
+    }
+  }
+
+  formatSchedule(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      cronExpression: row.cron_expression,
+      timezone: row.timezone,
+      sourceAccountId: row.source_account_id,
+      destinationAccountId: row.destination_account_id,
+      sourceFilePath: row.source_path,
+      destinationFilePath: row.destination_path,
+      fileName: row.file_name,
+      options: row.options ? JSON.parse(row.options) : {},
+      enabled: !!row.enabled,
+      nextRunAt: row.next_run_at,
+      lastRunAt: row.last_run_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+module.exports = ScheduleManager;
@@ -0,0 +1,1250 @@
+// src/services/transfer-engine/sync-manager.js - Folder Sync (Mirror and Two-Way)
+const { numberedName } = require("./conflict-policy");
+const { FileFilter, normalizeFilters } = require("./file-filter");
+
+class SyncManager {
+  constructor(database, transferEngine) {
+    this.db = database;
+    this.transferEngine = transferEngine;
+  }
+
+  // Create a sync job for a user
+  async createSync(userId, data) {
+    const filters = normalizeFilters(data.filters);
+    await this.checkAccounts(
+      userId,
+      data.sourceAccountId,
+      data.destinationAccountId
+    );
+
+    const syncId = await this.db.createSyncJob({
+      userId,
+      name: data.name,
+      sourceAccountId: data.sourceAccountId,
+      destinationAccountId: data.destinationAccountId,
+      sourcePath: data.sourcePath || "",
+      destinationPath: data.destinationPath || "",
+      deleteExtras: !!data.deleteExtras,
+      direction: data.direction || "one-way",
+      conflictResolution: data.conflictResolution || "newest",
+      filters: filters ? JSON.stringify(filters) : null,
+    });
+
+    console.log(`🔄 Created sync ${syncId}: "${data.name}"`);
+
+    return this.getSync(syncId, userId);
+  }
+
+  async listSyncs(userId) {
+    const rows = await this.db.getSyncJobsByUser(userId);
+    return rows.map((row) => this.formatSync(row));
+  }
+
+  // A sync job with its latest run
+  async getSync(syncId, userId) {
+    const row = await this.getSyncRow(syncId, userId);
+    const [lastRun] = await this.db.getSyncRuns(row.id, 1, 0);
+
+    return {
+      ...this.formatSync(row),
+      lastRun: lastRun ? this.formatRun(lastRun) : null,
+    };
+  }
+
+  async updateSync(syncId, userId, changes) {
+    const row = await this.getSyncRow(syncId, userId);
+
+    if (
+      changes.sourceAccountId !== undefined ||
+      changes.destinationAccountId !== undefined
+    ) {
+      await this.checkAccounts(
+        userId,
+        changes.sourceAccountId || row.source_account_id,
+        changes.destinationAccountId || row.destination_account_id
+      );
+    }
+
+    const fields = {
+      name: "name",
+      sourceAccountId: "source_account_id",
+      destinationAccountId: "destination_account_id",
+      sourcePath: "source_path",
+      destinationPath: "destination_path",
+      direction: "direction",
+      conflictResolution: "conflict_resolution",
+    };
+
+    const updates = {};
+    for (const [key, column] of Object.entries(fields)) {
+      if (changes[key] !== undefined) {
+        updates[column] = changes[key];
+      }
+    }
+    if (changes.deleteExtras !== undefined) {
+      updates.delete_extras = changes.deleteExtras ? 1 : 0;
+    }
+    // An empty spec clears the filters
+    if (changes.filters !== undefined) {
+      const filters = normalizeFilters(changes.filters);
+      updates.filters = filters ? JSON.stringify(filters) : null;
+    }
+
+    await this.db.updateSyncJob(syncId, updates);
+
+    // The snapshot describes the old folders; kept, it would make files
+    // look deleted on one side and remove them from the other
+    const moved = [
+      "source_account_id",
+      "destination_account_id",
+      "source_path",
+      "destination_path",
+      "direction",
+    ].some((column) => updates[column] !== undefined && updates[column] !== row[column]);
+    if (moved) {
+      await this.db.clearSyncState(syncId);
+    }
+
+    return this.getSync(syncId, userId);
+  }
+
+  async deleteSync(syncId, userId) {
+    const deleted = await this.db.deleteSyncJob(syncId, userId);
+    if (!deleted) {
+      throw new Error("Sync not found");
+    }
+
+    console.log(`🗑️ Deleted sync ${syncId}`);
+    return { success: true, message: "Sync deleted" };
+  }
+
+  // Run history, newest first
+  async getRuns(syncId, userId, limit = 20, offset = 0) {
+    await this.getSyncRow(syncId, userId);
+    const rows = await this.db.getSyncRuns(syncId, limit, offset);
+    return rows.map((row) => this.formatRun(row));
+  }
+
+  // Conflicts found by two-way runs, newest first
+  async getConflicts(syncId, userId, status = null, limit = 20, offset = 0) {
+    await this.getSyncRow(syncId, userId);
+    const rows = await this.db.getSyncConflicts(syncId, status, limit, offset);
+    return rows.map((row) => this.formatConflict(row));
+  }
+
+  // Settle an open conflict by keeping the source's file, the
+  // destination's, or both. A run is started to apply it; if one is
+  // already going, the next run applies it.
+  async resolveConflict(syncId, userId, conflictId, resolution) {
+    const row = await this.getSyncRow(syncId, userId);
+
+    const conflict = await this.db.getSyncConflictById(conflictId, row.id);
+    if (!conflict) {
+      throw new Error("Conflict not found");
+    }
+    if (conflict.status !== "open") {
+      throw new Error(`Conflict is already ${conflict.status}`);
+    }
+
+    await this.db.updateSyncConflict(conflict.id, {
+      status: "resolved",
+      resolution: resolution,
+      resolved_at: new Date().toISOString(),
+    });
+
+    let run = null;
+    try {
+      run = await this.runSync(row.id, userId);
+    } catch (error) {
+      if (!error.message.includes("already running")) {
+        throw error;
+      }
+    }
+
+    return {
+      conflict: this.formatConflict(
+        await this.db.getSyncConflictById(conflict.id, row.id)
+      ),
+      run: run,
+    };
+  }
+
+  // Start a run. Listing and diffing carry on in the background; the run
+  // row shows how far it got.
+  async runSync(syncId, userId) {
+    const row = await this.getSyncRow(syncId, userId);
+
+    const active = await this.db.getActiveSyncRun(row.id);
+    if (active) {
+      throw new Error(`Sync is already running (run ${active.id})`);
+    }
+
+    const runId = await this.db.createSyncRun({
+      syncJobId: row.id,
+      status: "running",
+    });
+    await this.db.updateSyncJob(row.id, {
+      last_run_at: new Date().toISOString(),
+    });
+
+    console.log(`🔄 Sync ${row.id} run ${runId} started`);
+
+    this.executeRun(row, runId).catch(async (error) => {
+      console.error(`❌ Sync ${row.id} run ${runId} failed:`, error.message);
+      try {
+        await this.db.updateSyncRun(runId, {
+          status: "failed",
+          message: error.message,
+          completed_at: new Date().toISOString(),
+        });
+      } catch (dbError) {
+        console.error("Error updating sync run:", dbError);
+      }
+    });
+
+    return this.formatRun(await this.db.getSyncRunById(runId));
+  }
+
+  // What a run would do right now, without changing anything: the sides
+  // as listed, copies, deletes, conflicts (with the resolution a run would
+  // apply, null to leave open), the number of unchanged files and a
+  // message when deletions would be held back
+  async planSync(syncId, userId) {
+    const row = await this.getSyncRow(syncId, userId);
+    const sides = await this.listSides(row);
+
+    if (row.direction !== "two-way") {
+      return {
+        row,
+        sides,
+        ...this.planOneWay(row, sides),
+        excluded: sides.excluded,
+      };
+    }
+
+    const snapshot = await this.loadSnapshot(row, { persist: false });
+    const plan = this.planTwoWay(
+      sides.source.tree,
+      sides.destination.tree,
+      snapshot
+    );
+    const message = this.holdBackDeletes(plan, sides, snapshot);
+
+    const unapplied = new Map(
+      (await this.db.getUnappliedSyncConflicts(row.id)).map((conflict) => [
+        conflict.relative_path,
+        conflict,
+      ])
+    );
+    const conflicts = plan.conflicts.map((entry) => {
+      const resolution = this.resolutionFor(
+        row,
+        entry,
+        unapplied.get(entry.relativePath)
+      );
+      const conflictPath =
+        resolution === "both" ? this.conflictPath(entry.relativePath, sides) : null;
+
+      plan.copies.push(
+        ...(resolution
+          ? this.resolutionCopies(resolution, entry, conflictPath)
+          : [])
+      );
+      return { ...entry, resolution, conflictPath };
+    });
+
+    return {
+      row,
+      sides,
+      copies: plan.copies,
+      deletes: plan.deletes,
+      conflicts,
+      unchanged: plan.unchanged + plan.inSync.length,
+      excluded: sides.excluded,
+      message,
+    };
+  }
+
+  // List both sides and hand over to the run of the sync's direction
+  async executeRun(row, runId) {
+    const sides = await this.listSides(row);
+
+    if (row.direction === "two-way") {
+      return this.executeTwoWayRun(row, runId, sides);
+    }
+    return this.executeOneWayRun(row, runId, sides);
+  }
+
+  // Both sides of a sync, each with its provider and everything below its
+  // folder the sync's filters let through, and the number of files they
+  // left out (excluded). A two-way sync's source may not exist yet either.
+  async listSides(row) {
+    const filter = new FileFilter(row.filters ? JSON.parse(row.filters) : null);
+    const { provider: sourceProvider } =
+      await this.transferEngine.getAccountProvider(
+        row.source_account_id,
+        row.user_id
+      );
+    const { provider: destProvider } =
+      await this.transferEngine.getAccountProvider(
+        row.destination_account_id,
+        row.user_id
+      );
+
+    const source = await this.listTree(sourceProvider, row.source_path, {
+      missingIsEmpty: row.direction === "two-way",
+      filter,
+    });
+    const destination = await this.listTree(
+      destProvider,
+      row.destination_path,
+      { missingIsEmpty: true, filter }
+    );
+
+    // Size and date limits can leave out one side's copy of a file and not
+    // the other's. Left in, the other copy would look added (and be copied
+    // back) or extra (and be deleted), so it is left out as well.
+    for (const [from, to] of [
+      [source, destination],
+      [destination, source],
+    ]) {
+      for (const relativePath of from.excluded.keys()) {
+        if (to.files.has(relativePath)) {
+          to.excluded.set(relativePath, to.files.get(relativePath));
+          to.files.delete(relativePath);
+        }
+      }
+    }
+
+    return {
+      source: {
+        accountId: row.source_account_id,
+        provider: sourceProvider,
+        rootPath: row.source_path,
+        tree: source,
+      },
+      destination: {
+        accountId: row.destination_account_id,
+        provider: destProvider,
+        rootPath: row.destination_path,
+        tree: destination,
+      },
+      excluded: new Set([...source.excluded.keys(), ...destination.excluded.keys()])
+        .size,
+    };
+  }
+
+  // Delete extras if asked to, and queue a transfer for every file that is
+  // new or changed at the source
+  async executeOneWayRun(row, runId, sides) {
+    const plan = this.planOneWay(row, sides);
+
+    let deleted = 0;
+    let message = plan.message;
+    if (plan.deletes.length > 0) {
+      const result = await this.deleteExtras(
+        sides.destination.provider,
+        plan.deletes,
+        sides.destination.tree
+      );
+      deleted = result.deleted;
+      if (result.failed > 0) {
+        message = `${result.failed} extra files could not be deleted`;
+      }
+    }
+
+    const { parentId: transferId } = plan.copies.length
+      ? await this.queueCopies(row, plan.copies, sides)
+      : { parentId: null };
+
+    const count = (reason) =>
+      plan.copies.filter((copy) => copy.reason === reason).length;
+
+    await this.db.updateSyncRun(runId, {
+      status: transferId ? "transferring" : "completed",
+      transfer_id: transferId,
+      added: count("added"),
+      updated: count("updated"),
+      deleted: deleted,
+      unchanged: plan.unchanged,
+      excluded: sides.excluded,
+      message: message,
+      completed_at: transferId ? null : new Date().toISOString(),
+    });
+
+    console.log(
+      `🔄 Sync ${row.id} run ${runId}: ${count("added")} added, ${count("updated")} updated, ${deleted} deleted, ${plan.unchanged} unchanged, ${sides.excluded} excluded`
+    );
+  }
+
+  // What a one-way run does: copy what is new or changed at the source
+  // and, with deleteExtras, delete what only the destination has.
+  // Resolves with copies, deletes (files and folders), the number of
+  // unchanged files and a message when deletions were held back.
+  planOneWay(row, sides) {
+    const source = sides.source.tree;
+    const diff = this.diffTrees(source, sides.destination.tree);
+
+    let deletes = [];
+    let message = null;
+    if (row.delete_extras && diff.extra.length > 0) {
+      // An empty source is more likely a wrong path or an outage than a
+      // request to wipe the destination
+      if (source.files.size === 0) {
+        message = "Source is empty, so nothing was deleted";
+      } else {
+        deletes = diff.extra.map((entry) => ({
+          relativePath: entry.relativePath,
+          file: entry.destination,
+          side: "destination",
+        }));
+      }
+    }
+
+    const copies = [
+      ...diff.added.map((entry) => ({ ...entry, reason: "added" })),
+      ...diff.updated.map((entry) => ({ ...entry, reason: "updated" })),
+    ].map((entry) => ({
+      relativePath: entry.relativePath,
+      file: entry.source,
+      to: "destination",
+      reason: entry.reason,
+    }));
+
+    return {
+      copies,
+      deletes,
+      conflicts: [],
+      unchanged: diff.unchanged.length,
+      message,
+    };
+  }
+
+  // Compare both sides with the snapshot of the last run: copy what
+  // changed on one side to the other, delete what was deleted on one side
+  // from the other, and resolve what changed on both. Deletions only
+  // remove files; folders left empty stay.
+  async executeTwoWayRun(row, runId, sides) {
+    const snapshot = await this.loadSnapshot(row);
+    const plan = this.planTwoWay(
+      sides.source.tree,
+      sides.destination.tree,
+      snapshot
+    );
+
+    let message = this.holdBackDeletes(plan, sides, snapshot);
+    const conflictCount = plan.conflicts.length;
+    const { open } = await this.handleConflicts(row, runId, plan, sides);
+
+    let deleted = 0;
+    let failed = 0;
+    for (const entry of plan.deletes) {
+      try {
+        await sides[entry.side].provider.deleteFile(entry.file.path);
+        await this.db.deleteSyncState(row.id, entry.relativePath);
+        deleted++;
+      } catch (error) {
+        failed++;
+        console.error(
+          `Could not delete ${entry.relativePath} from the sync ${entry.side}:`,
+          error.message
+        );
+      }
+    }
+    if (failed > 0) {
+      message = `${failed} deleted files could not be removed from the other side`;
+    }
+
+    for (const entry of plan.inSync) {
+      await this.db.saveSyncState(row.id, entry.relativePath, {
+        sourceState: JSON.stringify(this.fileState(entry.source)),
+        destinationState: JSON.stringify(this.fileState(entry.destination)),
+      });
+    }
+    for (const relativePath of plan.forgotten) {
+      await this.db.deleteSyncState(row.id, relativePath);
+    }
+
+    let transferId = null;
+    if (plan.copies.length > 0) {
+      const { parentId, childIds } = await this.queueCopies(
+        row,
+        plan.copies,
+        sides
+      );
+      transferId = parentId;
+
+      // The side being written is settled from the transfer once it is done
+      for (const [index, copy] of plan.copies.entries()) {
+        if (copy.untracked) continue;
+
+        const previous = snapshot.get(copy.relativePath) || {};
+        await this.db.saveSyncState(row.id, copy.relativePath, {
+          sourceState: previous.source ? JSON.stringify(previous.source) : null,
+          destinationState: previous.destination
+            ? JSON.stringify(previous.destination)
+            : null,
+          pendingTransferId: childIds[index],
+          pendingSide: copy.to,
+          pendingState: JSON.stringify(this.fileState(copy.file)),
+        });
+      }
+    }
+
+    if (open > 0 && !message) {
+      message = `${open} conflicts need to be resolved`;
+    }
+
+    const count = (reason) =>
+      plan.copies.filter((copy) => copy.reason === reason).length;
+    const unchanged = plan.unchanged + plan.inSync.length;
+
+    await this.db.updateSyncRun(runId, {
+      status: transferId ? "transferring" : "completed",
+      transfer_id: transferId,
+      added: count("added"),
+      updated: count("updated"),
+      deleted: deleted,
+      unchanged: unchanged,
+      conflicts: conflictCount,
+      excluded: sides.excluded,
+      message: message,
+      completed_at: transferId ? null : new Date().toISOString(),
+    });
+
+    console.log(
+      `🔄 Sync ${row.id} run ${runId} (two-way): ${count("added")} added, ${count("updated")} updated, ${deleted} deleted, ${unchanged} unchanged, ${conflictCount} conflicts, ${sides.excluded} excluded`
+    );
+  }
+
+  // A side that lists nothing while the snapshot knows files is more
+  // likely a wrong path or an outage than everything having been deleted.
+  // Drops the deletions that would follow from it; resolves with a message
+  // saying so, or null.
+  holdBackDeletes(plan, sides, snapshot) {
+    let message = null;
+    if (snapshot.size === 0) return message;
+
+    for (const side of ["source", "destination"]) {
+      if (sides[side].tree.files.size > 0) continue;
+
+      const other = side === "source" ? "destination" : "source";
+      if (plan.deletes.some((entry) => entry.side === other)) {
+        plan.deletes = plan.deletes.filter((entry) => entry.side !== other);
+        message = `The ${side} is empty, so nothing was deleted from the ${other}`;
+      }
+    }
+
+    return message;
+  }
+
+  // The snapshot as { relativePath: { source, destination } }. Copies a
+  // previous run queued are settled first: a completed one records both
+  // sides as they were after the copy, a failed or cancelled one leaves the
+  // old snapshot so the change is found again, and a paused one stays
+  // pending. Without persist the settled snapshot is only returned, not
+  // saved.
+  async loadSnapshot(row, { persist = true } = {}) {
+    const snapshot = new Map();
+    const finished = ["completed", "partial", "skipped", "failed", "cancelled"];
+
+    for (const stateRow of await this.db.getSyncStates(row.id)) {
+      let source = stateRow.source_state ? JSON.parse(stateRow.source_state) : null;
+      let destination = stateRow.destination_state
+        ? JSON.parse(stateRow.destination_state)
+        : null;
+
+      if (stateRow.pending_transfer_id) {
+        const transfer = await this.db.getTransferById(
+          stateRow.pending_transfer_id,
+          row.user_id
+        );
+
+        if (!transfer || finished.includes(transfer.status)) {
+          const verification =
+            transfer && transfer.status === "completed" && transfer.verification
+              ? JSON.parse(transfer.verification)
+              : null;
+
+          if (verification && verification.destination) {
+            const copied = JSON.parse(stateRow.pending_state);
+            if (stateRow.pending_side === "destination") {
+              source = copied;
+              destination = verification.destination;
+            } else {
+              source = verification.destination;
+              destination = copied;
+            }
+          }
+
+          if (persist && (source || destination)) {
+            await this.db.saveSyncState(row.id, stateRow.relative_path, {
+              sourceState: source ? JSON.stringify(source) : null,
+              destinationState: destination ? JSON.stringify(destination) : null,
+            });
+          } else if (persist) {
+            await this.db.deleteSyncState(row.id, stateRow.relative_path);
+          }
+        }
+      }
+
+      if (source || destination) {
+        snapshot.set(stateRow.relative_path, { source, destination });
+      }
+    }
+
+    return snapshot;
+  }
+
+  // Decide what a two-way run does with every path either side or the
+  // snapshot knows. Resolves with copies ({ relativePath, file, to, reason }),
+  // deletes ({ relativePath, file, side }), inSync (matching pairs whose
+  // snapshot needs recording), conflicts (both sides changed), forgotten
+  // (gone from both sides) and a count of unchanged paths.
+  planTwoWay(source, destination, snapshot) {
+    const plan = {
+      copies: [],
+      deletes: [],
+      inSync: [],
+      conflicts: [],
+      forgotten: [],
+      unchanged: 0,
+    };
+
+    const paths = new Set([
+      ...source.files.keys(),
+      ...destination.files.keys(),
+      ...snapshot.keys(),
+    ]);
+
+    for (const relativePath of paths) {
+      const sourceFile = source.files.get(relativePath) || null;
+      const destFile = destination.files.get(relativePath) || null;
+      const previous = snapshot.get(relativePath);
+      const entry = { relativePath, source: sourceFile, destination: destFile };
+
+      if (!sourceFile && !destFile) {
+        plan.forgotten.push(relativePath);
+        continue;
+      }
+
+      const copy = (from, reason) =>
+        plan.copies.push({
+          relativePath,
+          file: from === "source" ? sourceFile : destFile,
+          to: from === "source" ? "destination" : "source",
+          reason,
+        });
+      const match =
+        sourceFile && destFile ? this.contentMatch(sourceFile, destFile) : false;
+
+      // First time this path is seen: whichever side has it wins, and two
+      // different files are a conflict. Without a common checksum, equal
+      // sizes count as the same file.
+      if (!previous) {
+        if (sourceFile && destFile) {
+          if (match === false) {
+            plan.conflicts.push(entry);
+          } else {
+            plan.inSync.push(entry);
+          }
+        } else {
+          copy(sourceFile ? "source" : "destination", "added");
+        }
+        continue;
+      }
+
+      const sourceChanged = !this.sameState(sourceFile, previous.source);
+      const destChanged = !this.sameState(destFile, previous.destination);
+
+      if (!sourceChanged && !destChanged) {
+        plan.unchanged++;
+      } else if (match === true) {
+        plan.inSync.push(entry);
+      } else if (!destChanged) {
+        if (sourceFile) {
+          copy("source", destFile ? "updated" : "added");
+        } else {
+          plan.deletes.push({ relativePath, file: destFile, side: "destination" });
+        }
+      } else if (!sourceChanged) {
+        if (destFile) {
+          copy("destination", sourceFile ? "updated" : "added");
+        } else {
+          plan.deletes.push({ relativePath, file: sourceFile, side: "source" });
+        }
+      } else if (!sourceFile || !destFile) {
+        // Deleted on one side and edited on the other: keep the edit
+        copy(sourceFile ? "source" : "destination", "added");
+      } else {
+        plan.conflicts.push(entry);
+      }
+    }
+
+    return plan;
+  }
+
+  // Apply the sync's conflict resolution, or the user's choice for a
+  // conflict they resolved, to this run's conflicts; the rest stay open.
+  // Conflicts that went away on their own are cleared.
+  async handleConflicts(row, runId, plan, sides) {
+    const now = new Date().toISOString();
+    const unapplied = new Map(
+      (await this.db.getUnappliedSyncConflicts(row.id)).map((conflict) => [
+        conflict.relative_path,
+        conflict,
+      ])
+    );
+    let open = 0;
+
+    for (const entry of plan.conflicts) {
+      const record = unapplied.get(entry.relativePath);
+      unapplied.delete(entry.relativePath);
+
+      const resolution = this.resolutionFor(row, entry, record);
+      const states = {
+        source_state: JSON.stringify(this.fileState(entry.source)),
+        destination_state: JSON.stringify(this.fileState(entry.destination)),
+      };
+
+      if (!resolution) {
+        open++;
+        if (record) {
+          await this.db.updateSyncConflict(record.id, { run_id: runId, ...states });
+        } else {
+          await this.db.createSyncConflict({
+            syncJobId: row.id,
+            runId: runId,
+            relativePath: entry.relativePath,
+            sourceState: states.source_state,
+            destinationState: states.destination_state,
+          });
+        }
+        continue;
+      }
+
+      await this.applyResolution(resolution, entry, plan, sides);
+
+      if (record) {
+        await this.db.updateSyncConflict(record.id, {
+          run_id: runId,
+          status: "resolved",
+          resolution: resolution,
+          applied_at: now,
+          ...states,
+        });
+      } else {
+        await this.db.createSyncConflict({
+          syncJobId: row.id,
+          runId: runId,
+          relativePath: entry.relativePath,
+          sourceState: states.source_state,
+          destinationState: states.destination_state,
+          status: "resolved",
+          resolution: resolution,
+        });
+      }
+    }
+
+    for (const record of unapplied.values()) {
+      await this.db.updateSyncConflict(record.id, {
+        status: record.status === "open" ? "cleared" : record.status,
+        applied_at: now,
+      });
+    }
+
+    return { open };
+  }
+
+  // The user's choice for a conflict they resolved, otherwise what the
+  // sync's conflict resolution picks
+  resolutionFor(row, entry, record) {
+    return record && record.status === "resolved"
+      ? record.resolution
+      : this.chooseResolution(row.conflict_resolution, entry);
+  }
+
+  // Which side a conflict resolution keeps: "source", "destination",
+  // "both", or null to leave it for the user. Newest wins on a tie goes to
+  // the source.
+  chooseResolution(policy, entry) {
+    switch (policy) {
+      case "keep-both":
+        return "both";
+
+      case "manual":
+        return null;
+
+      default: {
+        const sourceModified = new Date(entry.source.lastModified).getTime() || 0;
+        const destModified = new Date(entry.destination.lastModified).getTime() || 0;
+        return destModified > sourceModified ? "destination" : "source";
+      }
+    }
+  }
+
+  // Add the copies that carry out a resolution to the plan. Keeping both
+  // renames the destination's file first, copies it back to the source
+  // under that name, and puts the source's file in its place.
+  async applyResolution(resolution, entry, plan, sides) {
+    if (resolution !== "both") {
+      plan.copies.push(...this.resolutionCopies(resolution, entry));
+      return;
+    }
+
+    const destProvider = sides.destination.provider;
+    const conflictPath = this.conflictPath(entry.relativePath, sides);
+    const conflictName = conflictPath.split("/").pop();
+    const result = await destProvider.renameFile(
+      entry.destination.path,
+      destProvider.siblingPath(entry.destination.path, conflictName)
+    );
+    const renamedPath =
+      destProvider.getCapabilities().addressing === "id"
+        ? entry.destination.path
+        : result.newPath;
+
+    plan.copies.push(
+      ...this.resolutionCopies(resolution, entry, conflictPath, renamedPath)
+    );
+  }
+
+  // The copies that carry out a resolution. Keeping both copies the
+  // destination's file, once renamed to conflictPath (and found at
+  // renamedPath), back to the source.
+  resolutionCopies(resolution, entry, conflictPath = null, renamedPath = null) {
+    const { relativePath } = entry;
+
+    if (resolution === "source" || resolution === "destination") {
+      return [
+        {
+          relativePath,
+          file: entry[resolution],
+          to: resolution === "source" ? "destination" : "source",
+          reason: "updated",
+        },
+      ];
+    }
+
+    return [
+      {
+        relativePath,
+        file: entry.source,
+        to: "destination",
+        reason: "updated",
+      },
+      {
+        relativePath: conflictPath,
+        file: {
+          ...entry.destination,
+          name: conflictPath.split("/").pop(),
+          path: renamedPath || entry.destination.path,
+        },
+        to: "source",
+        reason: "added",
+        untracked: true,
+      },
+    ];
+  }
+
+  // "notes/plan.txt" -> "notes/plan (conflict 2026-01-31).txt", numbered
+  // further if either side already has that name
+  conflictPath(relativePath, sides) {
+    const day = new Date().toISOString().slice(0, 10);
+    const taken = (candidate) =>
+      sides.source.tree.files.has(candidate) ||
+      sides.destination.tree.files.has(candidate);
+
+    let candidate = numberedName(relativePath, `conflict ${day}`);
+    for (let number = 2; taken(candidate); number++) {
+      candidate = numberedName(relativePath, `conflict ${day} ${number}`);
+    }
+    return candidate;
+  }
+
+  // What the snapshot keeps of a file
+  fileState(file) {
+    return {
+      path: file.path,
+      size: file.size || 0,
+      lastModified: file.lastModified || null,
+      checksums: file.checksums || {},
+    };
+  }
+
+  // Whether a file (or its absence) is what the snapshot recorded for its
+  // side. Both come from the same backend, so modified times compare.
+  sameState(file, state) {
+    if (!file || !state) {
+      return !file && !state;
+    }
+
+    if ((file.size || 0) !== (state.size || 0)) {
+      return false;
+    }
+
+    const modified = new Date(file.lastModified).getTime();
+    const recorded = new Date(state.lastModified).getTime();
+    if ((modified || recorded) && modified !== recorded) {
+      return false;
+    }
+
+    return this.checksumsMatch(file.checksums, state.checksums) !== false;
+  }
+
+  // Whether the files on the two sides have the same content: true or
+  // false when a checksum both report settles it, null when only the sizes
+  // agree
+  contentMatch(sourceFile, destFile) {
+    if ((sourceFile.size || 0) !== (destFile.size || 0)) {
+      return false;
+    }
+    return this.checksumsMatch(sourceFile.checksums, destFile.checksums);
+  }
+
+  // Compare the first checksum algorithm both maps have; null if none
+  checksumsMatch(checksums = {}, otherChecksums = {}) {
+    for (const [algorithm, value] of Object.entries(checksums || {})) {
+      const other = (otherChecksums || {})[algorithm];
+      if (value && other) {
+        return value.toLowerCase() === other.toLowerCase();
+      }
+    }
+    return null;
+  }
+
+  // Every file and folder below rootPath, keyed by their path relative to
+  // it: { files: Map, folders: Map, excluded: Map }. Files a filter leaves
+  // out go in excluded instead of files. With missingIsEmpty, a root that
+  // doesn't exist yet lists as empty.
+  async listTree(
+    provider,
+    rootPath,
+    { missingIsEmpty = false, filter = null } = {}
+  ) {
+    const tree = { files: new Map(), folders: new Map(), excluded: new Map() };
+
+    try {
+      for await (const { item, relativePath } of provider.walk(rootPath)) {
+        if (item.type === "folder") {
+          tree.folders.set(relativePath, item);
+        } else if (filter && filter.exclusionReason(item, relativePath)) {
+          tree.excluded.set(relativePath, item);
+        } else {
+          tree.files.set(relativePath, item);
+        }
+      }
+    } catch (error) {
+      const empty = tree.files.size === 0 && tree.folders.size === 0;
+      if (!(missingIsEmpty && empty && /not.?found/i.test(error.message))) {
+        throw error;
+      }
+    }
+
+    return tree;
+  }
+
+  // Match the two trees by relative path. Resolves with arrays of
+  // { relativePath, source, destination, reason }: added (only at the
+  // source), updated (changed, reason says how), unchanged, and extra
+  // (files and folders only at the destination). A folder holding files
+  // the filters left out is never extra, so deleting it can't take them.
+  diffTrees(source, destination) {
+    const diff = { added: [], updated: [], unchanged: [], extra: [] };
+
+    const holdingExcluded = new Set();
+    for (const relativePath of destination.excluded.keys()) {
+      const parts = relativePath.split("/");
+      while (parts.length > 1) {
+        parts.pop();
+        holdingExcluded.add(parts.join("/"));
+      }
+    }
+
+    for (const [relativePath, file] of source.files) {
+      const existing = destination.files.get(relativePath);
+
+      if (!existing) {
+        diff.added.push({ relativePath, source: file, destination: null });
+        continue;
+      }
+
+      const reason = this.compareFiles(file, existing);
+      const entry = { relativePath, source: file, destination: existing };
+      if (reason) {
+        diff.updated.push({ ...entry, reason });
+      } else {
+        diff.unchanged.push(entry);
+      }
+    }
+
+    for (const [relativePath, folder] of destination.folders) {
+      if (
+        !source.folders.has(relativePath) &&
+        !holdingExcluded.has(relativePath)
+      ) {
+        diff.extra.push({ relativePath, source: null, destination: folder });
+      }
+    }
+    for (const [relativePath, file] of destination.files) {
+      if (!source.files.has(relativePath)) {
+        diff.extra.push({ relativePath, source: null, destination: file });
+      }
+    }
+
+    return diff;
+  }
+
+  // Why the destination copy of a file is out of date ("size", "checksum"
+  // or "modified"), or null when it is current. A checksum both sides
+  // report settles it; otherwise a source modified after the copy was made
+  // counts as a change.
+  compareFiles(source, destination) {
+    if ((source.size || 0) !== (destination.size || 0)) {
+      return "size";
+    }
+
+    const sourceChecksums = source.checksums || {};
+    const destChecksums = destination.checksums || {};
+    for (const [algorithm, value] of Object.entries(sourceChecksums)) {
+      if (value && destChecksums[algorithm]) {
+        return value.toLowerCase() === destChecksums[algorithm].toLowerCase()
+          ? null
+          : "checksum";
+      }
+    }
+
+    const sourceModified = new Date(source.lastModified).getTime();
+    const destModified = new Date(destination.lastModified).getTime();
+    if (sourceModified > destModified) {
+      return "modified";
+    }
+
+    return null;
+  }
+
+  // Delete destination files and folders the source doesn't have. Where
+  // the backend has real folders a whole extra folder goes at once, and
+  // the files in it count as deleted with it.
+  async deleteExtras(destProvider, extras, destination) {
+    const nativeFolders = destProvider.getCapabilities().nativeFolders;
+    const removedFolders = [];
+    let deleted = 0;
+    let failed = 0;
+
+    const insideRemoved = (relativePath) =>
+      removedFolders.some((folder) => relativePath.startsWith(`${folder}/`));
+
+    for (const extra of extras) {
+      const isFolder = destination.folders.has(extra.relativePath);
+      if (isFolder && !nativeFolders) continue;
+
+      if (insideRemoved(extra.relativePath)) {
+        if (!isFolder) deleted++;
+        continue;
+      }
+
+      try {
+        await destProvider.deleteFile(extra.file.path);
+        if (isFolder) {
+          removedFolders.push(extra.relativePath);
+        } else {
+          deleted++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(
+          `Could not delete ${extra.relativePath} from the sync destination:`,
+          error.message
+        );
+      }
+    }
+
+    return { deleted, failed };
+  }
+
+  // Queue the copies ({ relativePath, file, to }) as one "sync" transfer;
+  // to is the side being written. ID-addressed sides need each folder to
+  // exist before files can be put in it; path-addressed ones take the full
+  // path. Resolves with { parentId, childIds }, in the order of copies.
+  async queueCopies(row, copies, sides) {
+    const folders = {};
+    const folderFor = async (sideName, relativeFolder) => {
+      const side = sides[sideName];
+      if (!relativeFolder) return side.rootPath;
+
+      if (!folders[sideName]) {
+        folders[sideName] = new Map(
+          [...side.tree.folders].map(([relativePath, folder]) => [
+            relativePath,
+            folder.path,
+          ])
+        );
+      }
+      const known = folders[sideName];
+      if (known.has(relativeFolder)) return known.get(relativeFolder);
+
+      const parts = relativeFolder.split("/");
+      const name = parts.pop();
+      const parent = await folderFor(sideName, parts.join("/"));
+      const result = await side.provider.createFolder(name, parent);
+      known.set(relativeFolder, result.folder.path);
+      return result.folder.path;
+    };
+
+    const children = [];
+    for (const { relativePath, file, to } of copies) {
+      const from = sides[to === "destination" ? "source" : "destination"];
+      const target = sides[to];
+      const capabilities = target.provider.getCapabilities();
+      const byId = capabilities.addressing === "id";
+      const name = relativePath.split("/").pop();
+      const relativeFolder = relativePath.split("/").slice(0, -1).join("/");
+      const tooLarge =
+        capabilities.maxFileSize && file.size > capabilities.maxFileSize;
+
+      children.push({
+        userId: row.user_id,
+        sourceAccountId: from.accountId,
+        destinationAccountId: target.accountId,
+        sourceFilePath: file.path,
+        destinationFilePath: byId
+          ? name
+          : target.provider.resolvePath(relativePath, target.rootPath),
+        destinationParent: byId
+          ? (await folderFor(to, relativeFolder)) || null
+          : null,
+        fileName: name,
+        fileSize: file.size || 0,
+        conflictPolicy: "overwrite",
+        status: tooLarge ? "failed" : "queued",
+        errorMessage: tooLarge
+          ? `File is too large for ${capabilities.displayName} (limit ${this.transferEngine.formatFileSize(capabilities.maxFileSize)})`
+          : null,
+      });
+    }
+
+    return this.transferEngine.queueTransferGroup(
+      {
+        userId: row.user_id,
+        sourceAccountId: row.source_account_id,
+        destinationAccountId: row.destination_account_id,
+        sourceFilePath: row.source_path,
+        destinationFilePath: row.destination_path,
+        fileName: `Sync: ${row.name}`,
+        fileSize: children.reduce((total, child) => total + child.fileSize, 0),
+        status: "running",
+        type: "sync",
+      },
+      children
+    );
+  }
+
+  // Fail runs a restart cut off while they were listing
+  async recoverRuns() {
+    const failed = await this.db.failInterruptedSyncRuns();
+    if (failed > 0) {
+      console.log(`⚠️ Marked ${failed} interrupted sync runs as failed`);
+    }
+  }
+
+  async getSyncRow(syncId, userId) {
+    const row = await this.db.getSyncJobById(syncId, userId);
+    if (!row) {
+      throw new Error("Sync not found");
+    }
+    return row;
+  }
+
+  // Both accounts must belong to the user and be different
+  async checkAccounts(userId, sourceAccountId, destinationAccountId) {
+    const sourceAccount = await this.db.getCloudAccountById(
+      sourceAccountId,
+      userId
+    );
+    const destAccount = await this.db.getCloudAccountById(
+      destinationAccountId,
+      userId
+    );
+
+    if (!sourceAccount || !destAccount) {
+      throw new Error("Source or destination account not found");
+    }
+
+    if (sourceAccount.id === destAccount.id) {
+      throw new Error("Source and destination accounts must be different");
+    }
+  }
+
+  formatSync(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      sourceAccountId: row.source_account_id,
+      destinationAccountId: row.destination_account_id,
+      sourcePath: row.source_path,
+      destinationPath: row.destination_path,
+      deleteExtras: !!row.delete_extras,
+      direction: row.direction || "one-way",
+      conflictResolution: row.conflict_resolution || "newest",
+      filters: row.filters ? JSON.parse(row.filters) : null,
+      lastRunAt: row.last_run_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  // A run that queued copies finishes when its transfer does
+  formatRun(row) {
+    const finished = ["completed", "partial", "failed", "cancelled"];
+    const status =
+      row.status === "transferring" && finished.includes(row.transfer_status)
+        ? row.transfer_status
+        : row.status;
+
+    return {
+      id: row.id,
+      status: status,
+      summary: {
+        added: row.added,
+        updated: row.updated,
+        deleted: row.deleted,
+        unchanged: row.unchanged,
+        conflicts: row.conflicts || 0,
+        excluded: row.excluded || 0,
+      },
+      message: row.message,
+      createdAt: row.created_at,
+      completedAt: row.completed_at || row.transfer_completed_at || null,
+      transferId: row.transfer_id,
+      transfer: row.transfer_id
+        ? {
+            id: row.transfer_id,
+            status: row.transfer_status,
+            progress: row.transfer_progress,
+            error: row.transfer_error,
+            completedAt: row.transfer_completed_at,
+          }
+        : null,
+    };
+  }
+
+  formatConflict(row) {
+    return {
+      id: row.id,
+      relativePath: row.relative_path,
+      status: row.status,
+      resolution: row.resolution,
+      source: row.source_state ? JSON.parse(row.source_state) : null,
+      destination: row.destination_state
+        ? JSON.parse(row.destination_state)
+        : null,
+      runId: row.run_id,
+      createdAt: row.created_at,
+      resolvedAt: row.resolved_at,
+      appliedAt: row.applied_at,
+    };
+  }
+}
+
+module.exports = SyncManager;
@@ -1,16 +1,196 @@
 // src/services/transfer-engine/transfer-engine.js - Core Transfer Engine
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
 const TransferJob = require("./transfer-job");
-const AWSS3Provider = require("../cloud-providers/aws-s3-provider");
-const GoogleDriveProvider = require("../cloud-providers/google-drive-provider");
+const RetryPolicy = require("./retry-policy");
+const ConcurrencyLimits = require("./concurrency-limits");
+const ChecksumCalculator = require("./checksum");
+const { resolveConflict, removeOverwritten } = require("./conflict-policy");
+const { FileFilter, normalizeFilters } = require("./file-filter");
+const {
+  BandwidthLimiter,
+  limitAt,
+  normalizeBandwidth,
+  parseBandwidthSchedule,
+} = require("./bandwidth-limiter");
+const ScheduleManager = require("./schedule-manager");
+const SyncManager = require("./sync-manager");
+const TransferPlanner = require("./transfer-planner");
+const providerRegistry = require("../cloud-providers");
 const encryptionService = require("../encryption");
 
 class TransferEngine {
   constructor(database) {
     this.db = database;
     this.activeTransfers = new Map(); // jobId -> TransferJob
-    this.maxConcurrentTransfers = 3; // Limit concurrent transfers
+    // Limit concurrent transfers, across all users
+    this.maxConcurrentTransfers =
+      parseInt(process.env.CONCURRENT_TRANSFERS) || 3;
     this.transferQueue = [];
     this.isProcessing = false;
+    this.retryPolicy = new RetryPolicy();
+    this.retryTimers = new Map(); // jobId -> { timer, job } of a pending retry
+
+    // Shares of the global limit: per user (by subscription tier) and per
+    // cloud account (by provider), so one user's batch can't take every
+    // slot and no account gets more requests than its API allows
+    this.concurrency = new ConcurrencyLimits(database, {
+      globalLimit: this.maxConcurrentTransfers,
+    });
+
+    // Folder transfers whose source is still being listed, and the pending
+    // refresh of each parent's (folder or batch) aggregated progress
+    this.folderListings = new Map(); // transferId -> { cancelled }
+    this.parentRefreshes = new Map(); // transferId -> Promise
+
+    // Waiting this long (ms) raises a queued job's priority by one level
+    this.priorityAgingInterval =
+      parseInt(process.env.TRANSFER_PRIORITY_AGING_INTERVAL) || 60000;
+
+    // Scheduled transfers live in the database until due; the scheduler
+    // checks for due ones this often (ms)
+    this.schedulerInterval =
+      parseInt(process.env.TRANSFER_SCHEDULER_INTERVAL) || 15000;
+    this.schedulerTimer = null;
+    this.isReleasing = false;
+
+    // Recurring (cron) schedules; they fire on the same scheduler ticks
+    this.schedules = new ScheduleManager(database, this);
+
+    // Folder mirrors; each run queues its copies as a "sync" transfer
+    this.syncs = new SyncManager(database, this);
+
+    // Dry runs of transfers and syncs
+    this.planner = new TransferPlanner(database, this);
+
+    // Bandwidth limits: global ones from the environment, each user's and
+    // each transfer's from their settings
+    this.bandwidth = new BandwidthLimiter(this.loadGlobalBandwidth());
+
+    // Files at least this large are uploaded in checkpointed chunks
+    this.resumableThreshold =
+      parseInt(process.env.RESUMABLE_TRANSFER_THRESHOLD) || 16 * 1024 * 1024;
+
+    // What to do with transfers that were running when the server stopped:
+    // "retry" queues them again (counting an attempt), "fail" marks them failed
+    this.recoveryPolicy = process.env.TRANSFER_RECOVERY_POLICY || "retry";
+  }
+
+  // Global bandwidth settings from TRANSFER_BANDWIDTH_LIMIT (bytes/s),
+  // TRANSFER_BANDWIDTH_SCHEDULE ("09:00-18:00=10485760,...") and
+  // TRANSFER_BANDWIDTH_TIMEZONE; unusable settings leave it unlimited
+  loadGlobalBandwidth() {
+    try {
+      return normalizeBandwidth({
+        limit: parseInt(process.env.TRANSFER_BANDWIDTH_LIMIT) || 0,
+        schedule: parseBandwidthSchedule(
+          process.env.TRANSFER_BANDWIDTH_SCHEDULE
+        ),
+        timezone: process.env.TRANSFER_BANDWIDTH_TIMEZONE,
+      });
+    } catch (error) {
+      console.error(`⚠️ Ignoring global bandwidth settings: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Rebuild the queue from the database after a restart or crash
+  async recoverQueue() {
+    try {
+      const rows = await this.db.getTransfersByStatus(["queued", "running"]);
+      let requeued = 0;
+      let failed = 0;
+
+      for (const row of rows) {
+        // Already known to this process
+        if (
+          this.activeTransfers.has(row.id) ||
+          this.retryTimers.has(row.id) ||
+          this.transferQueue.some((job) => job.id === row.id)
+        ) {
+          continue;
+        }
+
+        // A folder transfer is carried by its files, which are recovered on
+        // their own; only a listing that didn't finish needs to run again
+        if (row.type === "folder") {
+          this.startFolderTransfer(row);
+          continue;
+        }
+
+        if (row.type === "batch" || row.type === "sync") {
+          this.refreshParentTransfer(row.id, row.user_id);
+          continue;
+        }
+
+        const job = this.createJobFromRow(row);
+
+        if (row.status === "running") {
+          const interruption = new Error(
+            "Transfer was interrupted by a server restart"
+          );
+
+          if (
+            this.recoveryPolicy === "fail" ||
+            job.retryCount >= job.maxRetries
+          ) {
+            job.fail(interruption);
+            await this.abortCheckpointedUpload(job);
+            await this.updateJobInDatabase(job);
+            failed++;
+            continue;
+          }
+
+          // Counts as an attempt and starts over on the next run
+          job.retry(interruption);
+          await this.updateJobInDatabase(job);
+        }
+
+        // It has been waiting since it was created
+        this.enqueue(job, job.createdAt);
+        requeued++;
+      }
+
+      if (rows.length > 0) {
+        console.log(
+          `♻️ Recovered transfer queue: ${requeued} queued, ${failed} failed`
+        );
+      }
+
+      this.processQueue();
+
+      return { requeued, failed };
+    } catch (error) {
+      console.error("Error recovering transfer queue:", error);
+      return { requeued: 0, failed: 0 };
+    }
+  }
+
+  // Build a queued TransferJob from a transfers table row
+  createJobFromRow(row) {
+    return new TransferJob({
+      id: row.id,
+      userId: row.user_id,
+      sourceAccountId: row.source_account_id,
+      destinationAccountId: row.destination_account_id,
+      sourceFilePath: row.source_path,
+      destinationFilePath: row.destination_path,
+      fileName: row.file_name,
+      parentId: row.parent_id,
+      destinationParent: row.destination_parent,
+      mode: row.mode,
+      conflictPolicy: row.conflict_policy,
+      fileSize: row.file_size,
+      error: row.error_message,
+      retryCount: row.retry_count,
+      maxRetries: row.max_retries,
+      priority: row.priority,
+      scheduledAt: row.scheduled_at,
+      checkpoint: row.checkpoint ? JSON.parse(row.checkpoint) : null,
+      checksums: row.checksums ? JSON.parse(row.checksums) : null,
+      verification: row.verification ? JSON.parse(row.verification) : null,
+      createdAt: row.created_at,
+    });
   }
 
   // Create a new transfer
@@ -23,8 +203,26 @@ class TransferEngine {
         sourceFilePath,
         destinationFilePath,
         fileName,
+        priority,
+        type = "file",
+        mode = "copy",
+        conflictPolicy = "overwrite",
       } = options;
 
+      // Only a folder has files to pick from
+      const filters = normalizeFilters(options.filters);
+      if (filters && type !== "folder") {
+        throw new Error("Invalid filters: only folder transfers can be filtered");
+      }
+      const bandwidth = normalizeBandwidth(options.bandwidth);
+
+      // A start time in the future keeps the transfer out of the queue
+      const scheduledAt = options.scheduledAt
+        ? this.parseScheduledAt(options.scheduledAt)
+        : null;
+      const status =
+        scheduledAt && scheduledAt > new Date() ? "scheduled" : "queued";
+
       // Validate accounts belong to user
       const sourceAccount = await this.db.getCloudAccountById(
         sourceAccountId,
@@ -43,22 +241,38 @@ class TransferEngine {
         throw new Error("Source and destination accounts cannot be the same");
       }
 
-      // Get file info from source to determine file size
+      // Get file info from source to determine file size. A folder's size
+      // is only known once its files have been listed.
       let fileSize = 0;
-      try {
-        const sourceCredentials = encryptionService.decryptCredentials(
-          sourceAccount.encrypted_credentials
-        );
-        const sourceProvider = this.createProvider(
-          sourceAccount.provider,
-          sourceCredentials
-        );
-        const fileInfo = await sourceProvider.getFileInfo(sourceFilePath);
-        fileSize = fileInfo.file.size;
-      } catch (error) {
-        console.log(
-          "Could not get file size, proceeding without it:",
-          error.message
+      if (type === "file") {
+        try {
+          const sourceCredentials = encryptionService.decryptCredentials(
+            sourceAccount.encrypted_credentials
+          );
+          const sourceProvider = this.createProvider(
+            sourceAccount.provider,
+            sourceCredentials
+          );
+          const fileInfo = await sourceProvider.getFileInfo(sourceFilePath);
+          fileSize = fileInfo.file.size;
+        } catch (error) {
+          console.log(
+            "Could not get file size, proceeding without it:",
+            error.message
+          );
+        }
+      }
+
+      // Reject files the destination cannot store at all
+      const destCapabilities = providerRegistry.getCapabilities(
+        destAccount.provider
+      );
+      if (
+        destCapabilities.maxFileSize &&
+        fileSize > destCapabilities.maxFileSize
+      ) {
+        throw new Error(
+          `File is too large for ${destCapabilities.displayName} (limit ${this.formatFileSize(destCapabilities.maxFileSize)})`
         );
       }
 
@@ -71,8 +285,46 @@ class TransferEngine {
         destinationFilePath,
         fileName,
         fileSize,
+        priority,
+        status,
+        scheduledAt: scheduledAt ? scheduledAt.toISOString() : null,
+        type,
+        mode,
+        conflictPolicy,
+        filters: filters ? JSON.stringify(filters) : null,
+        bandwidth: bandwidth ? JSON.stringify(bandwidth) : null,
       });
 
+      if (status === "scheduled") {
+        console.log(
+          `📅 Scheduled transfer job ${transferId}: ${fileName} at ${scheduledAt.toISOString()}`
+        );
+
+        return {
+          transferId,
+          status,
+          scheduledAt: scheduledAt.toISOString(),
+          message: "Transfer scheduled successfully",
+        };
+      }
+
+      // A folder becomes one child transfer per file as its source is listed
+      if (type === "folder") {
+        console.log(
+          `📂 Created folder transfer ${transferId}: ${sourceFilePath} -> ${destinationFilePath}`
+        );
+        this.startFolderTransfer(
+          await this.db.getTransferById(transferId, userId)
+        );
+
+        return {
+          transferId,
+          status,
+          scheduledAt: null,
+          message: "Folder transfer created, listing source folder",
+        };
+      }
+
       // Create transfer job object
       const transferJob = new TransferJob({
         id: transferId,
@@ -83,9 +335,15 @@ class TransferEngine {
         destinationFilePath,
         fileName,
         fileSize,
+        priority,
+        scheduledAt,
+        mode,
+        conflictPolicy,
       });
 
-      console.log(`🚀 Created transfer job ${transferId}: ${fileName}`);
+      console.log(
+        `🚀 Created transfer job ${transferId}: ${fileName}${mode === "move" ? " (move)" : ""}`
+      );
       console.log(
         `📁 Source: ${sourceAccount.provider} (${sourceAccount.account_name})`
       );
@@ -93,21 +351,799 @@ class TransferEngine {
         `📁 Destination: ${destAccount.provider} (${destAccount.account_name})`
       );
 
-      // Add to queue
-      this.transferQueue.push(transferJob);
+      // Add to queue
+      this.enqueue(transferJob);
+
+      // Start processing if not already running
+      this.processQueue();
+
+      return {
+        transferId,
+        status,
+        scheduledAt: scheduledAt ? scheduledAt.toISOString() : null,
+        message: "Transfer created and queued successfully",
+      };
+    } catch (error) {
+      console.error("Error creating transfer:", error);
+      throw error;
+    }
+  }
+
+  // Parse a requested start time
+  parseScheduledAt(value) {
+    const scheduledAt = new Date(value);
+    if (isNaN(scheduledAt.getTime())) {
+      throw new Error("Invalid scheduled time");
+    }
+    return scheduledAt;
+  }
+
+  // Start releasing scheduled transfers and firing recurring schedules as
+  // they become due. Due times are read from the database, so anything
+  // scheduled before a restart (or due while the server was down) is
+  // picked up as well.
+  startScheduler() {
+    if (this.schedulerTimer) return;
+
+    this.runScheduler();
+    this.schedulerTimer = setInterval(
+      () => this.runScheduler(),
+      this.schedulerInterval
+    );
+    this.schedulerTimer.unref();
+  }
+
+  stopScheduler() {
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
+    }
+  }
+
+  // One scheduler tick: fire recurring schedules, then queue due transfers
+  async runScheduler() {
+    await this.schedules.fireDueSchedules();
+    await this.releaseDueTransfers();
+  }
+
+  // Move scheduled transfers that are due into the queue
+  async releaseDueTransfers() {
+    if (this.isReleasing) return 0;
+    this.isReleasing = true;
+
+    try {
+      const rows = await this.db.getDueScheduledTransfers(
+        new Date().toISOString()
+      );
+
+      for (const row of rows) {
+        if (row.type === "folder") {
+          console.log(`⏰ Scheduled folder transfer ${row.id} is due, listing it`);
+          this.startFolderTransfer(row);
+          continue;
+        }
+
+        const job = this.createJobFromRow(row);
+        await this.updateJobInDatabase(job);
+
+        console.log(`⏰ Scheduled transfer ${job.id} is due, queueing it`);
+
+        // Aging counts from the scheduled time, not from when we noticed
+        this.enqueue(job, job.scheduledAt);
+      }
+
+      if (rows.length > 0) {
+        this.processQueue();
+      }
+
+      return rows.length;
+    } catch (error) {
+      console.error("Error releasing scheduled transfers:", error);
+      return 0;
+    } finally {
+      this.isReleasing = false;
+    }
+  }
+
+  // Edit a transfer that is still waiting for its scheduled time
+  async updateScheduledTransfer(transferId, userId, changes) {
+    const transfer = await this.db.getTransferById(transferId, userId);
+    if (!transfer) {
+      throw new Error("Transfer not found");
+    }
+
+    if (transfer.status !== "scheduled") {
+      throw new Error("Only scheduled transfers can be edited");
+    }
+
+    const updates = {};
+    if (changes.scheduledAt !== undefined) {
+      updates.scheduled_at = this.parseScheduledAt(
+        changes.scheduledAt
+      ).toISOString();
+    }
+    if (changes.destinationFilePath !== undefined) {
+      updates.destination_path = changes.destinationFilePath;
+    }
+    if (changes.priority !== undefined) {
+      updates.priority = changes.priority;
+    }
+
+    await this.db.updateTransferJob(transferId, updates);
+
+    console.log(`📅 Scheduled transfer ${transferId} updated`);
+
+    // Moving the time into the past starts it right away
+    await this.releaseDueTransfers();
+
+    return this.getTransferStatus(transferId, userId);
+  }
+
+  // Set or clear (null) the bandwidth limit of a transfer that hasn't
+  // finished. A running transfer slows down or speeds up straight away; a
+  // folder's, batch's or sync's limit is shared by its files.
+  async updateTransferBandwidth(transferId, userId, settings) {
+    const transfer = await this.db.getTransferById(transferId, userId);
+    if (!transfer) {
+      throw new Error("Transfer not found");
+    }
+
+    if (
+      !["scheduled", "queued", "running", "paused"].includes(transfer.status)
+    ) {
+      throw new Error(
+        "Only unfinished transfers can have their bandwidth limit changed"
+      );
+    }
+
+    const bandwidth = normalizeBandwidth(settings);
+    await this.db.updateTransferJob(transferId, {
+      bandwidth: bandwidth ? JSON.stringify(bandwidth) : null,
+    });
+    this.bandwidth.configure(`transfer:${transferId}`, bandwidth);
+
+    console.log(
+      `🚦 Transfer ${transferId} bandwidth limit ${bandwidth ? `set to ${this.describeBandwidth(bandwidth)}` : "removed"}`
+    );
+
+    return this.getTransferStatus(transferId, userId);
+  }
+
+  // The global bandwidth settings and the user's, with the limit each
+  // gives right now
+  async getBandwidthSettings(userId) {
+    const user = await this.db.getUserBandwidth(userId);
+
+    return {
+      global: this.formatBandwidth(this.bandwidth.global.settings),
+      user: this.formatBandwidth(user ? JSON.parse(user) : null),
+    };
+  }
+
+  // Set or clear (null) a user's own limit, shared by all their transfers
+  async updateUserBandwidth(userId, settings) {
+    const bandwidth = normalizeBandwidth(settings);
+    await this.db.updateUserBandwidth(
+      userId,
+      bandwidth ? JSON.stringify(bandwidth) : null
+    );
+    this.bandwidth.configure(`user:${userId}`, bandwidth);
+
+    console.log(
+      `🚦 User ${userId} bandwidth limit ${bandwidth ? `set to ${this.describeBandwidth(bandwidth)}` : "removed"}`
+    );
+
+    return this.getBandwidthSettings(userId);
+  }
+
+  // The user's and the transfer's bandwidth settings, and its parent's
+  // (which all the parent's files share), as the limiter takes them
+  async getBandwidthLimits(job) {
+    const parse = (text) => (text ? JSON.parse(text) : null);
+    const limits = [
+      {
+        key: `user:${job.userId}`,
+        settings: parse(await this.db.getUserBandwidth(job.userId)),
+      },
+    ];
+
+    for (const transferId of [job.id, job.parentId]) {
+      if (!transferId) continue;
+      const row = await this.db.getTransferById(transferId, job.userId);
+      limits.push({
+        key: `transfer:${transferId}`,
+        settings: parse(row && row.bandwidth),
+      });
+    }
+
+    return limits;
+  }
+
+  // Bandwidth settings as the API shows them; stored ones arrive as JSON
+  formatBandwidth(settings) {
+    if (typeof settings === "string") {
+      settings = JSON.parse(settings);
+    }
+    if (!settings) return null;
+
+    return { ...settings, currentLimit: limitAt(settings) };
+  }
+
+  // "10 MB/s", or "unlimited" with a schedule note, for logs
+  describeBandwidth(settings) {
+    const rate = (limit) =>
+      limit ? `${this.formatFileSize(limit)}/s` : "unlimited";
+    const windows = settings.schedule.map(
+      (window) => `${rate(window.limit)} ${window.start}-${window.end}`
+    );
+
+    return windows.length > 0
+      ? `${rate(settings.limit)} (${windows.join(", ")} ${settings.timezone})`
+      : rate(settings.limit);
+  }
+
+  // Start listing a folder transfer's source, or pick up a listing that a
+  // restart interrupted. Listing runs outside the queue; each file found is
+  // queued as a child transfer right away.
+  startFolderTransfer(row) {
+    if (this.folderListings.has(row.id)) return;
+
+    if (this.hasAllChildren(row)) {
+      this.refreshParentTransfer(row.id, row.user_id);
+      return;
+    }
+
+    const listing = { cancelled: false };
+    this.folderListings.set(row.id, listing);
+    this.runFolderListing(row, listing);
+  }
+
+  async runFolderListing(row, listing) {
+    try {
+      await this.listFolderTransfer(row, listing);
+    } catch (error) {
+      if (listing.cancelled) return;
+
+      console.error(
+        `❌ Could not list folder transfer ${row.id}:`,
+        error.message
+      );
+      try {
+        await this.db.updateTransferJob(row.id, {
+          status: "failed",
+          transfer_speed: 0,
+          error_message: `Could not list source folder: ${error.message}`,
+          completed_at: new Date().toISOString(),
+        });
+      } catch (dbError) {
+        console.error("Error updating job in database:", dbError);
+      }
+    } finally {
+      this.folderListings.delete(row.id);
+    }
+  }
+
+  // Walk the source folder, recreate its folders at the destination and
+  // queue a child transfer per file the transfer's filters let through.
+  // Progress is saved in the checkpoint column ({ listed, root, folders,
+  // excluded }) so a restart carries on without creating folders or files
+  // twice.
+  async listFolderTransfer(row, listing) {
+    const state = row.checkpoint
+      ? JSON.parse(row.checkpoint)
+      : { listed: false, root: null, folders: {} };
+    const filter = new FileFilter(row.filters ? JSON.parse(row.filters) : null);
+    // A restart walks the whole source again, so count from scratch
+    state.excluded = 0;
+    const saveState = () =>
+      this.db.updateTransferJob(row.id, { checkpoint: JSON.stringify(state) });
+
+    await this.db.updateTransferJob(row.id, {
+      status: "running",
+      error_message: null,
+      completed_at: null,
+      started_at: row.started_at || new Date().toISOString(),
+    });
+
+    const { provider: sourceProvider } = await this.getAccountProvider(
+      row.source_account_id,
+      row.user_id
+    );
+    const { provider: destProvider } = await this.getAccountProvider(
+      row.destination_account_id,
+      row.user_id
+    );
+
+    const destCapabilities = destProvider.getCapabilities();
+    const byId = destCapabilities.addressing === "id";
+
+    // Path-addressed destinations take uploads into a folder that already
+    // exists (or is only a key prefix), so a failed create isn't fatal there
+    const createFolder = async (name, parent) => {
+      try {
+        const result = await destProvider.createFolder(name, parent);
+        return result.folder.path;
+      } catch (error) {
+        if (byId) throw error;
+        return destProvider.resolvePath(name, parent);
+      }
+    };
+
+    if (!state.root) {
+      state.root = await createFolder(row.destination_path, "");
+      await saveState();
+    }
+
+    // The destination folder for a folder below the source, created along
+    // with its parents the first time it is needed
+    const folderFor = async (relativeFolder) => {
+      if (!relativeFolder) return state.root;
+
+      if (!state.folders[relativeFolder]) {
+        const parts = relativeFolder.split("/");
+        const name = parts.pop();
+        const parent = await folderFor(parts.join("/"));
+        state.folders[relativeFolder] = await createFolder(name, parent);
+        await saveState();
+      }
+      return state.folders[relativeFolder];
+    };
+
+    // Files queued before a restart
+    const existing = new Set(
+      (await this.db.getChildTransfers(row.id)).map((child) => child.source_path)
+    );
+    let files = 0;
+
+    for await (const { item, relativePath } of sourceProvider.walk(
+      row.source_path
+    )) {
+      if (listing.cancelled) return;
+
+      // Filtered folders are only created for files that go in them, so
+      // exclusions leave no empty folders behind
+      if (item.type === "folder") {
+        if (!filter.active) {
+          await folderFor(relativePath);
+        }
+        continue;
+      }
+
+      if (filter.exclusionReason(item, relativePath)) {
+        state.excluded++;
+        continue;
+      }
+
+      files++;
+      if (existing.has(item.path)) continue;
+
+      const destParent = await folderFor(
+        relativePath.split("/").slice(0, -1).join("/")
+      );
+
+      const tooLarge =
+        destCapabilities.maxFileSize &&
+        item.size > destCapabilities.maxFileSize;
+      const child = {
+        userId: row.user_id,
+        sourceAccountId: row.source_account_id,
+        destinationAccountId: row.destination_account_id,
+        sourceFilePath: item.path,
+        destinationFilePath: byId
+          ? item.name
+          : destProvider.resolvePath(item.name, destParent),
+        destinationParent: byId ? destParent : null,
+        fileName: item.name,
+        fileSize: item.size || 0,
+        priority: row.priority,
+        mode: row.mode,
+        conflictPolicy: row.conflict_policy,
+        parentId: row.id,
+      };
+
+      const childId = await this.db.createTransferJob({
+        ...child,
+        status: tooLarge ? "failed" : "queued",
+        errorMessage: tooLarge
+          ? `File is too large for ${destCapabilities.displayName} (limit ${this.formatFileSize(destCapabilities.maxFileSize)})`
+          : null,
+      });
+
+      // Cancelled while the row was being written
+      if (listing.cancelled) {
+        await this.db.updateTransferJob(childId, { status: "cancelled" });
+        return;
+      }
+
+      if (!tooLarge) {
+        this.enqueue(new TransferJob({ id: childId, ...child }));
+        this.processQueue();
+      }
+    }
+
+    state.listed = true;
+    await saveState();
+
+    console.log(
+      `📂 Folder transfer ${row.id}: found ${files} files in ${Object.keys(state.folders).length} folders${state.excluded ? `, ${state.excluded} excluded by filters` : ""}`
+    );
+
+    await this.refreshParentTransfer(row.id, row.user_id);
+  }
+
+  // Recompute a parent transfer's progress and status from its files.
+  // Refreshes of the same parent run one after another so a slow one can't
+  // overwrite a newer result.
+  refreshParentTransfer(parentId, userId) {
+    const previous = this.parentRefreshes.get(parentId) || Promise.resolve();
+    const refresh = previous
+      .then(() => this.updateParentTransfer(parentId, userId))
+      .catch((error) =>
+        console.error(`Error updating transfer ${parentId}:`, error)
+      );
+
+    this.parentRefreshes.set(parentId, refresh);
+    refresh.then(() => {
+      if (this.parentRefreshes.get(parentId) === refresh) {
+        this.parentRefreshes.delete(parentId);
+      }
+    });
+
+    return refresh;
+  }
+
+  async updateParentTransfer(parentId, userId) {
+    const parent = await this.db.getTransferById(parentId, userId);
+    if (!parent) return;
+
+    const summary = await this.db.getChildTransferSummary(parentId);
+    const updates = this.getParentProgress(summary);
+
+    // The outcome is only known once every file has been found. A
+    // cancelled parent stays cancelled; individually cancelled files don't
+    // fail it.
+    if (this.hasAllChildren(parent) && parent.status !== "cancelled") {
+      const pending =
+        summary.total -
+        summary.completed -
+        summary.failed -
+        summary.partial -
+        summary.skipped -
+        summary.cancelled;
+
+      if (pending > 0) {
+        updates.status = "running";
+        updates.error_message = null;
+        updates.completed_at = null;
+      } else {
+        if (summary.failed > 0) {
+          updates.status = "failed";
+          updates.error_message = `${summary.failed} of ${summary.total} files failed`;
+        } else if (summary.partial > 0) {
+          updates.status = "partial";
+          updates.error_message = `${summary.partial} of ${summary.total} files were copied but their source could not be deleted`;
+        } else {
+          updates.status = "completed";
+          updates.error_message = null;
+        }
+        updates.completed_at =
+          parent.completed_at || new Date().toISOString();
+        updates.transfer_speed = 0;
+
+        if (updates.status === "completed") {
+          updates.progress = 100;
+        }
+
+        if (parent.status !== updates.status) {
+          console.log(
+            `${{ batch: "📦 Batch", sync: "🔄 Sync", folder: "📂 Folder" }[parent.type]} transfer ${parentId} ${updates.status}: ${summary.completed}/${summary.total} files, ${summary.skipped} skipped`
+          );
+        }
+      }
+    }
+
+    await this.db.updateTransferJob(parentId, updates);
+  }
+
+  // Folder, batch and sync transfers have child transfers instead of a file
+  isParentTransfer(transfer) {
+    return ["folder", "batch", "sync"].includes(transfer.type);
+  }
+
+  // Whether every child of a parent transfer exists yet: a batch's or
+  // sync's are created with it, a folder's once its source has been listed
+  hasAllChildren(transfer) {
+    if (transfer.type !== "folder") return true;
+    const state = transfer.checkpoint ? JSON.parse(transfer.checkpoint) : {};
+    return !!state.listed;
+  }
+
+  // Size and progress columns of a parent transfer, summed over its files
+  getParentProgress(summary) {
+    const total = summary.total || 0;
+    const totalBytes = summary.total_bytes || 0;
+    const transferredBytes = summary.transferred_bytes || 0;
+    const done =
+      (summary.completed || 0) +
+      (summary.failed || 0) +
+      (summary.partial || 0) +
+      (summary.skipped || 0) +
+      (summary.cancelled || 0);
+
+    // By bytes when sizes are known, by file count otherwise
+    let progress = 0;
+    if (totalBytes > 0) {
+      progress = Math.round((transferredBytes / totalBytes) * 100);
+    } else if (total > 0) {
+      progress = Math.round((done / total) * 100);
+    }
+
+    return {
+      progress: Math.min(progress, 100),
+      file_size: totalBytes,
+      transferred_bytes: transferredBytes,
+      transfer_speed: summary.transfer_speed || 0,
+    };
+  }
+
+  // Cancel a folder or batch transfer: stop listing and cancel every
+  // unfinished file
+  async cancelParentTransfer(transfer, userId) {
+    if (this.folderListings.has(transfer.id)) {
+      this.folderListings.get(transfer.id).cancelled = true;
+    }
+
+    await this.db.updateTransferJob(transfer.id, {
+      status: "cancelled",
+      transfer_speed: 0,
+      completed_at: new Date().toISOString(),
+    });
+
+    const children = await this.db.getChildTransfers(transfer.id);
+    let cancelled = 0;
+
+    for (const child of children) {
+      if (
+        ["completed", "partial", "skipped", "failed", "cancelled"].includes(
+          child.status
+        )
+      ) {
+        continue;
+      }
+
+      try {
+        await this.cancelTransfer(child.id, userId);
+        cancelled++;
+      } catch (error) {
+        console.error(`Could not cancel transfer ${child.id}:`, error.message);
+      }
+    }
+
+    console.log(`🛑 Transfer ${transfer.id} cancelled (${cancelled} files)`);
+
+    return { success: true, message: "Transfer cancelled", cancelledFiles: cancelled };
+  }
+
+  // Retry the failed files of a folder or batch transfer, and finish
+  // listing a folder if that is what failed
+  async retryParentTransfer(transfer, userId) {
+    await this.db.updateTransferJob(transfer.id, {
+      status: "running",
+      error_message: null,
+      completed_at: null,
+    });
+
+    const children = await this.db.getChildTransfers(transfer.id);
+    let retried = 0;
+
+    for (const child of children) {
+      if (child.status !== "failed" && child.status !== "partial") continue;
+      await this.retryTransfer(child.id, userId);
+      retried++;
+    }
+
+    console.log(
+      `🔁 Transfer ${transfer.id} retried manually (${retried} files)`
+    );
+
+    if (transfer.type === "folder") {
+      this.startFolderTransfer(transfer);
+    } else {
+      await this.refreshParentTransfer(transfer.id, userId);
+    }
+
+    return {
+      transferId: transfer.id,
+      status: "running",
+      retryCount: transfer.retry_count,
+      retriedFiles: retried,
+      message: "Failed files queued for retry",
+    };
+  }
+
+  // Create a batch: one child transfer per source file, all going into
+  // destinationFolder. Every file is checked first and the rows are stored
+  // in one transaction, so a bad file means no transfers at all.
+  async createTransferBatch(options) {
+    try {
+      const {
+        userId,
+        sourceAccountId,
+        destinationAccountId,
+        sourceFilePaths,
+        destinationFolder = "",
+        name,
+        priority,
+        mode = "copy",
+        conflictPolicy = "overwrite",
+      } = options;
+
+      const { account: sourceAccount, provider: sourceProvider } =
+        await this.getAccountProvider(sourceAccountId, userId);
+      const { account: destAccount, provider: destProvider } =
+        await this.getAccountProvider(destinationAccountId, userId);
+
+      if (sourceAccount.id === destAccount.id) {
+        throw new Error("Source and destination accounts cannot be the same");
+      }
+
+      const destCapabilities = destProvider.getCapabilities();
+      const byId = destCapabilities.addressing === "id";
+
+      const children = [];
+      for (const sourceFilePath of sourceFilePaths) {
+        // Names and sizes come from the source; ID-addressed sources need
+        // this for the name as well
+        let fileName = sourceFilePath.split("/").filter((p) => p).pop();
+        let fileSize = 0;
+        try {
+          const fileInfo = await sourceProvider.getFileInfo(sourceFilePath);
+          fileName = fileInfo.file.name || fileName;
+          fileSize = fileInfo.file.size || 0;
+        } catch (error) {
+          console.log(
+            `Could not get file info for ${sourceFilePath}, proceeding without it:`,
+            error.message
+          );
+        }
+
+        if (
+          destCapabilities.maxFileSize &&
+          fileSize > destCapabilities.maxFileSize
+        ) {
+          throw new Error(
+            `File ${fileName} is too large for ${destCapabilities.displayName} (limit ${this.formatFileSize(destCapabilities.maxFileSize)})`
+          );
+        }
+
+        children.push({
+          userId,
+          sourceAccountId,
+          destinationAccountId,
+          sourceFilePath,
+          destinationFilePath: byId
+            ? fileName
+            : destProvider.resolvePath(fileName, destinationFolder),
+          destinationParent: byId ? destinationFolder || null : null,
+          fileName,
+          fileSize,
+          priority,
+          mode,
+          conflictPolicy,
+        });
+      }
+
+      const { parentId, childIds } = await this.queueTransferGroup(
+        {
+          userId,
+          sourceAccountId,
+          destinationAccountId,
+          sourceFilePath: "",
+          destinationFilePath: destinationFolder,
+          fileName: name || `${children.length} files`,
+          fileSize: children.reduce((total, child) => total + child.fileSize, 0),
+          priority,
+          status: "running",
+          type: "batch",
+          mode,
+          conflictPolicy,
+        },
+        children
+      );
+
+      console.log(
+        `📦 Created batch transfer ${parentId}: ${children.length} files from ${sourceAccount.provider} to ${destAccount.provider}`
+      );
+
+      return {
+        batchId: parentId,
+        status: "running",
+        transferIds: childIds,
+        totalFiles: children.length,
+        message: "Batch transfer created and queued successfully",
+      };
+    } catch (error) {
+      console.error("Error creating batch transfer:", error);
+      throw error;
+    }
+  }
+
+  // Store a parent transfer and its files in one transaction, then queue
+  // the files. Children created with a status other than "queued" (e.g.
+  // failed up front) are stored but not queued.
+  async queueTransferGroup(parentData, children) {
+    const { parentId, childIds } = await this.db.createTransferGroup(
+      parentData,
+      children
+    );
+
+    children.forEach((child, index) => {
+      if (child.status && child.status !== "queued") return;
+      this.enqueue(new TransferJob({ id: childIds[index], parentId, ...child }));
+    });
+    this.processQueue();
+
+    return { parentId, childIds };
+  }
+
+  // A batch transfer's aggregated status plus each of its files
+  async getTransferBatch(batchId, userId) {
+    const batch = await this.getBatchRow(batchId, userId);
+    const children = await this.db.getChildTransfers(batchId);
+
+    return {
+      ...(await this.getParentTransferStatus(batch)),
+      transfers: children.map((child) => ({
+        id: child.id,
+        fileName: child.file_name,
+        sourceFilePath: child.source_path,
+        destinationFilePath: child.destination_path,
+        status: child.status,
+        progress: child.progress,
+        fileSize: child.file_size,
+        transferredBytes: child.transferred_bytes,
+        error: child.error_message,
+      })),
+    };
+  }
+
+  // Aggregated progress only, for polling
+  async getTransferBatchProgress(batchId, userId) {
+    const batch = await this.getBatchRow(batchId, userId);
+    return this.getParentTransferStatus(batch);
+  }
+
+  async cancelTransferBatch(batchId, userId) {
+    const batch = await this.getBatchRow(batchId, userId);
+
+    if (["completed", "partial", "cancelled"].includes(batch.status)) {
+      throw new Error(
+        `Transfer batch has already ${batch.status === "cancelled" ? "cancelled" : "completed"}`
+      );
+    }
+
+    return this.cancelParentTransfer(batch, userId);
+  }
 
-      // Start processing if not already running
-      this.processQueue();
+  // Queue the failed files of a batch again (and retry deleting the
+  // sources of partial moves); the rest are left alone
+  async retryFailedInBatch(batchId, userId) {
+    const batch = await this.getBatchRow(batchId, userId);
 
-      return {
-        transferId,
-        status: "queued",
-        message: "Transfer created and queued successfully",
-      };
-    } catch (error) {
-      console.error("Error creating transfer:", error);
-      throw error;
+    const summary = await this.db.getChildTransferSummary(batchId);
+    if (!summary.failed && !summary.partial) {
+      throw new Error("Transfer batch has no failed transfers to retry");
     }
+
+    return this.retryParentTransfer(batch, userId);
+  }
+
+  async getBatchRow(batchId, userId) {
+    const transfer = await this.db.getTransferById(batchId, userId);
+    if (!transfer || transfer.type !== "batch") {
+      throw new Error("Transfer batch not found");
+    }
+    return transfer;
   }
 
   // Process the transfer queue
@@ -117,11 +1153,22 @@ class TransferEngine {
     this.isProcessing = true;
 
     try {
+      // Limits depend on the tiers and providers of whoever is queued. Jobs
+      // may join the queue during a lookup, so go round until none are new.
+      let loaded;
+      do {
+        loaded = await this.concurrency.load(this.transferQueue);
+      } while (loaded);
+
       while (
         this.transferQueue.length > 0 &&
         this.activeTransfers.size < this.maxConcurrentTransfers
       ) {
-        const job = this.transferQueue.shift();
+        const job = this.takeNextJob();
+
+        // Everything left waits for its user or its accounts
+        if (!job) break;
+
         this.activeTransfers.set(job.id, job);
 
         // Process transfer in background
@@ -136,8 +1183,54 @@ class TransferEngine {
     }
   }
 
+  // Add a job to the queue; queuedAt is where its aging starts
+  enqueue(job, queuedAt = new Date()) {
+    job.queuedAt = queuedAt;
+    this.transferQueue.push(job);
+  }
+
+  // Remove and return the next job to start, or null if every queued job
+  // would put its user or one of its accounts over their limit. Users take
+  // turns: the job comes from the user with the fewest transfers running,
+  // then has the highest effective priority; ties go to the job that has
+  // waited longest.
+  takeNextJob() {
+    const now = Date.now();
+    const running = this.concurrency.count(this.activeTransfers.values());
+    const runningFor = (job) => running.users.get(job.userId) || 0;
+    let best = -1;
+
+    for (let i = 0; i < this.transferQueue.length; i++) {
+      const job = this.transferQueue[i];
+      if (!this.concurrency.canStart(job, running)) continue;
+
+      if (best === -1) {
+        best = i;
+        continue;
+      }
+
+      const current = this.transferQueue[best];
+      const share = runningFor(current) - runningFor(job);
+      const difference =
+        job.getEffectivePriority(now, this.priorityAgingInterval) -
+        current.getEffectivePriority(now, this.priorityAgingInterval);
+
+      if (
+        share > 0 ||
+        (share === 0 && difference > 0) ||
+        (share === 0 && difference === 0 && job.queuedAt < current.queuedAt)
+      ) {
+        best = i;
+      }
+    }
+
+    return best === -1 ? null : this.transferQueue.splice(best, 1)[0];
+  }
+
   // Process individual transfer
   async processTransfer(job) {
+    let destination = null; // Destination provider, once created
+
     try {
       console.log(`🔄 Starting transfer ${job.id}: ${job.fileName}`);
 
@@ -171,65 +1264,244 @@ class TransferEngine {
         destAccount.provider,
         destCredentials
       );
+      destination = destProvider;
+
+      // Large files go up in checkpointed chunks, so a retry or restart only
+      // sends what the destination doesn't have yet
+      const resumable = this.canResume(job, sourceProvider, destProvider);
+      let resumeState = null;
+
+      if (resumable && job.checkpoint) {
+        const uploadStatus = await destProvider.getUploadStatus(
+          job.checkpoint.upload
+        );
+        if (uploadStatus) {
+          job.resetCheckpoint(uploadStatus.offset, uploadStatus.upload);
+          resumeState = uploadStatus.upload;
+        } else {
+          job.clearCheckpoint();
+        }
+      } else if (job.checkpoint) {
+        // Can't be continued any more; don't leave the parts behind
+        await this.abortCheckpointedUpload(job, destProvider);
+      }
+
+      // Settle what happens to a file already at the destination; a resumed
+      // upload already did when it started
+      let resolution = null;
+      if (!resumeState) {
+        resolution = await resolveConflict(
+          destProvider,
+          job.destinationFilePath,
+          job.destinationParent,
+          job.conflictPolicy
+        );
+
+        if (resolution.action === "skip") {
+          job.skip("Skipped: the destination file already exists");
+          await this.updateJobInDatabase(job);
+          console.log(
+            `⏭️ Transfer ${job.id} skipped: ${job.destinationFilePath} already exists`
+          );
+
+          this.activeTransfers.delete(job.id);
+          this.processQueue();
+
+          return { success: true, transferId: job.id, skipped: true };
+        }
+
+        if (resolution.name !== job.destinationFilePath) {
+          console.log(
+            `✏️ Transfer ${job.id} renamed to ${resolution.name}, ${job.destinationFilePath} already exists`
+          );
+          job.destinationFilePath = resolution.name;
+          await this.updateJobInDatabase(job);
+        }
+      }
+
+      const bandwidthLimits = await this.getBandwidthLimits(job);
+
+      const startOffset = resumeState ? job.getResumeOffset() : 0;
+      if (startOffset > 0) {
+        console.log(
+          `⏩ Resuming transfer ${job.id} at ${this.formatFileSize(startOffset)}`
+        );
+      }
 
       console.log(
         `📥 Downloading from ${sourceAccount.provider}: ${job.sourceFilePath}`
       );
 
-      // Download from source with progress tracking
+      // Stop here if the transfer was cancelled or paused while setting up
+      const { signal } = job;
+      signal.throwIfAborted();
+
+      // Open the source as a stream; nothing is buffered in memory
       const downloadResult = await sourceProvider.downloadFile(
         job.sourceFilePath,
-        {
-          onProgress: (progress) => {
-            // Update progress (download is 0-50% of total progress)
-            const overallProgress = Math.round(progress.percentage * 0.5);
-            job.updateProgress(
-              (overallProgress * job.fileSize) / 100,
-              job.fileSize,
-              progress.speed || 0
-            );
-            this.updateJobInDatabase(job);
-          },
-        }
+        { start: startOffset, signal: signal }
       );
 
+      if (!job.fileSize && downloadResult.fileInfo.size) {
+        job.fileSize = downloadResult.fileInfo.size;
+      }
+
+      // Exported files (e.g. Google Docs) arrive in their export format
+      const { exportFormats } = sourceProvider.getCapabilities();
+      const exported = !!exportFormats[downloadResult.fileInfo.mimeType];
+      const contentType =
+        exportFormats[downloadResult.fileInfo.mimeType] ||
+        downloadResult.fileInfo.contentType ||
+        downloadResult.fileInfo.mimeType ||
+        "application/octet-stream";
+
+      // An exported copy never matches the original it came from, so there
+      // is nothing to check before deleting the source
+      if (exported && job.mode === "move") {
+        downloadResult.stream.destroy();
+        throw new Error("Exported files can only be copied, not moved");
+      }
+
       console.log(
         `📤 Uploading to ${destAccount.provider}: ${job.destinationFilePath}`
       );
 
-      // Convert stream to buffer for upload
-      const chunks = [];
-      downloadResult.stream.on("data", (chunk) => chunks.push(chunk));
+      // Hash the data on its way through. A resumed upload only sees the
+      // rest of the file, so it can only be checked by size.
+      const checksum =
+        startOffset === 0
+          ? new ChecksumCalculator([
+              "md5",
+              "sha256",
+              ...sourceProvider.getCapabilities().checksumAlgorithms,
+              ...destProvider.getCapabilities().checksumAlgorithms,
+            ])
+          : null;
 
-      await new Promise((resolve, reject) => {
-        downloadResult.stream.on("end", resolve);
-        downloadResult.stream.on("error", reject);
-      });
+      // Pipe the source straight into the destination upload. The progress
+      // stream only passes chunks on as fast as the upload consumes them, so
+      // backpressure keeps memory flat regardless of file size, and the
+      // throttle holds them to the bandwidth limits on the way.
+      // Cancelling destroys the streams through the signal.
+      const throttle = this.bandwidth.createStream(bandwidthLimits, signal);
+      const progressStream = this.createProgressStream(
+        job,
+        startOffset,
+        checksum
+      );
+      const pipelinePromise = pipeline(
+        downloadResult.stream,
+        throttle,
+        progressStream,
+        { signal: signal }
+      );
+
+      const uploadPromise = destProvider
+        .uploadFile(progressStream, job.destinationFilePath, {
+          contentType: contentType,
+          totalSize: job.fileSize,
+          parentPath: job.destinationParent || undefined,
+          overwrite: resolution
+            ? resolution.replace
+            : job.conflictPolicy === "overwrite",
+          resumeState: resumeState,
+          signal: signal,
+          onCheckpoint: resumable
+            ? (checkpoint) => {
+                job.recordCheckpoint(checkpoint);
+                this.updateJobInDatabase(job);
+              }
+            : undefined,
+        })
+        .catch((error) => {
+          // Stop reading from the source if the destination gives up
+          progressStream.destroy(error);
+          throw error;
+        });
 
-      const fileBuffer = Buffer.concat(chunks);
+      const [, uploadResult] = await Promise.all([
+        pipelinePromise,
+        uploadPromise,
+      ]);
 
-      // Upload to destination with progress tracking
-      const uploadResult = await destProvider.uploadFile(
-        fileBuffer,
-        job.destinationFilePath,
-        {
-          contentType:
-            downloadResult.fileInfo.contentType || "application/octet-stream",
-          onProgress: (progress) => {
-            // Update progress (upload is 50-100% of total progress)
-            const overallProgress = 50 + Math.round(progress.percentage * 0.5);
-            job.updateProgress(
-              (overallProgress * job.fileSize) / 100,
-              job.fileSize,
-              progress.speed || 0
+      // A cancel or pause can still come in while the copy is checked and
+      // tidied up; that removes what was written (a resumed transfer
+      // uploads it again) and leaves the source alone. Deleting a moved
+      // source is where the move commits, so that request isn't aborted,
+      // and once it has gone through the transfer completes whatever came
+      // in meanwhile.
+      let deletingSource = false;
+      try {
+        signal.throwIfAborted();
+
+        // Throws on a mismatch, so a move never deletes the source of a bad
+        // copy and the transfer is retried
+        await this.verifyTransfer(job, destProvider, uploadResult, {
+          sourceInfo: downloadResult.fileInfo,
+          checksums: checksum ? checksum.digest() : null,
+          exported: exported,
+          signal: signal,
+        });
+        signal.throwIfAborted();
+
+        // The copy is good, so the file it replaces can go
+        if (resolution) {
+          await removeOverwritten(destProvider, resolution, uploadResult, {
+            signal: signal,
+          }).catch((error) =>
+            console.error(
+              `Could not remove the file transfer ${job.id} replaced:`,
+              error.message
+            )
+          );
+          signal.throwIfAborted();
+        }
+
+        if (job.mode === "move") {
+          deletingSource = true;
+          await sourceProvider.deleteFile(job.sourceFilePath);
+          console.log(
+            `🗑️ Deleted source of moved transfer ${job.id}: ${job.sourceFilePath}`
+          );
+        }
+      } catch (error) {
+        if (deletingSource && !signal.aborted) {
+          job.completePartially(
+            `Copied, but the source could not be deleted: ${error.message}`
+          );
+          await this.updateJobInDatabase(job);
+          console.error(
+            `⚠️ Transfer ${job.id} copied but its source was not deleted:`,
+            error.message
+          );
+
+          this.activeTransfers.delete(job.id);
+          this.processQueue();
+
+          return { success: false, transferId: job.id, partial: true };
+        }
+
+        if (signal.aborted) {
+          await destProvider
+            .deleteFile(uploadResult.file.id || uploadResult.file.path)
+            .catch((removeError) =>
+              console.error(
+                `Could not remove interrupted upload of transfer ${job.id}:`,
+                removeError.message
+              )
             );
-            this.updateJobInDatabase(job);
-          },
+          // The verification no longer describes anything, and a two-way
+          // sync must not take it for a finished copy
+          job.clearCheckpoint();
+          job.verification = null;
         }
-      );
+        throw error;
+      }
 
       // Complete transfer
-      job.complete();
+      if (!job.complete({ irreversible: job.mode === "move" })) {
+        signal.throwIfAborted();
+      }
       await this.updateJobInDatabase(job);
 
       console.log(`✅ Transfer ${job.id} completed successfully!`);
@@ -251,10 +1523,43 @@ class TransferEngine {
         fileSize: job.fileSize,
       };
     } catch (error) {
+      this.activeTransfers.delete(job.id);
+
+      // Whatever error the abort caused, a cancelled transfer stays cancelled
+      if (job.status === "cancelled") {
+        await this.abortCheckpointedUpload(job, destination);
+        await this.updateJobInDatabase(job);
+        console.log(`🛑 Transfer ${job.id} cancelled`);
+        this.processQueue();
+        return { success: false, transferId: job.id, cancelled: true };
+      }
+
+      // Paused: keep the checkpoint, report only what it covers as done
+      if (job.status === "paused") {
+        job.updateProgress(job.getResumeOffset(), job.fileSize);
+        await this.updateJobInDatabase(job);
+        console.log(
+          `⏸️ Transfer ${job.id} paused at ${this.formatFileSize(job.transferredBytes)}`
+        );
+        this.processQueue();
+        return { success: false, transferId: job.id, paused: true };
+      }
+
+      if (
+        job.retryCount < job.maxRetries &&
+        this.retryPolicy.isRetryable(error)
+      ) {
+        await this.scheduleRetry(job, error);
+        this.processQueue();
+        return { success: false, transferId: job.id, retrying: true };
+      }
+
       console.error(`❌ Transfer ${job.id} failed:`, error.message);
       job.fail(error);
+      // Nothing resumes a failed transfer, so its partial upload would only
+      // sit on the destination; a manual retry starts over
+      await this.abortCheckpointedUpload(job, destination);
       await this.updateJobInDatabase(job);
-      this.activeTransfers.delete(job.id);
 
       // Continue processing other transfers
       this.processQueue();
@@ -263,16 +1568,407 @@ class TransferEngine {
     }
   }
 
+  // Compare the size and the checksums computed in transit with what the
+  // source and destination report, for every algorithm both sides have.
+  // The outcome is kept on the job; on a mismatch the destination copy is
+  // removed and a retryable error thrown.
+  async verifyTransfer(
+    job,
+    destProvider,
+    uploadResult,
+    { sourceInfo, checksums, exported, signal }
+  ) {
+    const destinationPath = uploadResult.file.id || uploadResult.file.path;
+    const { file } = await destProvider.getFileInfo(destinationPath, {
+      signal: signal,
+    });
+
+    const checks = [];
+    const addCheck = (type, against, expected, actual) => {
+      checks.push({
+        type: type,
+        against: against,
+        expected: expected,
+        actual: actual,
+        match: expected === actual,
+      });
+    };
+
+    // An exported file's size and checksums are unrelated to the original's
+    if (!exported) {
+      addCheck("size", "source", job.fileSize, job.transferredBytes);
+    }
+    addCheck("size", "destination", job.transferredBytes, file.size);
+
+    if (checksums) {
+      const compare = (against, reported = {}) => {
+        for (const [algorithm, value] of Object.entries(reported)) {
+          if (checksums[algorithm] && value) {
+            addCheck(
+              algorithm,
+              against,
+              value.toLowerCase(),
+              checksums[algorithm]
+            );
+          }
+        }
+      };
+
+      if (!exported) {
+        compare("source", sourceInfo.checksums);
+      }
+      compare("destination", file.checksums);
+    }
+
+    const mismatches = checks.filter((check) => !check.match);
+    job.checksums = checksums;
+    job.verification = {
+      status: mismatches.length
+        ? "mismatch"
+        : checks.some((check) => check.type !== "size")
+          ? "verified"
+          : "size-only",
+      checks: checks,
+      // The copy as the destination reports it, so a two-way sync can tell
+      // its own writes from later edits
+      destination: {
+        path: file.path,
+        size: file.size,
+        lastModified: file.lastModified,
+        checksums: file.checksums || {},
+      },
+      verifiedAt: new Date().toISOString(),
+    };
+
+    if (mismatches.length === 0) {
+      console.log(`🔒 Transfer ${job.id} verification: ${job.verification.status}`);
+      return job.verification;
+    }
+
+    // Don't leave a corrupt copy behind; the retry uploads it again
+    await destProvider.deleteFile(destinationPath).catch((error) =>
+      console.error(
+        `Could not remove unverified copy of transfer ${job.id}:`,
+        error.message
+      )
+    );
+    job.clearCheckpoint();
+
+    const { type, against, expected, actual } = mismatches[0];
+    if (type !== "size") {
+      throw new Error(
+        `Verification failed: ${type} checksum mismatch with the ${against} (expected ${expected}, got ${actual})`
+      );
+    }
+    throw new Error(
+      against === "source"
+        ? `Verification failed: the source has ${expected} bytes but ${actual} were sent`
+        : `Verification failed: ${expected} bytes were sent but the destination has ${actual}`
+    );
+  }
+
+  // Put a job back in the queue after a backoff delay
+  async scheduleRetry(job, error) {
+    job.retry(error);
+    await this.updateJobInDatabase(job);
+
+    const delay = this.retryPolicy.getDelay(job.retryCount);
+    console.log(
+      `🔁 Transfer ${job.id} failed (${error.message}), retry ${job.retryCount}/${job.maxRetries} in ${Math.round(delay / 1000)}s`
+    );
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(job.id);
+      this.enqueue(job);
+      this.processQueue();
+    }, delay);
+    timer.unref();
+    this.retryTimers.set(job.id, { timer: timer, job: job });
+  }
+
+  // Manually retry a failed transfer, reusing its row
+  async retryTransfer(transferId, userId) {
+    const transfer = await this.db.getTransferById(transferId, userId);
+    if (!transfer) {
+      throw new Error("Transfer not found");
+    }
+
+    if (transfer.status !== "failed" && transfer.status !== "partial") {
+      throw new Error("Only failed or partial transfers can be retried");
+    }
+
+    if (this.isParentTransfer(transfer)) {
+      return this.retryParentTransfer(transfer, userId);
+    }
+
+    // Only the source delete is left of a partial move
+    if (transfer.status === "partial") {
+      return this.retrySourceDelete(transfer, userId);
+    }
+
+    const job = this.createJobFromRow(transfer);
+    job.retry(transfer.error_message || "Retried manually");
+    await this.updateJobInDatabase(job);
+
+    console.log(`🔁 Transfer ${job.id} retried manually`);
+
+    this.enqueue(job);
+    this.processQueue();
+
+    return {
+      transferId: job.id,
+      status: "queued",
+      retryCount: job.retryCount,
+      message: "Transfer queued for retry",
+    };
+  }
+
+  // Delete the source of a move whose copy already finished
+  async retrySourceDelete(transfer, userId) {
+    const { provider } = await this.getAccountProvider(
+      transfer.source_account_id,
+      userId
+    );
+
+    let status = "completed";
+    let message = "Source deleted, transfer completed";
+    try {
+      await provider.deleteFile(transfer.source_path);
+      await this.db.updateTransferJob(transfer.id, {
+        status: status,
+        error_message: null,
+      });
+      console.log(`🗑️ Deleted source of moved transfer ${transfer.id}`);
+    } catch (error) {
+      status = "partial";
+      message = `Copied, but the source could not be deleted: ${error.message}`;
+      await this.db.updateTransferJob(transfer.id, { error_message: message });
+    }
+
+    if (transfer.parent_id) {
+      await this.refreshParentTransfer(transfer.parent_id, userId);
+    }
+
+    return {
+      transferId: transfer.id,
+      status: status,
+      retryCount: transfer.retry_count,
+      message: message,
+    };
+  }
+
+  // Pause a queued or running transfer. A running one is aborted and gives
+  // up its slot once its requests have stopped; its checkpoint is kept.
+  async pauseTransfer(transferId, userId) {
+    const transfer = await this.db.getTransferById(transferId, userId);
+    if (!transfer) {
+      throw new Error("Transfer not found");
+    }
+
+    if (transfer.status !== "queued" && transfer.status !== "running") {
+      throw new Error("Only queued or running transfers can be paused");
+    }
+
+    if (this.isParentTransfer(transfer)) {
+      throw new Error("Only file transfers can be paused");
+    }
+
+    if (this.activeTransfers.has(transferId)) {
+      const job = this.activeTransfers.get(transferId);
+      if (!job.pause()) {
+        throw new Error("Only queued or running transfers can be paused");
+      }
+      await this.updateJobInDatabase(job);
+      console.log(`⏸️ Pausing transfer ${transferId}`);
+      return { success: true, message: "Transfer paused" };
+    }
+
+    // Not started yet (or waiting to retry): just take it out of line
+    if (this.retryTimers.has(transferId)) {
+      clearTimeout(this.retryTimers.get(transferId).timer);
+      this.retryTimers.delete(transferId);
+    }
+    this.transferQueue = this.transferQueue.filter(
+      (job) => job.id !== transferId
+    );
+
+    await this.db.updateTransferJob(transferId, {
+      status: "paused",
+      transfer_speed: 0,
+    });
+    if (transfer.parent_id) {
+      await this.refreshParentTransfer(transfer.parent_id, userId);
+    }
+
+    console.log(`⏸️ Transfer ${transferId} paused`);
+
+    return { success: true, message: "Transfer paused" };
+  }
+
+  // Queue a paused transfer again; it continues from its checkpoint
+  async resumeTransfer(transferId, userId) {
+    const transfer = await this.db.getTransferById(transferId, userId);
+    if (!transfer) {
+      throw new Error("Transfer not found");
+    }
+
+    // Paused a moment ago and its requests haven't stopped yet
+    if (this.activeTransfers.has(transferId)) {
+      if (this.activeTransfers.get(transferId).status === "paused") {
+        throw new Error("Transfer is still pausing, try again in a moment");
+      }
+      throw new Error("Only paused transfers can be resumed");
+    }
+
+    if (transfer.status !== "paused") {
+      throw new Error("Only paused transfers can be resumed");
+    }
+
+    const job = this.createJobFromRow(transfer);
+    job.resume();
+    await this.updateJobInDatabase(job);
+
+    console.log(
+      `▶️ Transfer ${job.id} resumed at ${this.formatFileSize(job.transferredBytes)}`
+    );
+
+    this.enqueue(job);
+    this.processQueue();
+
+    return {
+      transferId: job.id,
+      status: "queued",
+      resumableBytes: job.getResumeOffset(),
+      message: "Transfer resumed",
+    };
+  }
+
+  // Change the priority of a transfer that hasn't started yet
+  async updateTransferPriority(transferId, userId, priority) {
+    const transfer = await this.db.getTransferById(transferId, userId);
+    if (!transfer) {
+      throw new Error("Transfer not found");
+    }
+
+    if (!["queued", "paused", "scheduled"].includes(transfer.status)) {
+      throw new Error(
+        "Only queued, paused or scheduled transfers can have their priority changed"
+      );
+    }
+
+    // The queue reads priorities when it picks the next job, so updating
+    // the waiting job (if any) is enough to reorder it
+    const job = this.retryTimers.has(transferId)
+      ? this.retryTimers.get(transferId).job
+      : this.transferQueue.find((queued) => queued.id === transferId);
+    if (job) {
+      job.priority = priority;
+    }
+
+    await this.db.updateTransferJob(transferId, { priority: priority });
+
+    console.log(`🔀 Transfer ${transferId} priority set to ${priority}`);
+
+    return {
+      transferId: transferId,
+      priority: priority,
+      message: "Transfer priority updated",
+    };
+  }
+
+  // Abort the destination upload a job checkpointed and forget about it
+  async abortCheckpointedUpload(job, destProvider = null) {
+    if (!job.checkpoint || !job.checkpoint.upload) return;
+
+    try {
+      if (!destProvider) {
+        const destAccount = await this.db.getCloudAccountById(
+          job.destinationAccountId,
+          job.userId
+        );
+        destProvider = this.createProvider(
+          destAccount.provider,
+          encryptionService.decryptCredentials(destAccount.encrypted_credentials)
+        );
+      }
+
+      await destProvider.abortUpload(job.checkpoint.upload);
+      console.log(`🧹 Aborted partial upload for transfer ${job.id}`);
+    } catch (error) {
+      console.error(
+        `Could not abort partial upload for transfer ${job.id}:`,
+        error.message
+      );
+    }
+
+    job.clearCheckpoint();
+  }
+
+  // Whether both ends support picking up a partly transferred file
+  canResume(job, sourceProvider, destProvider) {
+    return (
+      job.fileSize >= this.resumableThreshold &&
+      sourceProvider.getCapabilities().rangedDownloads &&
+      destProvider.getCapabilities().resumableUploads
+    );
+  }
+
+  // Create a pass-through stream that reports bytes flowing through it.
+  // startOffset is where a resumed transfer picks up in the file.
+  // Chunks are fed to checksum (a ChecksumCalculator) when given.
+  createProgressStream(job, startOffset = 0, checksum = null) {
+    const startTime = Date.now();
+    let transferred = startOffset;
+    let lastPersisted = 0;
+
+    return new Transform({
+      transform: (chunk, encoding, callback) => {
+        transferred += chunk.length;
+        if (checksum) {
+          checksum.update(chunk);
+        }
+
+        const elapsedSeconds = (Date.now() - startTime) / 1000;
+        const speed =
+          elapsedSeconds > 0
+            ? Math.round((transferred - startOffset) / elapsedSeconds)
+            : 0;
+        job.updateProgress(
+          transferred,
+          Math.max(job.fileSize, transferred),
+          speed
+        );
+
+        // Persist at most once per second to avoid a write per chunk
+        if (Date.now() - lastPersisted >= 1000) {
+          lastPersisted = Date.now();
+          this.updateJobInDatabase(job);
+        }
+
+        callback(null, chunk);
+      },
+    });
+  }
+
   // Create cloud provider instance
   createProvider(providerType, credentials) {
-    switch (providerType) {
-      case "aws-s3":
-        return new AWSS3Provider(credentials);
-      case "google-drive":
-        return new GoogleDriveProvider(credentials);
-      default:
-        throw new Error(`Unsupported provider: ${providerType}`);
+    return providerRegistry.create(providerType, credentials);
+  }
+
+  // Provider for one of the user's accounts
+  async getAccountProvider(accountId, userId) {
+    const account = await this.db.getCloudAccountById(accountId, userId);
+    if (!account) {
+      throw new Error("Source or destination account not found");
     }
+
+    const credentials = encryptionService.decryptCredentials(
+      account.encrypted_credentials
+    );
+    return {
+      account: account,
+      provider: this.createProvider(account.provider, credentials),
+    };
   }
 
   // Update job status in database
@@ -281,14 +1977,26 @@ class TransferEngine {
       const updates = {
         status: job.status,
         progress: job.progress,
+        file_size: job.fileSize,
+        destination_path: job.destinationFilePath,
         transferred_bytes: job.transferredBytes,
         transfer_speed: job.transferSpeed,
         error_message: job.error,
+        retry_count: job.retryCount,
+        checkpoint: job.checkpoint ? JSON.stringify(job.checkpoint) : null,
+        checksums: job.checksums ? JSON.stringify(job.checksums) : null,
+        verification: job.verification
+          ? JSON.stringify(job.verification)
+          : null,
         started_at: job.startedAt ? job.startedAt.toISOString() : null,
         completed_at: job.completedAt ? job.completedAt.toISOString() : null,
       };
 
       await this.db.updateTransferJob(job.id, updates);
+
+      if (job.parentId) {
+        await this.refreshParentTransfer(job.parentId, job.userId);
+      }
     } catch (error) {
       console.error("Error updating job in database:", error);
     }
@@ -300,7 +2008,11 @@ class TransferEngine {
       // Check if transfer is active in memory
       if (this.activeTransfers.has(transferId)) {
         const job = this.activeTransfers.get(transferId);
-        return job.getStats();
+        const row = await this.db.getTransferById(transferId, userId);
+        return {
+          ...job.getStats(),
+          bandwidth: this.formatBandwidth(row && row.bandwidth),
+        };
       }
 
       // Get from database
@@ -309,15 +2021,35 @@ class TransferEngine {
         throw new Error("Transfer not found");
       }
 
+      if (this.isParentTransfer(transfer)) {
+        return this.getParentTransferStatus(transfer);
+      }
+
       return {
         id: transfer.id,
+        type: "file",
+        mode: transfer.mode,
+        conflictPolicy: transfer.conflict_policy,
+        parentId: transfer.parent_id,
         fileName: transfer.file_name,
+        sourceFilePath: transfer.source_path,
+        destinationFilePath: transfer.destination_path,
         status: transfer.status,
         progress: transfer.progress,
         fileSize: transfer.file_size,
         transferredBytes: transfer.transferred_bytes,
         transferSpeed: transfer.transfer_speed,
         error: transfer.error_message,
+        retryCount: transfer.retry_count,
+        maxRetries: transfer.max_retries,
+        priority: transfer.priority,
+        scheduledAt: transfer.scheduled_at,
+        bandwidth: this.formatBandwidth(transfer.bandwidth),
+        resumableBytes: this.createJobFromRow(transfer).getResumeOffset(),
+        checksums: transfer.checksums ? JSON.parse(transfer.checksums) : null,
+        verification: transfer.verification
+          ? JSON.parse(transfer.verification)
+          : null,
         createdAt: transfer.created_at,
         startedAt: transfer.started_at,
         completedAt: transfer.completed_at,
@@ -328,24 +2060,121 @@ class TransferEngine {
     }
   }
 
+  // A folder or batch transfer with counts and failures aggregated over
+  // its files
+  async getParentTransferStatus(transfer) {
+    const summary = await this.db.getChildTransferSummary(transfer.id);
+    const failures = await this.db.getFailedChildTransfers(transfer.id);
+    const progress = this.getParentProgress(summary);
+    const state = transfer.checkpoint ? JSON.parse(transfer.checkpoint) : {};
+
+    return {
+      id: transfer.id,
+      type: transfer.type,
+      mode: transfer.mode,
+      conflictPolicy: transfer.conflict_policy,
+      fileName: transfer.file_name,
+      status: transfer.status,
+      progress: transfer.status === "completed" ? 100 : progress.progress,
+      fileSize: progress.file_size,
+      transferredBytes: progress.transferred_bytes,
+      transferSpeed: progress.transfer_speed,
+      error: transfer.error_message,
+      priority: transfer.priority,
+      scheduledAt: transfer.scheduled_at,
+      sourceFilePath: transfer.source_path,
+      destinationFilePath: transfer.destination_path,
+      listingComplete: this.hasAllChildren(transfer),
+      filters: transfer.filters ? JSON.parse(transfer.filters) : null,
+      bandwidth: this.formatBandwidth(transfer.bandwidth),
+      files: {
+        total: summary.total || 0,
+        completed: summary.completed || 0,
+        failed: summary.failed || 0,
+        partial: summary.partial || 0,
+        skipped: summary.skipped || 0,
+        cancelled: summary.cancelled || 0,
+        running: summary.running || 0,
+        queued: summary.queued || 0,
+        paused: summary.paused || 0,
+        // Left out by the folder's filters; no transfer was created for them
+        excluded: state.excluded || 0,
+      },
+      failures: failures.map((failure) => ({
+        id: failure.id,
+        fileName: failure.file_name,
+        sourceFilePath: failure.source_path,
+        destinationFilePath: failure.destination_path,
+        status: failure.status,
+        error: failure.error_message,
+      })),
+      createdAt: transfer.created_at,
+      startedAt: transfer.started_at,
+      completedAt: transfer.completed_at,
+    };
+  }
+
   // Cancel transfer
   async cancelTransfer(transferId, userId) {
     try {
-      // Check if transfer is active
+      const transfer = await this.db.getTransferById(transferId, userId);
+      if (!transfer) {
+        throw new Error("Transfer not found");
+      }
+
+      if (
+        transfer.status === "completed" ||
+        transfer.status === "partial" ||
+        transfer.status === "skipped" ||
+        transfer.status === "cancelled"
+      ) {
+        throw new Error(
+          `Transfer has already ${transfer.status === "cancelled" ? "cancelled" : "completed"}`
+        );
+      }
+
+      if (this.isParentTransfer(transfer)) {
+        return this.cancelParentTransfer(transfer, userId);
+      }
+
+      // Check if transfer is active. Cancelling aborts its signal, which
+      // stops the provider requests; processTransfer then cleans up the
+      // destination and frees the slot.
       if (this.activeTransfers.has(transferId)) {
         const job = this.activeTransfers.get(transferId);
-        job.cancel();
+        if (!job.cancel()) {
+          throw new Error(
+            `Transfer has already ${job.status === "cancelled" ? "cancelled" : "completed"}`
+          );
+        }
         await this.updateJobInDatabase(job);
-        this.activeTransfers.delete(transferId);
-        console.log(`🛑 Transfer ${transferId} cancelled`);
+        console.log(`🛑 Cancelling transfer ${transferId}`);
         return { success: true, message: "Transfer cancelled" };
       }
 
+      // Drop it from the queue or a pending retry so it never starts
+      if (this.retryTimers.has(transferId)) {
+        clearTimeout(this.retryTimers.get(transferId).timer);
+        this.retryTimers.delete(transferId);
+      }
+      this.transferQueue = this.transferQueue.filter(
+        (job) => job.id !== transferId
+      );
+
+      // Discard any partial upload a previous attempt left behind
+      if (transfer.checkpoint) {
+        await this.abortCheckpointedUpload(this.createJobFromRow(transfer));
+      }
+
       // Update in database if not active
       await this.db.updateTransferJob(transferId, {
         status: "cancelled",
+        checkpoint: null,
         completed_at: new Date().toISOString(),
       });
+      if (transfer.parent_id) {
+        await this.refreshParentTransfer(transfer.parent_id, userId);
+      }
 
       return { success: true, message: "Transfer cancelled" };
     } catch (error) {
@@ -354,13 +2183,23 @@ class TransferEngine {
     }
   }
 
-  // Get queue status
-  getQueueStatus() {
+  // Queue totals, and active and queued transfers against the limits of
+  // each user and account; with userId, only that user's and their accounts'
+  getQueueStatus(userId = null) {
+    const { users, accounts } = this.concurrency.breakdown(
+      [...this.activeTransfers.values()],
+      this.transferQueue,
+      userId
+    );
+
     return {
       activeTransfers: this.activeTransfers.size,
       queuedTransfers: this.transferQueue.length,
+      retryingTransfers: this.retryTimers.size,
       maxConcurrentTransfers: this.maxConcurrentTransfers,
       totalTransfers: this.activeTransfers.size + this.transferQueue.length,
+      users: users,
+      accounts: accounts,
     };
   }
 
@@ -368,7 +2207,7 @@ class TransferEngine {
   formatFileSize(bytes) {
     if (bytes === 0) return "0 Bytes";
     const k = 1024;
-    const sizes = ["Bytes", "KB", "MB", "GB"];
+    const sizes = ["Bytes", "KB", "MB", "GB", "TB"];
     const i = Math.floor(Math.log(bytes) / Math.log(k));
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
   }
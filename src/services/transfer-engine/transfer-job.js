@@ -1,4 +1,8 @@
 // src/services/transfer-engine/transfer-job.js - Transfer Job Management
+
+// Statuses a job ends in; pausing or cancelling can't change them
+const FINAL_STATUSES = ["completed", "partial", "skipped", "failed", "cancelled"];
+
 class TransferJob {
   constructor(options) {
     this.id = options.id;
@@ -9,21 +13,71 @@ class TransferJob {
     this.destinationFilePath = options.destinationFilePath;
     this.fileName = options.fileName;
 
+    // Files of a folder transfer point at the folder's transfer. On
+    // ID-addressed destinations the file is uploaded by name into
+    // destinationParent (a folder ID) instead of to a full path.
+    this.parentId = options.parentId || null;
+    this.destinationParent = options.destinationParent || null;
+
+    // "copy" leaves the source alone; "move" deletes it once the
+    // destination has been verified
+    this.mode = options.mode || "copy";
+
+    // What to do when the destination file already exists: "overwrite",
+    // "skip", "rename" (upload as "name (1).ext") or "fail"
+    this.conflictPolicy = options.conflictPolicy || "overwrite";
+
     // Transfer status
-    this.status = "queued"; // queued, running, completed, failed, cancelled
+    // scheduled, queued, running, paused, completed, failed, cancelled,
+    // partial (a move whose copy finished but whose source couldn't be deleted)
+    // and skipped (the destination file already existed)
+    this.status = "queued";
     this.progress = 0; // 0-100
     this.fileSize = options.fileSize || 0;
     this.transferredBytes = 0;
     this.transferSpeed = 0; // bytes per second
-    this.error = null;
+    this.error = options.error || null;
+
+    // Scheduling: higher priority (1-10) runs first. queuedAt is when the
+    // job last joined the queue; waiting raises its effective priority.
+    this.priority =
+      options.priority !== undefined && options.priority !== null
+        ? options.priority
+        : 5;
+    this.queuedAt = null;
+    this.scheduledAt = options.scheduledAt ? new Date(options.scheduledAt) : null;
+
+    // Retry tracking
+    this.retryCount = options.retryCount || 0;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+
+    // Resume tracking: byte ranges the destination has committed, plus the
+    // provider's upload state needed to continue, e.g.
+    // { ranges: [[0, 16777216]], upload: { uploadId, parts, ... } }
+    this.checkpoint = options.checkpoint || null;
+
+    // Integrity: digests computed while the data streamed through, e.g.
+    // { md5, sha256 }, and the outcome of comparing them (and the sizes)
+    // with what the source and destination report
+    this.checksums = options.checksums || null;
+    this.verification = options.verification || null;
 
     // Timestamps
-    this.createdAt = new Date();
+    this.createdAt = options.createdAt ? new Date(options.createdAt) : new Date();
     this.startedAt = null;
     this.completedAt = null;
 
     // Progress tracking
     this.progressCallbacks = [];
+
+    // Aborted on cancel; every provider call of the current attempt gets
+    // its signal so in-flight requests stop as well
+    this.abortController = null;
+  }
+
+  // Signal for the running attempt (null while queued)
+  get signal() {
+    return this.abortController ? this.abortController.signal : null;
   }
 
   // Add progress callback
@@ -59,15 +113,49 @@ class TransferJob {
   start() {
     this.status = "running";
     this.startedAt = new Date();
+    this.abortController = new AbortController();
     this.updateProgress(this.transferredBytes, this.fileSize);
   }
 
-  // Complete transfer
-  complete() {
+  // Complete transfer. A cancel or pause that came in first wins (the job
+  // keeps that status and false is returned) unless the work can't be
+  // undone any more, such as a move whose source is already deleted.
+  complete({ irreversible = false } = {}) {
+    if (
+      !irreversible &&
+      (this.status === "cancelled" || this.status === "paused")
+    ) {
+      return false;
+    }
+
     this.status = "completed";
     this.completedAt = new Date();
+    this.error = null;
+    this.checkpoint = null;
     this.progress = 100;
     this.updateProgress(this.fileSize, this.fileSize);
+    return true;
+  }
+
+  // The copy finished but the rest of the job (deleting a moved source)
+  // didn't; the error says what is left to do
+  completePartially(error) {
+    this.status = "partial";
+    this.completedAt = new Date();
+    this.error = error.message || error;
+    this.checkpoint = null;
+    this.transferSpeed = 0;
+    this.updateProgress(this.fileSize, this.fileSize);
+  }
+
+  // Nothing was copied because the destination file already existed; the
+  // reason is kept in error so it shows up with the transfer
+  skip(reason) {
+    this.status = "skipped";
+    this.completedAt = new Date();
+    this.error = reason;
+    this.checkpoint = null;
+    this.transferSpeed = 0;
   }
 
   // Fail transfer
@@ -78,11 +166,102 @@ class TransferJob {
     this.updateProgress(this.transferredBytes, this.fileSize);
   }
 
-  // Cancel transfer
+  // Queue the job for another attempt, keeping the last error for reference.
+  // Progress falls back to what the checkpoint says is safely stored.
+  retry(error) {
+    this.status = "queued";
+    this.retryCount += 1;
+    this.error = error.message || error;
+    this.startedAt = null;
+    this.completedAt = null;
+    this.updateProgress(this.getResumeOffset(), this.fileSize);
+  }
+
+  // Priority plus one level per agingInterval ms spent waiting, so jobs
+  // that keep getting passed over eventually run
+  getEffectivePriority(now, agingInterval) {
+    const waited = this.queuedAt ? now - this.queuedAt : 0;
+    return this.priority + Math.floor(waited / agingInterval);
+  }
+
+  // Record a committed byte range and the upload state that goes with it
+  recordCheckpoint({ range, upload }) {
+    const ranges = this.checkpoint ? [...this.checkpoint.ranges] : [];
+    if (range) {
+      ranges.push(range);
+    }
+
+    // Keep the ranges sorted and merge ones that touch
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const [start, end] of ranges) {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    }
+
+    this.checkpoint = { ranges: merged, upload: upload };
+  }
+
+  // Replace the checkpoint with what the destination reports it has stored
+  resetCheckpoint(offset, upload) {
+    this.checkpoint = {
+      ranges: offset > 0 ? [[0, offset]] : [],
+      upload: upload,
+    };
+  }
+
+  clearCheckpoint() {
+    this.checkpoint = null;
+  }
+
+  // Bytes from the start of the file that don't need to be sent again
+  getResumeOffset() {
+    if (!this.checkpoint || this.checkpoint.ranges.length === 0) return 0;
+    const [start, end] = this.checkpoint.ranges[0];
+    return start === 0 ? end : 0;
+  }
+
+  // Pause transfer. The running attempt is aborted; the checkpoint stays so
+  // resume() can carry on from it. False if the job has already ended.
+  pause() {
+    if (FINAL_STATUSES.includes(this.status)) {
+      return false;
+    }
+
+    this.status = "paused";
+    this.transferSpeed = 0;
+    if (this.abortController) {
+      this.abortController.abort(new Error("Transfer was paused"));
+    }
+    this.updateProgress(this.transferredBytes, this.fileSize);
+    return true;
+  }
+
+  // Queue a paused job again, from what the checkpoint says is stored
+  resume() {
+    this.status = "queued";
+    this.startedAt = null;
+    this.completedAt = null;
+    this.updateProgress(this.getResumeOffset(), this.fileSize);
+  }
+
+  // Cancel transfer. False if the job has already ended.
   cancel() {
+    if (FINAL_STATUSES.includes(this.status)) {
+      return false;
+    }
+
     this.status = "cancelled";
     this.completedAt = new Date();
+    if (this.abortController) {
+      this.abortController.abort(new Error("Transfer was cancelled"));
+    }
     this.updateProgress(this.transferredBytes, this.fileSize);
+    return true;
   }
 
   // Get transfer statistics
@@ -93,7 +272,13 @@ class TransferJob {
 
     return {
       id: this.id,
+      type: "file",
+      mode: this.mode,
+      conflictPolicy: this.conflictPolicy,
+      parentId: this.parentId,
       fileName: this.fileName,
+      sourceFilePath: this.sourceFilePath,
+      destinationFilePath: this.destinationFilePath,
       status: this.status,
       progress: this.progress,
       fileSize: this.fileSize,
@@ -107,6 +292,13 @@ class TransferJob {
             )
           : null,
       error: this.error,
+      retryCount: this.retryCount,
+      maxRetries: this.maxRetries,
+      priority: this.priority,
+      scheduledAt: this.scheduledAt,
+      resumableBytes: this.getResumeOffset(),
+      checksums: this.checksums,
+      verification: this.verification,
       createdAt: this.createdAt,
       startedAt: this.startedAt,
       completedAt: this.completedAt,
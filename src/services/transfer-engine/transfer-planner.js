@@ -0,0 +1,365 @@
+// src/services/transfer-engine/transfer-planner.js - Dry-Run Transfer Plans
+const { resolveConflict } = require("./conflict-policy");
+const { FileFilter, normalizeFilters } = require("./file-filter");
+
+// Builds plans from the same listings, conflict resolution and sync diffs
+// the engine runs with, but only reads: nothing is copied, created or
+// deleted.
+class TransferPlanner {
+  constructor(database, transferEngine) {
+    this.db = database;
+    this.transferEngine = transferEngine;
+
+    // Speed (bytes/s) estimates assume until the user has completed
+    // transfers to go on
+    this.defaultSpeed =
+      parseInt(process.env.TRANSFER_PLAN_DEFAULT_SPEED) || 5 * 1024 * 1024;
+  }
+
+  // What creating a transfer (type file, folder or batch) or running a
+  // sync (type sync) would do right now
+  async planTransfer(userId, options) {
+    const type = options.type || "file";
+
+    const plan =
+      type === "sync"
+        ? await this.planSync(userId, options.syncId)
+        : await this.planCopy(userId, type, options);
+
+    const count = (action) =>
+      plan.actions.filter((item) => item.action === action).length;
+    const copies = plan.actions.filter((item) =>
+      ["copy", "overwrite", "rename"].includes(item.action)
+    );
+    const totalBytes = copies.reduce((total, item) => total + item.size, 0);
+
+    return {
+      ...plan.details,
+      type: type,
+      summary: {
+        files: copies.length,
+        copy: count("copy"),
+        overwrite: count("overwrite"),
+        rename: count("rename"),
+        skip: count("skip"),
+        fail: count("fail"),
+        delete: count("delete"),
+        conflicts: count("conflict"),
+        unchanged: plan.unchanged || 0,
+        excluded: plan.excluded || 0,
+        sourceDeletes: copies.filter((item) => item.deleteSource).length,
+      },
+      totalBytes: totalBytes,
+      totalSize: this.transferEngine.formatFileSize(totalBytes),
+      estimatedDuration: await this.estimateDuration(
+        userId,
+        plan.accounts,
+        totalBytes,
+        copies.length
+      ),
+      actions: plan.actions,
+      warnings: plan.warnings,
+    };
+  }
+
+  // A single file, a folder or a batch of files, checked against what is
+  // already at the destination under the conflict policy
+  async planCopy(userId, type, options) {
+    const {
+      sourceAccountId,
+      destinationAccountId,
+      mode = "copy",
+      conflictPolicy = "overwrite",
+    } = options;
+
+    const { account: sourceAccount, provider: sourceProvider } =
+      await this.transferEngine.getAccountProvider(sourceAccountId, userId);
+    const { account: destAccount, provider: destProvider } =
+      await this.transferEngine.getAccountProvider(destinationAccountId, userId);
+
+    if (sourceAccount.id === destAccount.id) {
+      throw new Error("Source and destination accounts cannot be the same");
+    }
+
+    const filters = normalizeFilters(options.filters);
+    if (filters && type !== "folder") {
+      throw new Error("Invalid filters: only folder transfers can be filtered");
+    }
+
+    const capabilities = destProvider.getCapabilities();
+    const byId = capabilities.addressing === "id";
+    const warnings = [];
+    let excluded = 0;
+
+    // { sourcePath, destinationPath, parentPath, size, error } per file, and
+    // what answers resolveConflict's lookups
+    let files;
+    let lookup = destProvider;
+
+    if (type === "folder") {
+      const destinationFolder =
+        options.destinationFilePath ||
+        options.fileName ||
+        options.sourceFilePath.split("/").filter((part) => part).pop();
+      const source = await this.transferEngine.syncs.listTree(
+        sourceProvider,
+        options.sourceFilePath,
+        { filter: new FileFilter(filters) }
+      );
+      excluded = source.excluded.size;
+
+      const prefix = destProvider.resolvePath("", destinationFolder);
+
+      files = [...source.files].map(([relativePath, item]) => ({
+        sourcePath: item.path,
+        relativePath: relativePath,
+        destinationPath: destProvider.resolvePath(relativePath, destinationFolder),
+        parentPath: "",
+        size: item.size || 0,
+      }));
+
+      if (byId) {
+        // The engine creates a new folder, so nothing can be in the way
+        lookup = { getCapabilities: () => capabilities, findFile: async () => null };
+        warnings.push(
+          `A new folder "${destinationFolder}" is created on ${capabilities.displayName}`
+        );
+      } else {
+        // One listing instead of a lookup per file
+        const destination = await this.transferEngine.syncs.listTree(
+          destProvider,
+          destinationFolder,
+          { missingIsEmpty: true }
+        );
+        lookup = {
+          getCapabilities: () => capabilities,
+          findFile: async (name) =>
+            destination.files.get(name.slice(prefix.length)) || null,
+        };
+      }
+    } else {
+      const sourcePaths =
+        type === "batch" ? options.sourceFilePaths : [options.sourceFilePath];
+      const batchFolder = options.destinationFolder || "";
+
+      files = [];
+      for (const sourcePath of sourcePaths) {
+        let name = sourcePath.split("/").filter((part) => part).pop();
+        let size = 0;
+        let sourceError = null;
+        try {
+          const fileInfo = await sourceProvider.getFileInfo(sourcePath);
+          name = fileInfo.file.name || name;
+          size = fileInfo.file.size || 0;
+        } catch (error) {
+          sourceError = `The source file could not be read: ${error.message}`;
+        }
+
+        let destinationPath;
+        if (type === "file") {
+          destinationPath =
+            options.destinationFilePath || options.fileName || name;
+        } else {
+          destinationPath = byId
+            ? name
+            : destProvider.resolvePath(name, batchFolder);
+        }
+
+        files.push({
+          sourcePath,
+          destinationPath,
+          parentPath: byId && type === "batch" ? batchFolder || null : null,
+          size,
+          error: sourceError,
+        });
+      }
+    }
+
+    const actions = [];
+    for (const file of files) {
+      const outcome = file.error
+        ? { action: "fail", name: file.destinationPath, reason: file.error }
+        : await this.planUpload(
+            lookup,
+            file.destinationPath,
+            file.parentPath,
+            conflictPolicy,
+            file.size,
+            capabilities
+          );
+      const copied = ["copy", "overwrite", "rename"].includes(outcome.action);
+
+      actions.push({
+        action: outcome.action,
+        sourcePath: file.sourcePath,
+        destinationPath: outcome.name,
+        ...(file.relativePath ? { relativePath: file.relativePath } : {}),
+        size: file.size,
+        ...(outcome.reason ? { reason: outcome.reason } : {}),
+        ...(copied && mode === "move" ? { deleteSource: true } : {}),
+      });
+    }
+
+    return {
+      details: { mode, conflictPolicy, ...(filters ? { filters } : {}) },
+      accounts: { source: sourceAccount.id, destination: destAccount.id },
+      actions,
+      excluded,
+      warnings,
+    };
+  }
+
+  // What happens to one upload: copy (nothing there), overwrite, rename,
+  // skip or fail. Resolves with { action, name, reason }.
+  async planUpload(lookup, name, parentPath, policy, size, capabilities) {
+    if (capabilities.maxFileSize && size > capabilities.maxFileSize) {
+      return {
+        action: "fail",
+        name,
+        reason: `File is too large for ${capabilities.displayName} (limit ${this.transferEngine.formatFileSize(capabilities.maxFileSize)})`,
+      };
+    }
+
+    let resolution;
+    try {
+      resolution = await resolveConflict(lookup, name, parentPath, policy);
+    } catch (error) {
+      if (error.message.includes("already exists")) {
+        return { action: "fail", name, reason: error.message };
+      }
+      throw error;
+    }
+
+    if (resolution.action === "skip") {
+      return { action: "skip", name, reason: "The destination file already exists" };
+    }
+
+    if (resolution.name !== name) {
+      return {
+        action: "rename",
+        name: resolution.name,
+        reason: `${name} already exists`,
+      };
+    }
+
+    // Overwriting a path needs no lookup, so look to tell copy from overwrite
+    const existing =
+      resolution.replace && !resolution.existing
+        ? await lookup.findFile(name, parentPath || "")
+        : resolution.existing;
+
+    return { action: existing ? "overwrite" : "copy", name };
+  }
+
+  // A sync run: the copies, deletions and conflicts it would find
+  async planSync(userId, syncId) {
+    const plan = await this.transferEngine.syncs.planSync(syncId, userId);
+    const { row, sides } = plan;
+    const actions = [];
+
+    for (const copy of plan.copies) {
+      const from = copy.to === "destination" ? "source" : "destination";
+      const target = sides[copy.to];
+      const capabilities = target.provider.getCapabilities();
+      const size = copy.file.size || 0;
+      const tooLarge = capabilities.maxFileSize && size > capabilities.maxFileSize;
+
+      actions.push({
+        action: tooLarge ? "fail" : copy.reason === "updated" ? "overwrite" : "copy",
+        from: from,
+        to: copy.to,
+        relativePath: copy.relativePath,
+        sourcePath: copy.file.path,
+        destinationPath: target.provider.resolvePath(
+          copy.relativePath,
+          target.rootPath
+        ),
+        size: size,
+        ...(tooLarge
+          ? {
+              reason: `File is too large for ${capabilities.displayName} (limit ${this.transferEngine.formatFileSize(capabilities.maxFileSize)})`,
+            }
+          : {}),
+      });
+    }
+
+    for (const entry of plan.deletes) {
+      actions.push({
+        action: "delete",
+        side: entry.side,
+        relativePath: entry.relativePath,
+        path: entry.file.path,
+        itemType: sides[entry.side].tree.folders.has(entry.relativePath)
+          ? "folder"
+          : "file",
+        size: entry.file.size || 0,
+      });
+    }
+
+    for (const entry of plan.conflicts) {
+      actions.push({
+        action: "conflict",
+        relativePath: entry.relativePath,
+        resolution: entry.resolution,
+        ...(entry.conflictPath
+          ? { renameDestinationTo: entry.conflictPath }
+          : {}),
+        source: this.transferEngine.syncs.fileState(entry.source),
+        destination: this.transferEngine.syncs.fileState(entry.destination),
+      });
+    }
+
+    return {
+      details: { sync: this.transferEngine.syncs.formatSync(row) },
+      // Two-way copies run both ways, so any of the user's history will do
+      accounts:
+        row.direction === "two-way"
+          ? null
+          : { source: row.source_account_id, destination: row.destination_account_id },
+      actions,
+      unchanged: plan.unchanged,
+      excluded: plan.excluded,
+      warnings: plan.message ? [plan.message] : [],
+    };
+  }
+
+  // How long copying `bytes` in `files` files should take, from the speed
+  // of recent transfers between the same accounts, then of any of the
+  // user's, then the default
+  async estimateDuration(userId, accounts, bytes, files) {
+    let history = accounts
+      ? await this.db.getTransferThroughput(userId, accounts.source, accounts.destination)
+      : null;
+    let basis = "accounts";
+
+    if (!history || !(history.seconds > 0)) {
+      history = await this.db.getTransferThroughput(userId);
+      basis = "history";
+    }
+
+    let bytesPerSecond = history.seconds > 0 ? history.bytes / history.seconds : 0;
+    if (!bytesPerSecond) {
+      bytesPerSecond = this.defaultSpeed;
+      basis = "default";
+    }
+
+    // Files are copied several at a time, up to the user's share
+    const parallel = Math.max(
+      1,
+      Math.min(
+        files,
+        this.transferEngine.maxConcurrentTransfers,
+        this.transferEngine.concurrency.userLimitFor(userId)
+      )
+    );
+
+    return {
+      seconds: Math.ceil(bytes / (bytesPerSecond * parallel)),
+      bytesPerSecond: Math.round(bytesPerSecond),
+      parallelTransfers: parallel,
+      basis: basis,
+    };
+  }
+}
+
+module.exports = TransferPlanner;
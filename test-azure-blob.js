@@ -0,0 +1,100 @@
+// Azure Blob Storage Integration Test
+// Save as: test-azure-blob.js
+//
+// Runs against a real storage account or a local Azurite emulator:
+//   npx azurite-blob --silent --location ./tmp/azurite
+//   node test-azure-blob.js
+// Set AZURE_STORAGE_CONNECTION_STRING to test a real account instead.
+
+require('dotenv').config();
+const { BlobServiceClient } = require('@azure/storage-blob');
+const AzureBlobProvider = require('./src/services/cloud-providers/azure-blob-provider');
+const { Readable } = require('stream');
+
+async function testAzureBlob() {
+  console.log('🚀 Azure Blob Storage Test Starting...\n');
+
+  try {
+    const credentials = {
+      connectionString:
+        process.env.AZURE_STORAGE_CONNECTION_STRING || 'UseDevelopmentStorage=true',
+      containerName: process.env.AZURE_STORAGE_CONTAINER || 'cloud-transfer-test'
+    };
+
+    // Make sure the test container exists (handy for a fresh emulator)
+    const serviceClient = BlobServiceClient.fromConnectionString(credentials.connectionString);
+    await serviceClient.getContainerClient(credentials.containerName).createIfNotExists();
+
+    console.log('🔧 Creating Azure Blob provider...');
+    const azureProvider = new AzureBlobProvider(credentials);
+
+    // Test authentication
+    console.log('🔐 Testing authentication...');
+    const authResult = await azureProvider.authenticate();
+    console.log('✅ Authentication successful!');
+    console.log(`   Account: ${authResult.account}`);
+    console.log(`   Container: ${authResult.container}\n`);
+
+    // Test folder creation
+    console.log('📁 Creating test folder...');
+    const folderResult = await azureProvider.createFolder('test-folder');
+    console.log(`✅ Folder created: ${folderResult.folder.path}\n`);
+
+    // Test buffer upload
+    console.log('📤 Uploading buffer...');
+    const content = `Hello from Cloud Transfer! ${new Date().toISOString()}`;
+    await azureProvider.uploadFile(Buffer.from(content), 'test-folder/hello.txt', {
+      contentType: 'text/plain'
+    });
+    console.log('✅ Buffer uploaded\n');
+
+    // Test stream upload
+    console.log('📤 Uploading stream...');
+    const streamSize = 10 * 1024 * 1024;
+    await azureProvider.uploadFile(
+      Readable.from([Buffer.alloc(streamSize / 2), Buffer.alloc(streamSize / 2)]),
+      'test-folder/large.bin',
+      { totalSize: streamSize }
+    );
+    console.log('✅ Stream uploaded\n');
+
+    // Test listing with virtual folders
+    console.log('📋 Listing root...');
+    const rootList = await azureProvider.listFiles('');
+    rootList.files.forEach((file) => console.log(`   ${file.type}: ${file.path}`));
+    console.log('📋 Listing test-folder/...');
+    const folderList = await azureProvider.listFiles('test-folder/');
+    folderList.files.forEach((file) => console.log(`   ${file.type}: ${file.path} (${file.size} bytes)`));
+    console.log();
+
+    // Test file info
+    const fileInfo = await azureProvider.getFileInfo('test-folder/large.bin');
+    console.log(`🔍 large.bin is ${fileInfo.file.size} bytes (expected ${streamSize})\n`);
+
+    // Test download
+    console.log('📥 Downloading hello.txt...');
+    const download = await azureProvider.downloadFile('test-folder/hello.txt');
+    const chunks = [];
+    for await (const chunk of download.stream) chunks.push(chunk);
+    const downloaded = Buffer.concat(chunks).toString();
+    console.log(`✅ Downloaded content matches: ${downloaded === content}\n`);
+
+    // Test rename and delete
+    console.log('✏️  Renaming hello.txt...');
+    await azureProvider.renameFile('test-folder/hello.txt', 'test-folder/renamed.txt');
+    console.log('✅ Renamed\n');
+
+    console.log('🗑️  Cleaning up...');
+    for (const filePath of ['test-folder/renamed.txt', 'test-folder/large.bin', 'test-folder/']) {
+      await azureProvider.deleteFile(filePath);
+    }
+    console.log('✅ Cleanup complete\n');
+
+    console.log('🎉 All Azure Blob tests passed!');
+  } catch (error) {
+    console.error('❌ Azure Blob test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testAzureBlob();
@@ -0,0 +1,128 @@
+// test/bandwidth-limiter.test.js - Bandwidth Throttling
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { Readable, Writable } = require("stream");
+const { pipeline } = require("stream/promises");
+const {
+  BandwidthLimiter,
+  limitAt,
+  normalizeBandwidth,
+} = require("../src/services/transfer-engine/bandwidth-limiter");
+
+// Push chunks of the given size through a limiter stream; resolves with
+// the ms it took
+async function send(stream, chunks, size) {
+  const started = Date.now();
+  await pipeline(
+    Readable.from(Array.from({ length: chunks }, () => Buffer.alloc(size))),
+    stream,
+    new Writable({ write: (chunk, encoding, callback) => callback() })
+  );
+  return Date.now() - started;
+}
+
+function assertAbout(elapsed, expected) {
+  assert.ok(
+    elapsed >= expected - 50 && elapsed < expected + 400,
+    `took ${elapsed}ms, expected about ${expected}ms`
+  );
+}
+
+test("schedule windows replace the limit while open, past midnight too", () => {
+  const settings = normalizeBandwidth({
+    limit: 1000,
+    schedule: [
+      { start: "09:00", end: "18:00", limit: 500 },
+      { start: "22:00", end: "06:00", limit: 0 },
+    ],
+    timezone: "Europe/Berlin",
+  });
+  const at = (time) => limitAt(settings, new Date(`2024-01-15T${time}Z`));
+
+  // Berlin is an hour ahead of UTC in January
+  assert.strictEqual(at("07:59:00"), 1000);
+  assert.strictEqual(at("08:00:00"), 500);
+  assert.strictEqual(at("16:59:00"), 500);
+  assert.strictEqual(at("17:00:00"), 1000);
+  assert.strictEqual(at("21:30:00"), 0);
+  assert.strictEqual(at("04:59:00"), 0);
+  assert.strictEqual(at("05:00:00"), 1000);
+
+  assert.strictEqual(limitAt(null), 0);
+  assert.strictEqual(normalizeBandwidth({ limit: 0 }), null);
+});
+
+test("the global limit holds chunks back to its rate", async () => {
+  const limiter = new BandwidthLimiter(normalizeBandwidth({ limit: 20000 }));
+
+  // The first chunk goes at once, each of the others waits its share
+  assertAbout(await send(limiter.createStream([]), 5, 2000), 400);
+});
+
+test("without limits chunks go straight through", async () => {
+  const limiter = new BandwidthLimiter(null);
+
+  assert.ok((await send(limiter.createStream([]), 50, 65536)) < 200);
+});
+
+test("a user's streams share the user's limit", async () => {
+  const limiter = new BandwidthLimiter(null);
+  const user = {
+    key: "user:1",
+    settings: normalizeBandwidth({ limit: 10000 }),
+  };
+
+  const first = limiter.createStream([user]);
+  const second = limiter.createStream([user]);
+  assert.strictEqual(limiter.buckets.get("user:1").streams, 2);
+
+  // 8000 bytes at 10000 B/s, less the first chunk that goes at once
+  const elapsed = await Promise.all([
+    send(first, 4, 1000),
+    send(second, 4, 1000),
+  ]);
+  assertAbout(Math.max(...elapsed), 700);
+
+  // The bucket goes once no stream uses it
+  assert.strictEqual(limiter.buckets.has("user:1"), false);
+});
+
+test("each limit a stream is under applies, global and per user", async () => {
+  const limiter = new BandwidthLimiter(normalizeBandwidth({ limit: 10000 }));
+  const stream = (userId) =>
+    limiter.createStream([
+      {
+        key: `user:${userId}`,
+        settings: normalizeBandwidth({ limit: 100000 }),
+      },
+    ]);
+
+  // Two users each well under their own limit still share the global one
+  const elapsed = await Promise.all([
+    send(stream(1), 3, 1000),
+    send(stream(2), 3, 1000),
+  ]);
+  assertAbout(Math.max(...elapsed), 500);
+});
+
+test("changed settings reach a running stream", async () => {
+  const limiter = new BandwidthLimiter(null);
+  const stream = limiter.createStream([
+    { key: "transfer:1", settings: normalizeBandwidth({ limit: 1000 }) },
+  ]);
+
+  // At 1000 B/s this would take about 9 seconds
+  setTimeout(() => limiter.configure("transfer:1", null), 300);
+  assertAbout(await send(stream, 10, 1000), 300);
+});
+
+test("an aborted transfer stops waiting for bandwidth", async () => {
+  const limiter = new BandwidthLimiter(normalizeBandwidth({ limit: 1000 }));
+  const controller = new AbortController();
+
+  setTimeout(() => controller.abort(new Error("cancelled")), 200);
+  await assert.rejects(
+    send(limiter.createStream([], controller.signal), 10, 1000),
+    /cancelled|aborted/
+  );
+});
@@ -0,0 +1,131 @@
+// test/concurrency-limits.test.js - Per-User and Per-Account Concurrency
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert");
+const ConcurrencyLimits = require("../src/services/transfer-engine/concurrency-limits");
+const TransferEngine = require("../src/services/transfer-engine/transfer-engine");
+const TransferJob = require("../src/services/transfer-engine/transfer-job");
+
+const ENV_KEYS = [
+  "TRANSFER_USER_CONCURRENCY",
+  "TRANSFER_USER_CONCURRENCY_BY_TIER",
+  "TRANSFER_ACCOUNT_CONCURRENCY",
+  "TRANSFER_ACCOUNT_CONCURRENCY_BY_PROVIDER",
+];
+const savedEnv = Object.fromEntries(
+  ENV_KEYS.map((key) => [key, process.env[key]])
+);
+
+afterEach(() => {
+  for (const key of ENV_KEYS) {
+    if (savedEnv[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = savedEnv[key];
+    }
+  }
+});
+
+// Users 1 (free) and 2 (pro); accounts are user * 10 + n, Drive when even
+const fakeDb = {
+  getUserById: async (userId) => ({
+    id: userId,
+    subscription_tier: userId === 1 ? "free" : "pro",
+  }),
+  getCloudAccountById: async (accountId, userId) => ({
+    id: accountId,
+    user_id: userId,
+    provider: accountId % 2 === 0 ? "google-drive" : "aws-s3",
+  }),
+};
+
+let nextId = 1;
+function job(userId, sourceAccountId, destinationAccountId, priority = 5) {
+  return new TransferJob({
+    id: nextId++,
+    userId: userId,
+    sourceAccountId: sourceAccountId,
+    destinationAccountId: destinationAccountId,
+    priority: priority,
+  });
+}
+
+test("tiers and providers set the limits, the global limit the rest", async () => {
+  process.env.TRANSFER_USER_CONCURRENCY_BY_TIER = "free=1, pro=3";
+  process.env.TRANSFER_ACCOUNT_CONCURRENCY_BY_PROVIDER = "google-drive=2";
+  const limits = new ConcurrencyLimits(fakeDb, { globalLimit: 4 });
+
+  assert.strictEqual(
+    await limits.load([job(1, 11, 13), job(2, 21, 22)]),
+    true
+  );
+  assert.strictEqual(await limits.load([job(1, 11, 13)]), false);
+
+  assert.strictEqual(limits.userLimitFor(1), 1);
+  assert.strictEqual(limits.userLimitFor(2), 3);
+  assert.strictEqual(limits.userLimitFor(3), 4);
+  assert.strictEqual(limits.accountLimitFor(22), 2);
+  assert.strictEqual(limits.accountLimitFor(21), 4);
+});
+
+test("a job can't start once its user or either account is full", () => {
+  process.env.TRANSFER_USER_CONCURRENCY = "2";
+  process.env.TRANSFER_ACCOUNT_CONCURRENCY = "1";
+  const limits = new ConcurrencyLimits(fakeDb, { globalLimit: 5 });
+
+  const running = limits.count([job(1, 11, 13)]);
+  assert.strictEqual(running.users.get(1), 1);
+  assert.strictEqual(running.accounts.get(13), 1);
+
+  assert.strictEqual(limits.canStart(job(1, 15, 17), running), true);
+  assert.strictEqual(limits.canStart(job(1, 11, 17), running), false);
+  assert.strictEqual(limits.canStart(job(1, 15, 13), running), false);
+
+  const twoRunning = limits.count([job(1, 11, 13), job(1, 15, 17)]);
+  assert.strictEqual(limits.canStart(job(1, 19, 31), twoRunning), false);
+  assert.strictEqual(limits.canStart(job(2, 21, 23), twoRunning), true);
+});
+
+test("an account copying within itself counts once", () => {
+  process.env.TRANSFER_ACCOUNT_CONCURRENCY = "2";
+  const limits = new ConcurrencyLimits(fakeDb, { globalLimit: 5 });
+
+  const running = limits.count([job(1, 11, 11)]);
+  assert.strictEqual(running.accounts.get(11), 1);
+  assert.strictEqual(limits.canStart(job(1, 11, 13), running), true);
+});
+
+test("users take turns, whatever the priority of their jobs", () => {
+  process.env.TRANSFER_USER_CONCURRENCY = "3";
+  const engine = new TransferEngine(fakeDb);
+
+  // User 1 queued a batch first, and at a higher priority
+  for (let i = 0; i < 3; i++) {
+    engine.enqueue(job(1, 11 + i * 2, 31 + i * 2, 9));
+  }
+  const second = job(2, 21, 23, 1);
+  engine.enqueue(second);
+
+  const first = engine.takeNextJob();
+  assert.strictEqual(first.userId, 1);
+  engine.activeTransfers.set(first.id, first);
+
+  // User 2 has nothing running yet, so goes next
+  assert.strictEqual(engine.takeNextJob(), second);
+});
+
+test("a job waiting for a busy account doesn't hold up the others", () => {
+  process.env.TRANSFER_ACCOUNT_CONCURRENCY = "1";
+  const engine = new TransferEngine(fakeDb);
+
+  const running = job(1, 11, 13);
+  engine.activeTransfers.set(running.id, running);
+
+  const blocked = job(1, 11, 15, 9);
+  const free = job(1, 17, 19, 1);
+  engine.enqueue(blocked);
+  engine.enqueue(free);
+
+  assert.strictEqual(engine.takeNextJob(), free);
+  assert.strictEqual(engine.takeNextJob(), null);
+  assert.deepStrictEqual(engine.transferQueue, [blocked]);
+});
@@ -0,0 +1,140 @@
+// test/file-filter.test.js - Include/Exclude Filters
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  FileFilter,
+  normalizeFilters,
+} = require("../src/services/transfer-engine/file-filter");
+
+// Which of paths a glob list lets through as include globs
+function included(globs, paths) {
+  const filter = new FileFilter(normalizeFilters({ include: globs }));
+  return paths.filter((path) => filter.exclusionReason({}, path) === null);
+}
+
+test("globs without a slash match the file name at any depth", () => {
+  assert.deepStrictEqual(
+    included(["*.parquet"], ["a.parquet", "data/2024/b.parquet", "c.csv"]),
+    ["a.parquet", "data/2024/b.parquet"]
+  );
+  assert.deepStrictEqual(
+    included(
+      ["report-?.pdf"],
+      ["report-1.pdf", "x/report-2.pdf", "report-10.pdf"]
+    ),
+    ["report-1.pdf", "x/report-2.pdf"]
+  );
+});
+
+test("globs with a slash match from the folder, * within one level", () => {
+  assert.deepStrictEqual(
+    included(
+      ["data/*.csv"],
+      ["data/a.csv", "data/2024/b.csv", "other/data/c.csv"]
+    ),
+    ["data/a.csv"]
+  );
+  assert.deepStrictEqual(
+    included(["/data/*.csv"], ["data/a.csv", "data/2024/b.csv"]),
+    ["data/a.csv"]
+  );
+});
+
+test("** spans folders, including none", () => {
+  assert.deepStrictEqual(
+    included(["data/**/*.csv"], ["data/a.csv", "data/x/y/b.csv", "c.csv"]),
+    ["data/a.csv", "data/x/y/b.csv"]
+  );
+  assert.deepStrictEqual(
+    included(["logs/"], ["logs/a.log", "logs/2024/b.log", "app/logs/c.log"]),
+    ["logs/a.log", "logs/2024/b.log"]
+  );
+});
+
+test("braces pick one of several, brackets one character", () => {
+  assert.deepStrictEqual(
+    included(["*.{jpg,png}"], ["a.jpg", "b.png", "c.gif", "d.jpg.bak"]),
+    ["a.jpg", "b.png"]
+  );
+  assert.deepStrictEqual(
+    included(
+      ["v[12].txt", "w[!12].txt"],
+      ["v1.txt", "v3.txt", "w1.txt", "w3.txt"]
+    ),
+    ["v1.txt", "w3.txt"]
+  );
+});
+
+test("other characters in a glob are taken literally", () => {
+  assert.deepStrictEqual(
+    included(["a+b (1).txt"], ["a+b (1).txt", "aab (1).txt", "a+b 1.txt"]),
+    ["a+b (1).txt"]
+  );
+});
+
+test("exclude globs win over include globs", () => {
+  const filter = new FileFilter(
+    normalizeFilters({ include: ["*.csv"], exclude: ["tmp/"] })
+  );
+
+  assert.strictEqual(filter.exclusionReason({}, "data/a.csv"), null);
+  assert.strictEqual(filter.exclusionReason({}, "tmp/a.csv"), "exclude");
+  assert.strictEqual(filter.exclusionReason({}, "data/a.json"), "include");
+});
+
+test("size limits are inclusive", () => {
+  const filter = new FileFilter(
+    normalizeFilters({ minSize: 100, maxSize: 200 })
+  );
+  const reason = (size) => filter.exclusionReason({ size: size }, "a.bin");
+
+  assert.strictEqual(reason(99), "size");
+  assert.strictEqual(reason(100), null);
+  assert.strictEqual(reason(200), null);
+  assert.strictEqual(reason(201), "size");
+  assert.strictEqual(filter.exclusionReason({}, "a.bin"), "size");
+});
+
+test("date limits are exclusive and need a modified time", () => {
+  const filter = new FileFilter(
+    normalizeFilters({
+      modifiedAfter: "2024-01-01T00:00:00Z",
+      modifiedBefore: "2024-02-01T00:00:00Z",
+    })
+  );
+  const reason = (lastModified) =>
+    filter.exclusionReason({ lastModified: lastModified }, "a.bin");
+
+  assert.strictEqual(reason("2024-01-01T00:00:00Z"), "modified");
+  assert.strictEqual(reason("2024-01-15T12:00:00Z"), null);
+  assert.strictEqual(reason("2024-02-01T00:00:00Z"), "modified");
+  assert.strictEqual(reason(null), "modified");
+  assert.strictEqual(reason("not a date"), "modified");
+});
+
+test("no filter lets everything through", () => {
+  const filter = new FileFilter(normalizeFilters({ include: [" "] }));
+
+  assert.strictEqual(filter.active, false);
+  assert.strictEqual(filter.exclusionReason({ size: 0 }, "anything"), null);
+});
+
+test("unusable limits are rejected", () => {
+  assert.throws(() => normalizeFilters({ minSize: -1 }), /minSize must be/);
+  assert.throws(
+    () => normalizeFilters({ minSize: 10, maxSize: 5 }),
+    /minSize is larger than maxSize/
+  );
+  assert.throws(
+    () => normalizeFilters({ modifiedAfter: "yesterday-ish" }),
+    /modifiedAfter is not a date/
+  );
+  assert.throws(
+    () =>
+      normalizeFilters({
+        modifiedAfter: "2024-02-01",
+        modifiedBefore: "2024-01-01",
+      }),
+    /modifiedAfter is not before modifiedBefore/
+  );
+});
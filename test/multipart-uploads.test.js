@@ -0,0 +1,106 @@
+// test/multipart-uploads.test.js - Multipart Upload Cleanup
+const { test } = require("node:test");
+const assert = require("node:assert");
+const Fastify = require("fastify");
+const encryptionService = require("../src/services/encryption");
+const providerRegistry = require("../src/services/cloud-providers");
+const CloudProvider = require("../src/services/cloud-providers/cloud-provider");
+
+const DAY = 24 * 60 * 60 * 1000;
+const aborted = [];
+
+// A destination holding one old unfinished upload per transfer below
+class MultipartProvider extends CloudProvider {
+  static displayName = "Multipart Test";
+
+  async listIncompleteUploads() {
+    const initiated = new Date(Date.now() - 2 * DAY).toISOString();
+    return {
+      uploads: ["paused", "failed", "queued", "cancelled", "orphan"].map(
+        (name) => ({ key: `${name}.bin`, uploadId: `${name}-upload`, initiated })
+      ),
+    };
+  }
+
+  async abortUpload(upload) {
+    aborted.push(upload.uploadId);
+  }
+}
+providerRegistry.register("multipart-test", MultipartProvider);
+
+function transfer(id, status) {
+  return {
+    id: id,
+    status: status,
+    destination_account_id: 1,
+    checkpoint: JSON.stringify({
+      ranges: [[0, 8388608]],
+      upload: { uploadId: `${status}-upload`, key: `${status}.bin` },
+    }),
+  };
+}
+
+const transfers = [
+  transfer(1, "paused"),
+  transfer(2, "failed"),
+  transfer(3, "queued"),
+  transfer(4, "cancelled"),
+];
+
+async function buildApp() {
+  const fastify = Fastify();
+
+  fastify.decorate("db", {
+    getCloudAccountById: async (accountId, userId) => ({
+      id: accountId,
+      user_id: userId,
+      provider: "multipart-test",
+      encrypted_credentials: encryptionService.encryptCredentials({}),
+    }),
+    getTransfersByStatus: async (statuses) =>
+      transfers.filter((row) => statuses.includes(row.status)),
+  });
+  fastify.decorate("authenticate", async (request) => {
+    request.user = { id: 1 };
+  });
+  fastify.register(require("../src/routes/accounts"), {
+    prefix: "/api/accounts",
+  });
+
+  await fastify.ready();
+  return fastify;
+}
+
+test("cleanup keeps uploads that paused or queued transfers can resume", async () => {
+  const fastify = await buildApp();
+
+  const listed = await fastify.inject({
+    method: "GET",
+    url: "/api/accounts/1/multipart-uploads",
+  });
+  assert.strictEqual(listed.statusCode, 200);
+  const inUse = Object.fromEntries(
+    listed.json().uploads.map((upload) => [upload.uploadId, upload.inUse])
+  );
+  assert.deepStrictEqual(inUse, {
+    "paused-upload": true,
+    "failed-upload": false,
+    "queued-upload": true,
+    "cancelled-upload": false,
+    "orphan-upload": false,
+  });
+
+  const cleaned = await fastify.inject({
+    method: "DELETE",
+    url: "/api/accounts/1/multipart-uploads",
+  });
+  assert.strictEqual(cleaned.statusCode, 200);
+  assert.deepStrictEqual(aborted.sort(), [
+    "cancelled-upload",
+    "failed-upload",
+    "orphan-upload",
+  ]);
+  assert.strictEqual(cleaned.json().summary.kept, 2);
+
+  await fastify.close();
+});
@@ -0,0 +1,81 @@
+// test/retry-policy.test.js - Transient Failure Detection and Backoff
+const { test } = require("node:test");
+const assert = require("node:assert");
+const RetryPolicy = require("../src/services/transfer-engine/retry-policy");
+
+function errorWith(message, fields = {}) {
+  return Object.assign(new Error(message), fields);
+}
+
+test("network errors, throttling and server errors are retried", () => {
+  const policy = new RetryPolicy();
+
+  for (const error of [
+    errorWith("read ECONNRESET", { code: "ECONNRESET" }),
+    errorWith("Please reduce your request rate", { code: "SlowDown" }),
+    errorWith("User rate limit exceeded", { code: 403 }),
+    errorWith("Too Many Requests", { statusCode: 429 }),
+    errorWith("Bad Gateway", { response: { status: 502 } }),
+    errorWith("Transfer verification failed: md5 mismatch"),
+  ]) {
+    assert.strictEqual(policy.isRetryable(error), true, error.message);
+  }
+});
+
+test("credential, permission and missing file errors are not retried", () => {
+  const policy = new RetryPolicy();
+
+  for (const error of [
+    errorWith("The AWS Access Key Id does not exist", {
+      code: "InvalidAccessKeyId",
+    }),
+    errorWith("Forbidden", { statusCode: 403 }),
+    errorWith("File 'a.bin' not found"),
+    errorWith("Something odd happened"),
+  ]) {
+    assert.strictEqual(policy.isRetryable(error), false, error.message);
+  }
+});
+
+test("the first error in the cause chain that tells wins", () => {
+  const policy = new RetryPolicy();
+  const wrapped = (cause) => errorWith("Upload failed: oops", { cause: cause });
+
+  assert.strictEqual(
+    policy.isRetryable(wrapped(errorWith("socket", { code: "ETIMEDOUT" }))),
+    true
+  );
+  assert.strictEqual(
+    policy.isRetryable(wrapped(errorWith("denied", { code: "AccessDenied" }))),
+    false
+  );
+  assert.strictEqual(
+    policy.isRetryable(
+      errorWith("Download failed: not found", {
+        cause: errorWith("timeout", { code: "ETIMEDOUT" }),
+      })
+    ),
+    false
+  );
+});
+
+test("backoff doubles per attempt, stays under the cap and keeps half", () => {
+  const policy = new RetryPolicy({ baseDelay: 1000, maxDelay: 10000 });
+  const random = Math.random;
+
+  try {
+    Math.random = () => 0;
+    assert.deepStrictEqual(
+      [1, 2, 3, 4, 5, 6].map((attempt) => policy.getDelay(attempt)),
+      [500, 1000, 2000, 4000, 5000, 5000]
+    );
+
+    Math.random = () => 0.999999;
+    assert.deepStrictEqual(
+      [1, 2, 3, 4, 5, 6].map((attempt) => policy.getDelay(attempt)),
+      [1000, 2000, 4000, 8000, 10000, 10000]
+    );
+  } finally {
+    Math.random = random;
+  }
+});
@@ -0,0 +1,87 @@
+// test/transfer-groups.test.js - Grouped Transfer Inserts
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dbDir = fs.mkdtempSync(path.join(os.tmpdir(), "cloudtransfer-"));
+const log = console.log;
+let database;
+
+function transferData(name, overrides = {}) {
+  return {
+    userId: 1,
+    sourceAccountId: 1,
+    destinationAccountId: 2,
+    sourceFilePath: name,
+    destinationFilePath: name,
+    fileName: name,
+    ...overrides,
+  };
+}
+
+function group(prefix, files) {
+  return database.createTransferGroup(
+    transferData(prefix, { type: "batch", status: "running" }),
+    Array.from({ length: files }, (_, index) =>
+      transferData(`${prefix}/file${index}.bin`)
+    )
+  );
+}
+
+before(async () => {
+  // The runner reads results from the test's stdout and trips over the
+  // database's emoji logging there, so send that to stderr meanwhile
+  console.log = console.error;
+
+  process.env.DB_PATH = path.join(dbDir, "test.db");
+  database = require("../src/services/database");
+  await database.ready;
+});
+
+after(async () => {
+  await database.close();
+  console.log = log;
+  fs.rmSync(dbDir, { recursive: true, force: true });
+});
+
+test("overlapping group creates each store all their transfers", async () => {
+  const [first, second] = await Promise.all([group("a", 20), group("b", 20)]);
+
+  assert.notStrictEqual(first.parentId, second.parentId);
+  for (const created of [first, second]) {
+    const children = await database.getChildTransfers(created.parentId);
+    assert.deepStrictEqual(
+      children.map((child) => child.id),
+      created.childIds
+    );
+  }
+});
+
+test("a failed group rolls back alone", async () => {
+  const otherId = await database.createTransferJob(transferData("other.bin"));
+
+  const results = await Promise.allSettled([
+    group("good", 10),
+    database.createTransferGroup(transferData("bad", { type: "batch" }), [
+      transferData("bad/file0.bin"),
+      transferData("bad/file1.bin", { sourceFilePath: null }),
+    ]),
+    database.updateTransferJob(otherId, { status: "running", progress: 40 }),
+  ]);
+
+  assert.strictEqual(results[0].status, "fulfilled");
+  assert.strictEqual(results[1].status, "rejected");
+  assert.strictEqual(results[2].status, "fulfilled");
+
+  const children = await database.getChildTransfers(results[0].value.parentId);
+  assert.strictEqual(children.length, 10);
+
+  const rows = await database.getTransfersByStatus(["queued", "running"]);
+  assert.ok(!rows.some((row) => row.file_name.startsWith("bad")));
+
+  const other = await database.getTransferById(otherId, 1);
+  assert.strictEqual(other.status, "running");
+  assert.strictEqual(other.progress, 40);
+});
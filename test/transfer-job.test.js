@@ -0,0 +1,41 @@
+// test/transfer-job.test.js - Transfer Job Status Changes
+const { test } = require("node:test");
+const assert = require("node:assert");
+const TransferJob = require("../src/services/transfer-engine/transfer-job");
+
+function runningJob() {
+  const job = new TransferJob({ id: 1, fileName: "a.bin", fileSize: 10 });
+  job.start();
+  return job;
+}
+
+test("a pause or cancel that comes in first keeps the job from completing", () => {
+  for (const interrupt of ["pause", "cancel"]) {
+    const job = runningJob();
+    assert.strictEqual(job[interrupt](), true);
+    assert.strictEqual(job.signal.aborted, true);
+
+    assert.strictEqual(job.complete(), false);
+    assert.strictEqual(job.status, interrupt === "pause" ? "paused" : "cancelled");
+  }
+});
+
+test("a finished job can't be paused or cancelled", () => {
+  const job = runningJob();
+  assert.strictEqual(job.complete(), true);
+
+  assert.strictEqual(job.pause(), false);
+  assert.strictEqual(job.cancel(), false);
+  assert.strictEqual(job.status, "completed");
+  assert.strictEqual(job.signal.aborted, false);
+});
+
+test("work that can't be undone completes despite a late pause or cancel", () => {
+  for (const interrupt of ["pause", "cancel"]) {
+    const job = runningJob();
+    job[interrupt]();
+
+    assert.strictEqual(job.complete({ irreversible: true }), true);
+    assert.strictEqual(job.status, "completed");
+  }
+});
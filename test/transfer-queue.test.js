@@ -0,0 +1,74 @@
+// test/transfer-queue.test.js - Queue Order and Priority Aging
+const { test } = require("node:test");
+const assert = require("node:assert");
+const TransferEngine = require("../src/services/transfer-engine/transfer-engine");
+const TransferJob = require("../src/services/transfer-engine/transfer-job");
+
+const MINUTE = 60 * 1000;
+
+function job(id, priority, waited, now = Date.now()) {
+  const queued = new TransferJob({
+    id: id,
+    userId: 1,
+    sourceAccountId: 1,
+    destinationAccountId: 2,
+    priority: priority,
+  });
+  queued.queuedAt = new Date(now - waited);
+  return queued;
+}
+
+// Queue a job as if it joined waited ms ago
+function enqueue(engine, id, priority, waited) {
+  engine.enqueue(job(id, priority, 0), new Date(Date.now() - waited));
+}
+
+// Take jobs off the queue one by one, as if each finished before the next
+function drain(engine) {
+  const order = [];
+  for (let next = engine.takeNextJob(); next; next = engine.takeNextJob()) {
+    order.push(next.id);
+  }
+  return order;
+}
+
+test("a job gains one priority level per aging interval it waits", () => {
+  const now = Date.now();
+
+  assert.strictEqual(job(1, 5, 0, now).getEffectivePriority(now, MINUTE), 5);
+  assert.strictEqual(
+    job(2, 5, MINUTE - 1, now).getEffectivePriority(now, MINUTE),
+    5
+  );
+  assert.strictEqual(
+    job(3, 5, 3 * MINUTE, now).getEffectivePriority(now, MINUTE),
+    8
+  );
+
+  const unqueued = job(4, 2, 0, now);
+  unqueued.queuedAt = null;
+  assert.strictEqual(unqueued.getEffectivePriority(now, MINUTE), 2);
+});
+
+test("the queue runs higher priorities first, then the longest waiting", () => {
+  const engine = new TransferEngine({});
+  engine.priorityAgingInterval = 60 * MINUTE;
+
+  enqueue(engine, 1, 5, 2 * MINUTE);
+  enqueue(engine, 2, 9, 0);
+  enqueue(engine, 3, 5, 5 * MINUTE);
+  enqueue(engine, 4, 1, 0);
+
+  assert.deepStrictEqual(drain(engine), [2, 3, 1, 4]);
+});
+
+test("a job that waited long enough overtakes higher priorities", () => {
+  const engine = new TransferEngine({});
+  engine.priorityAgingInterval = MINUTE;
+
+  enqueue(engine, 1, 8, 0);
+  enqueue(engine, 2, 3, 6 * MINUTE);
+  enqueue(engine, 3, 7, 0);
+
+  assert.deepStrictEqual(drain(engine), [2, 1, 3]);
+});